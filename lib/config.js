@@ -17,7 +17,52 @@ if (env === 'production') {
     }
 }
 
+/**
+ * Parses a comma-separated list of "host:port" nodes (e.g. "10.0.0.1:26379,10.0.0.2:26379").
+ * @param {string|undefined} value
+ * @param {number} defaultPort - Port of the entries without one.
+ * @param {string} [variable='nodes'] - Name of the setting, for the error messages.
+ * @returns {Array<{host: string, port: number}>|undefined}
+ * @throws {Error} If an entry has no host or a port that is not a number between 1 and 65535.
+ */
+export function parseNodes(value, defaultPort, variable = 'nodes') {
+    if (!value) return undefined;
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.lastIndexOf(':');
+        const host = separator === -1 ? entry : entry.slice(0, separator);
+        const port = separator === -1 ? defaultPort : Number(entry.slice(separator + 1));
+        if (!host) {
+            throw new Error(`Invalid entry '${entry}' in ${variable}: the host is missing.`);
+        }
+        if (separator !== -1 && !/^\d+$/.test(entry.slice(separator + 1))) {
+            throw new Error(`Invalid entry '${entry}' in ${variable}: the port must be a number.`);
+        }
+        if (port < 1 || port > 65535) {
+            throw new Error(`Invalid entry '${entry}' in ${variable}: the port must be between 1 and 65535.`);
+        }
+        return { host, port };
+    });
+}
+
+/**
+ * Builds the TLS options from REDIS_TLS and the REDIS_TLS_* files, or undefined if TLS is not enabled.
+ * rediss:// URLs enable TLS on their own; these variables add certificates to them.
+ */
+function buildTlsOptions() {
+    const { REDIS_TLS, REDIS_TLS_CA_FILE, REDIS_TLS_CERT_FILE, REDIS_TLS_KEY_FILE } = process.env;
+    if (REDIS_TLS !== 'true' && !REDIS_TLS_CA_FILE && !REDIS_TLS_CERT_FILE) return undefined;
+    return {
+        ca: REDIS_TLS_CA_FILE ? fs.readFileSync(REDIS_TLS_CA_FILE) : undefined,
+        cert: REDIS_TLS_CERT_FILE ? fs.readFileSync(REDIS_TLS_CERT_FILE) : undefined,
+        key: REDIS_TLS_KEY_FILE ? fs.readFileSync(REDIS_TLS_KEY_FILE) : undefined,
+        servername: process.env.REDIS_TLS_SERVERNAME || undefined,
+        rejectUnauthorized: process.env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false',
+    };
+}
+
 export default {
+    // redis:// or rediss:// (TLS) URL. Takes precedence over host, port, user, password and db
+    REDIS_URL: process.env.REDIS_URL || undefined,
     REDIS_HOST: process.env.REDIS_HOST || '127.0.0.1',
     REDIS_PORT: process.env.REDIS_PORT || 6379,
     // This comment is in English
@@ -26,6 +71,15 @@ export default {
     REDIS_USER: process.env.REDIS_USER || undefined, // Use undefined if no user for ioredis
     // This comment is in English
     REDIS_PASSWORD: process.env.REDIS_PASSWORD || undefined, // Use undefined if no password
+    REDIS_TLS: buildTlsOptions(),
+    // Sentinel: "host:port" list of sentinels and name of the master group
+    REDIS_SENTINELS: parseNodes(process.env.REDIS_SENTINELS, 26379, 'REDIS_SENTINELS'),
+    REDIS_SENTINEL_NAME: process.env.REDIS_SENTINEL_NAME || 'mymaster',
+    REDIS_SENTINEL_PASSWORD: process.env.REDIS_SENTINEL_PASSWORD || undefined,
+    // Cluster: "host:port" list of startup nodes
+    REDIS_CLUSTER_NODES: parseNodes(process.env.REDIS_CLUSTER_NODES, 6379, 'REDIS_CLUSTER_NODES'),
+    // Name the auxiliary keys of each queue with hash tags so they share its slot (required in Cluster)
+    REDIS_HASH_TAGS: process.env.REDIS_HASH_TAGS === 'true',
 
     LOG_FILE: process.env.LOG_FILE || 'app.log',
     // This comment is in English
@@ -0,0 +1,177 @@
+import Logger from './Logger.js';
+import { deadLetterKey } from './keys.js';
+import { arrayToObject, objectToArray } from './streamUtils.js';
+import { decodePayload } from './codec.js';
+
+const DLQ_FIELD_PREFIX = '_dlq';
+// Reserved fields that belong to the failed run of a job, dropped when it is redriven: its attempt
+// counter, the reply stream of a request that has long expired and its position in the group order
+const REDRIVE_DROPPED_FIELDS = ['_attempt', '_replyTo', '_correlationId', '_orderId'];
+
+class DeadLetterQueue {
+  /**
+   * Creates an instance of DeadLetterQueue to triage the jobs that a QueueWorker gave up on.
+   * @param {object} redisClient - Redis client (compatible with ioredis) with stream methods.
+   * @param {string} queueName - Name of the source stream.
+   * @param {object} [options={}] - Configuration options.
+   * @param {string} [options.deadLetterQueue] - Name of the dead-letter stream. Default is `${queueName}:dlq`.
+   */
+  constructor(redisClient, queueName, options = {}) {
+    if (!redisClient ||
+      typeof redisClient.xrange !== 'function' ||
+      typeof redisClient.xadd !== 'function' ||
+      typeof redisClient.xdel !== 'function') {
+      throw new Error('DeadLetterQueue requires a Redis client compatible with stream commands (xrange, xadd, xdel).');
+    }
+    if (!queueName || typeof queueName !== 'string' || queueName.trim() === '') {
+      throw new Error('queueName (non-empty string) is required.');
+    }
+
+    this.redisClient = redisClient;
+    this.queueName = queueName.trim();
+    this.deadLetterQueue = options.deadLetterQueue || deadLetterKey(this.queueName);
+    this.logger = new Logger(`DeadLetterQueue:${this.deadLetterQueue}`);
+  }
+
+  /**
+   * Splits a dead-letter entry into the original job data and the failure details.
+   * @param {Array} entry - Entry in the [id, [field, value, ...]] format returned by Redis.
+   * @returns {object}
+   */
+  _parseEntry([id, rawFields]) {
+    const fields = {};
+    const failure = {};
+    for (const [field, value] of Object.entries(arrayToObject(rawFields))) {
+      if (field.startsWith(DLQ_FIELD_PREFIX)) {
+        failure[field] = value;
+      } else {
+        fields[field] = value;
+      }
+    }
+
+    let data = null;
+    try {
+      ({ data } = decodePayload(fields));
+    } catch (err) {
+      // Undecodable payloads are a valid reason to be dead-lettered; the raw fields are still returned
+      this.logger.debug(`Payload of dead-letter entry ${id} cannot be decoded: ${err.message}`);
+    }
+
+    return {
+      id,
+      originalId: failure._dlqOriginalId,
+      queue: failure._dlqQueue || this.queueName,
+      reason: failure._dlqReason,
+      stack: failure._dlqStack,
+      attempts: parseInt(failure._dlqAttempts, 10) || 0,
+      consumer: failure._dlqConsumer,
+      failedAt: failure._dlqFailedAt ? new Date(Number(failure._dlqFailedAt)) : null,
+      data,
+      fields,
+    };
+  }
+
+  /**
+   * Lists dead-letter entries, oldest first.
+   * @param {object} [options={}]
+   * @param {string} [options.start='-'] - First ID of the range.
+   * @param {string} [options.end='+'] - Last ID of the range.
+   * @param {number} [options.count=100] - Maximum number of entries.
+   * @returns {Promise<object[]>}
+   */
+  async list({ start = '-', end = '+', count = 100 } = {}) {
+    const entries = await this.redisClient.xrange(this.deadLetterQueue, start, end, 'COUNT', count);
+    return entries.map(entry => this._parseEntry(entry));
+  }
+
+  /**
+   * Returns a single dead-letter entry.
+   * @param {string} id - ID of the entry in the dead-letter stream.
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    const entries = await this.redisClient.xrange(this.deadLetterQueue, id, id);
+    return entries.length > 0 ? this._parseEntry(entries[0]) : null;
+  }
+
+  /**
+   * Number of entries in the dead-letter stream.
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return this.redisClient.xlen(this.deadLetterQueue);
+  }
+
+  /**
+   * Republishes dead-letter entries to their original queue as new jobs and removes them from the
+   * dead-letter stream. The attempt counter restarts, and the reply and ordering position of the
+   * failed run are dropped: nobody waits for that reply, and the job takes a new place in its key.
+   * @param {string|string[]} ids - IDs of the entries in the dead-letter stream.
+   * @returns {Promise<string[]>} - IDs of the republished messages (null for entries that were not found).
+   */
+  async redrive(ids) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    const newIds = [];
+
+    for (const id of idList) {
+      const entry = await this.get(id);
+      if (!entry) {
+        this.logger.warn(`Dead-letter entry ${id} not found, cannot redrive it.`);
+        newIds.push(null);
+        continue;
+      }
+
+      const fields = Object.fromEntries(
+        Object.entries(entry.fields).filter(([field]) => !REDRIVE_DROPPED_FIELDS.includes(field))
+      );
+      const replies = await this.redisClient.multi()
+        .xadd(entry.queue, '*', ...objectToArray(fields))
+        .xdel(this.deadLetterQueue, id)
+        .exec();
+      const failedReply = replies.find(([err]) => err);
+      if (failedReply) {
+        this.logger.error(`Error redriving dead-letter entry ${id}: ${failedReply[0].message}`, failedReply[0]);
+        throw failedReply[0];
+      }
+      const newId = replies[0][1];
+      this.logger.info(`Dead-letter entry ${id} (original ID: ${entry.originalId}) redriven to '${entry.queue}' as ${newId}.`);
+      newIds.push(newId);
+    }
+    return newIds;
+  }
+
+  /**
+   * Redrives every entry of the dead-letter stream.
+   * @param {number} [batchSize=100] - Number of entries read per round trip.
+   * @returns {Promise<number>} - Number of redriven entries.
+   */
+  async redriveAll(batchSize = 100) {
+    let total = 0;
+    for (;;) {
+      const entries = await this.redisClient.xrange(this.deadLetterQueue, '-', '+', 'COUNT', batchSize);
+      if (entries.length === 0) break;
+      await this.redrive(entries.map(([id]) => id));
+      total += entries.length;
+    }
+    return total;
+  }
+
+  /**
+   * Deletes dead-letter entries. Without IDs, the whole dead-letter stream is removed.
+   * @param {string|string[]} [ids] - IDs of the entries to delete.
+   * @returns {Promise<number>} - Number of deleted entries (or deleted keys when purging everything).
+   */
+  async purge(ids) {
+    if (ids === undefined) {
+      this.logger.warn(`Purging the whole dead-letter stream '${this.deadLetterQueue}'.`);
+      return this.redisClient.del(this.deadLetterQueue);
+    }
+    const idList = Array.isArray(ids) ? ids : [ids];
+    if (idList.length === 0) return 0;
+    const deleted = await this.redisClient.xdel(this.deadLetterQueue, ...idList);
+    this.logger.info(`Purged ${deleted} entries from dead-letter stream '${this.deadLetterQueue}'.`);
+    return deleted;
+  }
+}
+
+export default DeadLetterQueue;
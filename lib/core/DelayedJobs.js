@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import Logger from './Logger.js';
+import { deduplicationKey, delayedKey } from './keys.js';
+import { objectToArray } from './streamUtils.js';
+
+// Moves due entries from the delayed sorted set into the stream in a single atomic step,
+// so several processes can promote the same queue without adding a job twice.
+const PROMOTE_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+for _, member in ipairs(due) do
+  local entry = cjson.decode(member)
+  redis.call('XADD', KEYS[2], '*', unpack(entry.fields))
+  redis.call('ZREM', KEYS[1], member)
+end
+return #due
+`;
+
+// Schedules a job unless its deduplication ID was used within the window (see RedisClient's
+// PUBLISH_ONCE_SCRIPT). ARGV: windowMs, scheduledId, runAtMs, member
+const SCHEDULE_ONCE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return {existing, 0}
+end
+redis.call('ZADD', KEYS[2], ARGV[3], ARGV[4])
+redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[1])
+return {ARGV[2], 1}
+`;
+
+class DelayedJobs {
+  /**
+   * @param {object} redisClient - Raw Redis client (compatible with ioredis).
+   */
+  constructor(redisClient) {
+    if (!redisClient || typeof redisClient.zadd !== 'function' || typeof redisClient.eval !== 'function') {
+      throw new Error('DelayedJobs requires a Redis client compatible with zadd and eval.');
+    }
+    this.redisClient = redisClient;
+    this.logger = new Logger('DelayedJobs');
+  }
+
+  /**
+   * Serializes the fields of a job into a unique sorted set member.
+   * @param {object} fields - Flat stream fields of the job.
+   * @param {string} [id] - Unique ID of the scheduled job. Default is a random UUID.
+   * @returns {string}
+   */
+  static buildEntry(fields, id = crypto.randomUUID()) {
+    return JSON.stringify({
+      id,
+      fields: objectToArray(fields).map(String),
+    });
+  }
+
+  /**
+   * Parks a job until runAtMs.
+   * @param {string} streamName - Target stream of the job.
+   * @param {object} fields - Flat stream fields of the job.
+   * @param {number} runAtMs - Timestamp (ms) at which the job must be added to the stream.
+   * @param {object} [options={}]
+   * @param {string} [options.id] - ID of the scheduled job. Default is a random UUID.
+   * @param {string} [options.deduplicationId] - If a job with this ID was scheduled or published within the window, its ID is returned and nothing is scheduled.
+   * @param {number} [options.deduplicationWindowMs] - Deduplication window in ms (required with deduplicationId).
+   * @param {string} [options.queueName] - Queue that scopes the deduplication IDs. Default is streamName.
+   * @returns {Promise<string>} - ID of the scheduled job (of the original one for a duplicate).
+   */
+  async schedule(streamName, fields, runAtMs, options = {}) {
+    if (options.deduplicationId) {
+      return (await this.scheduleOnce(streamName, fields, runAtMs, options)).id;
+    }
+    const { id = crypto.randomUUID() } = options;
+    await this.redisClient.zadd(delayedKey(streamName), runAtMs, DelayedJobs.buildEntry(fields, id));
+    this.logger.debug(`Job ${id} scheduled for stream '${streamName}' at ${new Date(runAtMs).toISOString()}.`);
+    return id;
+  }
+
+  /**
+   * Parks a job until runAtMs unless its deduplication ID was used within the window.
+   * @param {string} streamName - Target stream of the job.
+   * @param {object} fields - Flat stream fields of the job.
+   * @param {number} runAtMs - Timestamp (ms) at which the job must be added to the stream.
+   * @param {object} options - See schedule(); deduplicationId and deduplicationWindowMs are required.
+   * @returns {Promise<{id: string, deduplicated: boolean}>} - id is the ID of the original job when deduplicated.
+   */
+  async scheduleOnce(streamName, fields, runAtMs, options) {
+    const { id = crypto.randomUUID(), deduplicationId, deduplicationWindowMs, queueName = streamName } = options;
+    const [result, added] = await this.redisClient.eval(
+      SCHEDULE_ONCE_SCRIPT, 2, deduplicationKey(queueName, deduplicationId), delayedKey(streamName),
+      deduplicationWindowMs, id, runAtMs, DelayedJobs.buildEntry(fields, id)
+    );
+    if (!added) {
+      this.logger.info(`Duplicate job '${deduplicationId}' not scheduled for stream '${streamName}'. Original scheduled job ID: ${result}`);
+      return { id: result, deduplicated: true };
+    }
+    this.logger.debug(`Job ${id} scheduled for stream '${streamName}' at ${new Date(runAtMs).toISOString()}.`);
+    return { id, deduplicated: false };
+  }
+
+  /**
+   * Adds the due jobs of a stream to it.
+   * @param {string} streamName - Name of the stream.
+   * @param {number} [limit=100] - Maximum number of jobs promoted in this call.
+   * @returns {Promise<number>} - Number of promoted jobs.
+   */
+  async promoteDue(streamName, limit = 100) {
+    const promoted = await this.redisClient.eval(
+      PROMOTE_SCRIPT, 2, delayedKey(streamName), streamName, Date.now(), limit
+    );
+    if (promoted > 0) {
+      this.logger.debug(`Promoted ${promoted} delayed jobs into stream '${streamName}'.`);
+    }
+    return promoted;
+  }
+}
+
+export default DelayedJobs;
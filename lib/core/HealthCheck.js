@@ -0,0 +1,106 @@
+import http from 'http';
+import Logger from './Logger.js';
+import redisRegistry from './RedisRegistry.js';
+
+const logger = new Logger('HealthCheck');
+
+class HealthCheck {
+  /**
+   * Creates an instance of HealthCheck, which aggregates the health of the workers and Redis
+   * connections of a process, for Kubernetes-style liveness and readiness probes.
+   * @param {object} [options={}] - Configuration options.
+   * @param {QueueWorker[]} [options.workers=[]] - Workers to report on.
+   * @param {string[]} [options.connections] - Names of the redisRegistry connections that must be connected to be ready. Default is every connection that was connected at least once.
+   */
+  constructor(options = {}) {
+    this.workers = new Set(options.workers || []);
+    this.connections = options.connections || null;
+    this._server = null;
+  }
+
+  addWorker(worker) {
+    this.workers.add(worker);
+  }
+
+  removeWorker(worker) {
+    this.workers.delete(worker);
+  }
+
+  /**
+   * Reports the health of the process. live is false when some worker's poll loop is wedged (the
+   * process should be restarted); ready is false while some connection or worker cannot process
+   * jobs (e.g. Redis is reconnecting, the reads keep failing or a worker is stopping).
+   * @returns {{live: boolean, ready: boolean, redis: object[], workers: object[]}}
+   */
+  health() {
+    const redis = redisRegistry.health().filter(({ name, status }) => (
+      this.connections ? this.connections.includes(name) : status !== 'disconnected'
+    ));
+    if (this.connections) {
+      for (const name of this.connections) {
+        if (!redis.some(connection => connection.name === name)) {
+          redis.push({ name, connected: false, status: 'unregistered' });
+        }
+      }
+    }
+    const workers = [...this.workers].map(worker => worker.health());
+    const live = workers.every(worker => worker.live);
+    return {
+      live,
+      ready: live && redis.every(({ connected }) => connected) && workers.every(worker => worker.ready),
+      redis,
+      workers,
+    };
+  }
+
+  /**
+   * Starts an HTTP server for the probes. Each path answers 200 when its check passes and 503
+   * otherwise, with the report of health() as JSON.
+   * @param {object} [options={}]
+   * @param {number} [options.port=8080]
+   * @param {string} [options.host] - Interface to listen on. Default is all of them.
+   * @param {string} [options.livePath='/health/live']
+   * @param {string} [options.readyPath='/health/ready']
+   * @returns {Promise<http.Server>}
+   */
+  async startServer({ port = 8080, host, livePath = '/health/live', readyPath = '/health/ready' } = {}) {
+    if (this._server) {
+      throw new Error('The health server is already running.');
+    }
+    const server = http.createServer((req, res) => {
+      const path = req.url.split('?')[0];
+      if (req.method !== 'GET' || (path !== livePath && path !== readyPath)) {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const report = this.health();
+        const passed = path === livePath ? report.live : report.ready;
+        res.writeHead(passed ? 200 : 503, { 'Content-Type': 'application/json' }).end(JSON.stringify(report));
+      } catch (err) {
+        logger.error(`Error computing health: ${err.message}`, err);
+        res.writeHead(500).end();
+      }
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this._server = server;
+    logger.info(`Health server listening on port ${server.address().port} (${livePath}, ${readyPath}).`);
+    return server;
+  }
+
+  async stopServer() {
+    if (!this._server) return;
+    const server = this._server;
+    this._server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    logger.info('Health server stopped.');
+  }
+}
+
+export default HealthCheck;
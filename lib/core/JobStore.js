@@ -0,0 +1,232 @@
+import Logger from './Logger.js';
+import { jobKey } from './keys.js';
+import { encodeValue, decodeValue } from './codec.js';
+
+const NUMERIC_FIELDS = ['attempt', 'attempts', 'createdAt', 'processedAt', 'finishedAt', 'delayedUntil'];
+const ENCODED_FIELDS = ['returnValue', 'progress'];
+
+// Sets the progress of a record that still exists. HSET keeps the expiration of the key, while
+// writing to an expired or removed record would recreate it without any.
+const UPDATE_PROGRESS_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return 0
+end
+redis.call('HSET', KEYS[1], 'progress', ARGV[1])
+return 1
+`;
+
+class JobStore {
+  /**
+   * Creates an instance of JobStore, which keeps a status record per job
+   * (state: waiting, active, completed, failed or delayed).
+   * @param {object} redisClient - Raw Redis client (compatible with ioredis).
+   * @param {object} [options={}] - Configuration options.
+   * @param {number} [options.completedTtlMs=86400000] - Retention of completed records. 0 removes them on completion.
+   * @param {number} [options.failedTtlMs=604800000] - Retention of failed records. 0 removes them on failure.
+   * @param {number} [options.pendingTtlMs=604800000] - Retention of waiting, active and delayed records after their last update (plus the delay of delayed ones), so the records of jobs that never finish (e.g. trimmed from the stream) expire. 0 keeps them until the job finishes.
+   */
+  constructor(redisClient, options = {}) {
+    if (!redisClient || typeof redisClient.hset !== 'function' || typeof redisClient.hgetall !== 'function') {
+      throw new Error('JobStore requires a Redis client compatible with hset and hgetall.');
+    }
+    this.redisClient = redisClient;
+    this.options = {
+      completedTtlMs: 86400000,
+      failedTtlMs: 604800000,
+      pendingTtlMs: 604800000,
+      ...options,
+    };
+    this.logger = new Logger('JobStore');
+  }
+
+  /**
+   * Records a job that was just published (or scheduled). Does not overwrite the state if
+   * a worker already picked the job up.
+   * @param {string} queueName
+   * @param {string} jobId
+   * @param {number} [delayedUntil] - Due timestamp (ms) for delayed jobs.
+   */
+  async markCreated(queueName, jobId, delayedUntil) {
+    const key = jobKey(queueName, jobId);
+    const transaction = this.redisClient.multi()
+      .hsetnx(key, 'state', delayedUntil ? 'delayed' : 'waiting')
+      .hsetnx(key, 'queue', queueName)
+      .hsetnx(key, 'createdAt', Date.now());
+    if (delayedUntil) {
+      transaction.hsetnx(key, 'delayedUntil', delayedUntil);
+    }
+    await this._expirePending(transaction, key, delayedUntil).exec();
+  }
+
+  /**
+   * Records several jobs that were just published, in a single pipeline.
+   * @param {string} queueName
+   * @param {string[]} jobIds
+   */
+  async markCreatedMany(queueName, jobIds) {
+    const now = Date.now();
+    const pipeline = this.redisClient.pipeline();
+    for (const jobId of jobIds) {
+      const key = jobKey(queueName, jobId);
+      pipeline.hsetnx(key, 'state', 'waiting').hsetnx(key, 'queue', queueName).hsetnx(key, 'createdAt', now);
+      this._expirePending(pipeline, key);
+    }
+    await pipeline.exec();
+  }
+
+  async markActive(queueName, jobId, { attempt, attempts, consumer, messageId }) {
+    const key = jobKey(queueName, jobId);
+    const transaction = this.redisClient.multi()
+      .hsetnx(key, 'createdAt', Date.now())
+      .hset(key, {
+        state: 'active',
+        queue: queueName,
+        attempt,
+        attempts,
+        consumer,
+        messageId,
+        processedAt: Date.now(),
+      });
+    await this._expirePending(transaction, key).exec();
+  }
+
+  async markCompleted(queueName, jobId, returnValue) {
+    await this._finish(queueName, jobId, {
+      state: 'completed',
+      returnValue: encodeValue(returnValue),
+      finishedAt: Date.now(),
+    }, this.options.completedTtlMs);
+  }
+
+  async markFailed(queueName, jobId, error) {
+    await this._finish(queueName, jobId, {
+      state: 'failed',
+      failedReason: error.message,
+      stacktrace: error.stack || '',
+      finishedAt: Date.now(),
+    }, this.options.failedTtlMs);
+  }
+
+  /**
+   * Records a failed attempt that will be retried.
+   * @param {string} queueName
+   * @param {string} jobId
+   * @param {Error} error - Reason of the failed attempt.
+   * @param {number} [delayedUntil] - Due timestamp (ms) of the next attempt, if delayed.
+   */
+  async markRetrying(queueName, jobId, error, delayedUntil) {
+    await this.addRetrying(this.redisClient.multi(), queueName, jobId, error, delayedUntil).exec();
+  }
+
+  /**
+   * Adds the update of markRetrying() to a transaction, so it can be written together with the
+   * message of the next attempt: once that message is in the stream, another consumer may
+   * already mark the job active.
+   * @param {object} transaction - Redis multi.
+   * @returns {object} - The transaction.
+   */
+  addRetrying(transaction, queueName, jobId, error, delayedUntil) {
+    const key = jobKey(queueName, jobId);
+    const fields = {
+      state: delayedUntil ? 'delayed' : 'waiting',
+      failedReason: error.message,
+      stacktrace: error.stack || '',
+    };
+    if (delayedUntil) fields.delayedUntil = delayedUntil;
+    return this._expirePending(transaction.hset(key, fields), key, delayedUntil);
+  }
+
+  /**
+   * Records a job that was postponed without being attempted (e.g. by the rate limiter).
+   * @param {string} queueName
+   * @param {string} jobId
+   * @param {number} delayedUntil - Timestamp (ms) at which the job returns to the stream.
+   */
+  async markDelayed(queueName, jobId, delayedUntil) {
+    await this.addDelayed(this.redisClient.multi(), queueName, jobId, delayedUntil).exec();
+  }
+
+  /**
+   * Adds the update of markDelayed() to a transaction (see addRetrying()).
+   * @param {object} transaction - Redis multi.
+   * @returns {object} - The transaction.
+   */
+  addDelayed(transaction, queueName, jobId, delayedUntil) {
+    const key = jobKey(queueName, jobId);
+    return this._expirePending(transaction.hset(key, { state: 'delayed', delayedUntil }), key, delayedUntil);
+  }
+
+  /**
+   * Adds the expiration of a record that is not finished yet to a transaction or pipeline.
+   * @param {object} transaction
+   * @param {string} key
+   * @param {number} [delayedUntil] - Due timestamp (ms) of a delayed job, which extends the retention.
+   * @returns {object} - The transaction.
+   */
+  _expirePending(transaction, key, delayedUntil) {
+    const { pendingTtlMs } = this.options;
+    if (pendingTtlMs > 0) {
+      transaction.pexpire(key, pendingTtlMs + Math.max(0, (delayedUntil || 0) - Date.now()));
+    }
+    return transaction;
+  }
+
+  /**
+   * Records the progress reported by the handler of a job. Records that expired or were removed
+   * are not recreated.
+   * @param {string} queueName
+   * @param {string} jobId
+   * @param {*} progress
+   * @returns {Promise<boolean>} - false if the record no longer exists.
+   */
+  async updateProgress(queueName, jobId, progress) {
+    const updated = await this.redisClient.eval(UPDATE_PROGRESS_SCRIPT, 1, jobKey(queueName, jobId), encodeValue(progress));
+    if (!updated) {
+      this.logger.debug(`Progress of job ${jobId} not recorded: its status record no longer exists.`);
+    }
+    return updated === 1;
+  }
+
+  async _finish(queueName, jobId, fields, ttlMs) {
+    const key = jobKey(queueName, jobId);
+    if (ttlMs === 0) {
+      await this.redisClient.del(key);
+      return;
+    }
+    const transaction = this.redisClient.multi().hset(key, fields);
+    if (ttlMs > 0) {
+      transaction.pexpire(key, ttlMs);
+    }
+    await transaction.exec();
+  }
+
+  /**
+   * Returns the status record of a job.
+   * @param {string} queueName
+   * @param {string} jobId - ID returned by Publisher.publish().
+   * @returns {Promise<object|null>} - { id, queue, state, attempt, attempts, consumer, messageId, createdAt, processedAt, finishedAt, delayedUntil, returnValue, failedReason, stacktrace, progress }.
+   */
+  async getJob(queueName, jobId) {
+    const record = await this.redisClient.hgetall(jobKey(queueName, jobId));
+    if (!record || Object.keys(record).length === 0) {
+      return null;
+    }
+
+    const job = { id: jobId, ...record };
+    for (const field of NUMERIC_FIELDS) {
+      if (job[field] !== undefined) job[field] = Number(job[field]);
+    }
+    for (const field of ENCODED_FIELDS) {
+      if (job[field] !== undefined) {
+        try {
+          job[field] = decodeValue(job[field]);
+        } catch (err) {
+          this.logger.warn(`Cannot decode field '${field}' of job ${jobId}: ${err.message}`);
+        }
+      }
+    }
+    return job;
+  }
+}
+
+export default JobStore;
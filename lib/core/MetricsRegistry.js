@@ -0,0 +1,301 @@
+import http from 'http';
+import Logger from './Logger.js';
+
+const logger = new Logger('MetricsRegistry');
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Handler durations, in seconds
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// Time from publish to completion, in seconds: includes the wait in the stream
+export const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base of the metric types: a set of samples keyed by their label values.
+ */
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // serialized labels -> { labels, value }
+  }
+
+  _entry(labels, create) {
+    const picked = {};
+    for (const labelName of this.labelNames) {
+      if (labels[labelName] === undefined) {
+        throw new Error(`Metric '${this.name}' requires the label '${labelName}'.`);
+      }
+      picked[labelName] = labels[labelName];
+    }
+    const key = JSON.stringify(this.labelNames.map(labelName => String(picked[labelName])));
+    if (!this.values.has(key) && create) {
+      this.values.set(key, create(picked));
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Removes the sample of a set of label values (e.g. when the worker that reported it stops).
+   * @param {object} labels
+   */
+  remove(labels) {
+    const key = JSON.stringify(this.labelNames.map(labelName => String(labels[labelName])));
+    this.values.delete(key);
+  }
+
+  _header() {
+    return `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter '${this.name}' cannot be decreased.`);
+    this._entry(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  render() {
+    let text = this._header();
+    for (const { labels, value } of this.values.values()) {
+      text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    }
+    return text;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this._entry(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._entry(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    let text = this._header();
+    for (const { labels, value } of this.values.values()) {
+      text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+    }
+    return text;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const entry = this._entry(labels, picked => ({
+      labels: picked, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0,
+    }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) entry.counts[index]++;
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    let text = this._header();
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        text += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}\n`;
+      });
+      text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+      text += `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}\n`;
+      text += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+    }
+    return text;
+  }
+}
+
+/**
+ * Collects the metrics of Publishers and QueueWorkers and renders them in the Prometheus text
+ * format. Gauges are computed on each scrape by the collectors of the running workers.
+ */
+class MetricsRegistry {
+  /**
+   * @param {object} [options={}]
+   * @param {string} [options.prefix='qbull_'] - Prefix of the metric names.
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix === undefined ? 'qbull_' : options.prefix;
+    this.contentType = CONTENT_TYPE;
+    this._metrics = new Map();
+    this._collectors = new Set();
+    this._collection = Promise.resolve(); // last collection, so concurrent scrapes do not add to the same gauges
+    this._server = null;
+  }
+
+  _getOrCreate(MetricClass, name, help, labelNames, ...args) {
+    const fullName = `${this.prefix}${name}`;
+    const existing = this._metrics.get(fullName);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric '${fullName}' is already registered with type '${existing.type}'.`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(fullName, help, labelNames, ...args);
+    this._metrics.set(fullName, metric);
+    return metric;
+  }
+
+  /**
+   * Returns a counter, registering it on first use.
+   * @param {string} name - Name without the prefix.
+   * @param {string} help
+   * @param {string[]} [labelNames=[]]
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this._getOrCreate(Counter, name, help, labelNames);
+  }
+
+  /**
+   * Returns a gauge, registering it on first use. Gauges are reset before each collection.
+   * @param {string} name - Name without the prefix.
+   * @param {string} help
+   * @param {string[]} [labelNames=[]]
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this._getOrCreate(Gauge, name, help, labelNames);
+  }
+
+  /**
+   * Returns a histogram, registering it on first use.
+   * @param {string} name - Name without the prefix.
+   * @param {string} help
+   * @param {string[]} [labelNames=[]]
+   * @param {number[]} [buckets=DURATION_BUCKETS] - Upper bounds of the buckets.
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    return this._getOrCreate(Histogram, name, help, labelNames, buckets);
+  }
+
+  /**
+   * Registers a function called on each collection to update gauges. Collectors add to the
+   * gauges (inc), so several workers of the same queue in one process are summed.
+   * @param {function} collector - May be async.
+   */
+  addCollector(collector) {
+    this._collectors.add(collector);
+  }
+
+  removeCollector(collector) {
+    this._collectors.delete(collector);
+  }
+
+  /**
+   * Renders all the metrics in the Prometheus text format. Collections run one at a time: the
+   * gauges are reset and summed by each one.
+   * @returns {Promise<string>}
+   */
+  metrics() {
+    const collection = this._collection.then(() => this._collect());
+    this._collection = collection.catch(() => {});
+    return collection;
+  }
+
+  async _collect() {
+    for (const metric of this._metrics.values()) {
+      if (metric instanceof Gauge) metric.reset();
+    }
+    await Promise.all([...this._collectors].map(async (collector) => {
+      try {
+        await collector();
+      } catch (err) {
+        logger.warn(`Error collecting metrics: ${err.message}`);
+      }
+    }));
+    return [...this._metrics.values()].map(metric => metric.render()).join('');
+  }
+
+  /**
+   * Starts an HTTP server exposing the metrics. To mount them on an existing server instead,
+   * respond with metrics() and contentType.
+   * @param {object} [options={}]
+   * @param {number} [options.port=9464]
+   * @param {string} [options.host] - Interface to listen on. Default is all of them.
+   * @param {string} [options.path='/metrics']
+   * @returns {Promise<http.Server>}
+   */
+  async startServer({ port = 9464, host, path = '/metrics' } = {}) {
+    if (this._server) {
+      throw new Error('The metrics server is already running.');
+    }
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.writeHead(404).end();
+        return;
+      }
+      this.metrics()
+        .then((body) => {
+          res.writeHead(200, { 'Content-Type': this.contentType }).end(body);
+        })
+        .catch((err) => {
+          logger.error(`Error rendering metrics: ${err.message}`, err);
+          res.writeHead(500).end();
+        });
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this._server = server;
+    logger.info(`Metrics server listening on port ${server.address().port}, path '${path}'.`);
+    return server;
+  }
+
+  async stopServer() {
+    if (!this._server) return;
+    const server = this._server;
+    this._server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    logger.info('Metrics server stopped.');
+  }
+}
+
+const metricsRegistry = new MetricsRegistry();
+export { MetricsRegistry };
+export default metricsRegistry;
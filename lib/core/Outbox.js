@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import Logger from './Logger.js';
+
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'reject'];
+
+/**
+ * Ordered spool of the messages a Publisher could not send while Redis was unreachable.
+ * Entries are kept in memory and, when a file is given, in an append-only log of JSON lines
+ * ({ op: 'add', entry } / { op: 'remove', id }) so they survive a restart of the process.
+ * The log is truncated whenever the outbox empties.
+ */
+class Outbox {
+  /**
+   * Creates an instance of Outbox.
+   * @param {object} [options={}] - Configuration options.
+   * @param {number} [options.maxSize=10000] - Maximum number of spooled messages.
+   * @param {string} [options.overflow='drop-oldest'] - What to do when the outbox is full: 'drop-oldest' evicts the oldest message, 'drop-newest' discards the new one, 'reject' throws to the caller.
+   * @param {string} [options.filePath] - Append-only file where the messages are persisted. Default is memory only.
+   */
+  constructor(options = {}) {
+    const { maxSize = 10000, overflow = 'drop-oldest', filePath = null } = options;
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+      throw new Error('The outbox maxSize option must be a positive integer.');
+    }
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`The outbox overflow option must be one of: ${OVERFLOW_POLICIES.join(', ')}.`);
+    }
+
+    this.maxSize = maxSize;
+    this.overflow = overflow;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.logger = new Logger('Outbox');
+    this._entries = [];
+    if (this.filePath) {
+      this._load();
+    }
+  }
+
+  get size() {
+    return this._entries.length;
+  }
+
+  /**
+   * Returns the oldest entry without removing it.
+   * @returns {object|undefined}
+   */
+  peek() {
+    return this._entries[0];
+  }
+
+  /**
+   * Spools a message, applying the overflow policy when the outbox is full.
+   * @param {object} message - Serializable fields of the message (see Publisher).
+   * @returns {{entry: object|null, dropped: object|null}} - entry is null when the new message was discarded; dropped is the evicted or discarded entry.
+   */
+  add(message) {
+    const entry = { id: crypto.randomUUID(), spooledAt: Date.now(), ...message };
+    let dropped = null;
+
+    if (this._entries.length >= this.maxSize) {
+      if (this.overflow === 'reject') {
+        throw new Error(`The outbox is full (${this.maxSize} messages).`);
+      }
+      if (this.overflow === 'drop-newest') {
+        return { entry: null, dropped: entry };
+      }
+      dropped = this._entries.shift();
+      this._append({ op: 'remove', id: dropped.id });
+    }
+
+    this._entries.push(entry);
+    this._append({ op: 'add', entry });
+    return { entry, dropped };
+  }
+
+  /**
+   * Removes the oldest entry, once it was sent or given up.
+   * @returns {object|undefined}
+   */
+  shift() {
+    const entry = this._entries.shift();
+    if (!entry) return undefined;
+    if (this._entries.length === 0) {
+      this._truncate();
+    } else {
+      this._append({ op: 'remove', id: entry.id });
+    }
+    return entry;
+  }
+
+  _append(record) {
+    if (!this.filePath) return;
+    try {
+      fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    } catch (err) {
+      // The entry stays in memory, so it is still sent unless the process stops
+      this.logger.error(`Error writing to outbox file '${this.filePath}': ${err.message}`);
+    }
+  }
+
+  _truncate() {
+    if (!this.filePath) return;
+    try {
+      fs.writeFileSync(this.filePath, '');
+    } catch (err) {
+      this.logger.error(`Error truncating outbox file '${this.filePath}': ${err.message}`);
+    }
+  }
+
+  /**
+   * Replays the log of a previous process and rewrites it with the pending entries only. When they
+   * exceed maxSize (e.g. it was lowered since), the overflow policy decides which ones are kept:
+   * 'drop-oldest' keeps the newest, 'drop-newest' and 'reject' the oldest, which were spooled first.
+   */
+  _load() {
+    let content = '';
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error(`Error reading outbox file '${this.filePath}': ${err.message}`);
+      }
+      return;
+    }
+
+    const pending = new Map(); // id -> entry, in insertion order
+    for (const line of content.split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        const record = JSON.parse(line);
+        if (record.op === 'add' && record.entry) {
+          pending.set(record.entry.id, record.entry);
+        } else if (record.op === 'remove') {
+          pending.delete(record.id);
+        }
+      } catch (err) {
+        // A line cut short by a crash while it was written
+        this.logger.warn(`Skipping a malformed line of outbox file '${this.filePath}'.`);
+      }
+    }
+
+    this._entries = [...pending.values()];
+    const excess = this._entries.length - this.maxSize;
+    if (excess > 0) {
+      this._entries = this.overflow === 'drop-oldest'
+        ? this._entries.slice(excess)
+        : this._entries.slice(0, this.maxSize);
+      this.logger.warn(`Outbox file '${this.filePath}' holds more than ${this.maxSize} messages: dropped ${excess} (overflow '${this.overflow}').`);
+    }
+    this._truncate();
+    for (const entry of this._entries) {
+      this._append({ op: 'add', entry });
+    }
+    if (this._entries.length > 0) {
+      this.logger.info(`Loaded ${this._entries.length} spooled messages from '${this.filePath}'.`);
+    }
+  }
+}
+
+export default Outbox;
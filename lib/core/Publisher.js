@@ -1,7 +1,52 @@
+import crypto from 'crypto';
+import EventEmitter from 'events';
 import Logger from './Logger.js';
+import JobStore from './JobStore.js';
+import Outbox from './Outbox.js';
+import metricsRegistry, { MetricsRegistry } from './MetricsRegistry.js';
+import { encodePayload, decodePayload, DEFAULT_SERIALIZER } from './codec.js';
+import { replyKey, priorityStreamKey, PRIORITIES } from './keys.js';
+import { arrayToObject, buildTrimArgs } from './streamUtils.js';
+import { injectHeaders, isValidHeaders, withProducerSpan, HEADERS_FIELD } from './tracing.js';
 
-class Publisher {
-  constructor(redisClient) {
+// Errors raised by ioredis and RedisClient when Redis cannot be reached (see Publisher.isConnectionError)
+const CONNECTION_ERROR_NAMES = ['MaxRetriesPerRequestError', 'ClusterAllFailedError'];
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'];
+const CONNECTION_ERROR_MESSAGES = [
+  /^Connection is closed/,
+  /^Stream isn't writeable/,
+  /^Command timed out/,
+  /^No active and ready Redis connection/,
+];
+
+/**
+ * Publishes messages to the streams of the queues. With the outbox option it emits:
+ * - 'spooled' (entry, error): a message could not be sent and waits in the outbox. error is null when it was queued behind earlier spooled messages.
+ * - 'flushed' (entry, messageId): a spooled message was sent.
+ * - 'dropped' (entry, reason): a spooled message was given up (evicted from the full outbox or rejected by Redis).
+ * entry is { id, spooledAt, streamName, targetStream, jobPayload, clientOptions, runAtMs, orderingKeyInfo }.
+ */
+class Publisher extends EventEmitter {
+  /**
+   * Creates an instance of Publisher.
+   * @param {object} redisClient - Redis client with a publishToStream method (e.g., redisSingleton).
+   * @param {object} [options={}] - Configuration options.
+   * @param {string} [options.serializer='json'] - Default serializer of the message payloads ('json', 'msgpack' or a registered one).
+   * @param {object} [options.queueSerializers={}] - Serializer per stream name, overriding the default.
+   * @param {object} [options.retention] - Default retention applied on publish: { maxLen, maxAgeMs, minId, approximate = true } (one of maxLen, maxAgeMs, minId).
+   *   Only the XADDs of the Publisher trim the stream: retries, delayed jobs moved back to the stream and dead-letter writes are added without trimming; use a RetentionSweeper to bound those streams.
+   * @param {object} [options.queueRetention={}] - Retention per stream name, overriding the default.
+   * @param {number} [options.deduplicationWindowMs=3600000] - Default window in ms during which a deduplicationId is remembered.
+   * @param {boolean} [options.trackJobs=true] - Create the status record (waiting/delayed) of each published job.
+   * @param {boolean|MetricsRegistry} [options.metrics=false] - Count the published and the deduplicated messages per queue: true uses the shared metricsRegistry.
+   * @param {boolean|object} [options.outbox=false] - Spool the messages that cannot be sent because Redis is unreachable (a connection error, or a failure while the connection is not ready; other errors are thrown), and send them in order once the connection is ready again. publish() then resolves with null for a spooled message. Delivery becomes at-least-once (a publish that failed mid-flight may have reached Redis); use deduplicationId where duplicates matter. publishAtomic() is never spooled. true uses the defaults, or an object:
+   * @param {number} [options.outbox.maxSize=10000] - Maximum number of spooled messages.
+   * @param {string} [options.outbox.overflow='drop-oldest'] - When the outbox is full: 'drop-oldest', 'drop-newest' (publish() throws for the discarded message, after a 'dropped' event) or 'reject' (publish() throws).
+   * @param {string} [options.outbox.filePath] - Append-only file that keeps the spooled messages across restarts. Default is memory only.
+   * @param {number} [options.outbox.retryIntervalMs=1000] - Interval in ms between checks of the connection while messages are spooled, in addition to its 'ready' event.
+   */
+  constructor(redisClient, options = {}) {
+    super();
     this.logger = new Logger('Publisher');
 
     if (!redisClient || typeof redisClient.publishToStream !== 'function') {
@@ -9,6 +54,46 @@ class Publisher {
       throw new Error('Publisher requires a Redis client with a publishToStream method.');
     }
     this.redisClient = redisClient;
+    this.serializer = options.serializer || DEFAULT_SERIALIZER;
+    this.queueSerializers = options.queueSerializers || {};
+    this.retention = options.retention || null;
+    this.queueRetention = options.queueRetention || {};
+    // Fail fast on invalid retention policies
+    [this.retention, ...Object.values(this.queueRetention)].forEach(buildTrimArgs);
+    this.deduplicationWindowMs = options.deduplicationWindowMs || 3600000;
+    this.trackJobs = options.trackJobs !== false;
+    this._warnedLanes = new Set();
+    this._jobStore = null;
+    this._publishedCounter = null;
+    this._deduplicatedCounter = null;
+    if (options.metrics) {
+      const registry = options.metrics instanceof MetricsRegistry ? options.metrics : metricsRegistry;
+      this._publishedCounter = registry.counter('messages_published_total', 'Messages published, delayed ones included.', ['queue']);
+      this._deduplicatedCounter = registry.counter('messages_deduplicated_total', 'Messages not published because their deduplicationId was already used.', ['queue']);
+    }
+
+    this.publisherId = crypto.randomUUID();
+    this._pendingRequests = new Map(); // correlationId -> { resolve, reject, timeoutId }
+    this._replyConnection = null;
+    this._replyListening = false;
+    this._lastReplyId = '0';
+
+    this._outbox = null;
+    this._flushing = false;
+    this._flushTimeoutId = null;
+    this._watchedClient = null;
+    this._onConnectionReady = () => {
+      this.logger.info(`Redis connection ready, flushing ${this._outbox.size} spooled messages.`);
+      this._flushOutbox();
+    };
+    if (options.outbox) {
+      const { retryIntervalMs = 1000, ...outboxOptions } = options.outbox === true ? {} : options.outbox;
+      this._outbox = new Outbox(outboxOptions);
+      this._outboxRetryIntervalMs = retryIntervalMs;
+      if (this._outbox.size > 0) {
+        this._scheduleFlush();
+      }
+    }
     this.logger.info('Publisher initialized successfully.');
   }
 
@@ -18,9 +103,269 @@ class Publisher {
    * @param {object} messageData - The data of the message to be published.
    * @param {object} [options={}] - Additional publishing options.
    * @param {string} [options.orderingKey] - Optional key to ensure processing order.
-   * @returns {Promise<string|null>} - The ID of the published message, or null if it fails (depends on redisClient.publishToStream).
+   * @param {string} [options.priority='normal'] - 'high', 'normal' or 'low'. Messages other than 'normal' are only consumed by workers started with the priorities option; the first publish to each lane logs a warning as a reminder.
+   * @param {number} [options.attempts] - Number of attempts for this message, overriding the worker default.
+   * @param {object} [options.backoff] - Delay between attempts for this message: { type: 'fixed'|'exponential', delayMs, maxDelayMs, jitter }.
+   * @param {number} [options.jobTimeoutMs] - Maximum time in ms for one attempt of this message, overriding the worker default.
+   * @param {number} [options.delayMs] - Time in ms to wait before the message is added to the stream.
+   * @param {Date|number} [options.runAt] - Date (or timestamp in ms) at which the message is added to the stream.
+   * @param {string} [options.deduplicationId] - Logical ID of the message. Publishing the same ID again within the window returns the original ID instead of adding a duplicate.
+   * @param {number} [options.deduplicationWindowMs] - Deduplication window in ms for this message, overriding the Publisher default.
+   * @param {string} [options.replyTo] - Stream where the worker writes the outcome of the job (used by request()).
+   * @param {string} [options.correlationId] - ID that identifies the reply of this message (used by request()).
+   * @param {object} [options.headers] - Metadata delivered to the handler in context.headers (string values). The active trace context (traceparent/tracestate) is added when OpenTelemetry is installed, and publish(), publishMany() and publishAtomic() run in a producer span.
+   * @returns {Promise<string|null>} - The ID of the published message (or of the scheduled job when delayed), or null if it was spooled to the outbox.
    */
   async publish(streamName, messageData, options = {}) {
+    const { id } = await withProducerSpan(streamName, () => this._publish(streamName, messageData, options));
+    return id;
+  }
+
+  /**
+   * Publishes a message like publish(), reporting how it was handled.
+   * @returns {Promise<{id: string|null, deduplicated: boolean, spooled: boolean}>}
+   */
+  async _publish(streamName, messageData, options) {
+    return this._sendOrSpool({ streamName, ...this._preparePublish(streamName, messageData, options) });
+  }
+
+  /**
+   * Sends a prepared message, or spools it when the outbox is in use and Redis is unreachable.
+   * @param {object} prepared - See _sendPrepared().
+   * @returns {Promise<{id: string|null, deduplicated: boolean, spooled: boolean}>}
+   */
+  async _sendOrSpool(prepared) {
+    if (this._outbox && this._outbox.size > 0) {
+      // Behind the spooled messages, so they reach the stream in the order they were published
+      this._spoolOrThrow(prepared);
+      return { id: null, deduplicated: false, spooled: true };
+    }
+    try {
+      return { ...await this._sendPrepared(prepared), spooled: false };
+    } catch (error) {
+      if (this._outbox && this._isUnreachable(error)) {
+        this._spoolOrThrow(prepared, error);
+        return { id: null, deduplicated: false, spooled: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Spools a message of publish(). Throws when the outbox drops it (policy 'drop-newest'), as
+   * publishMany() reports it, so a null result always means the message is waiting in the outbox.
+   * @param {object} prepared - See _sendPrepared().
+   * @param {Error|null} [error=null] - Error of the failed publish.
+   */
+  _spoolOrThrow(prepared, error = null) {
+    if (!this._spool(prepared, error)) {
+      throw new Error('The outbox is full and the message was dropped.');
+    }
+  }
+
+  /**
+   * Sends a message prepared by _preparePublish() (a spooled one included).
+   * @param {object} prepared - { streamName, jobPayload, orderingKeyInfo, clientOptions, runAtMs, targetStream }.
+   * @returns {Promise<{id: string, deduplicated: boolean}>} - Message ID, or scheduled job ID when delayed. A duplicate
+   *   (see the deduplicationId option) gets the ID of the original message and is not counted as published.
+   */
+  async _sendPrepared({ streamName, jobPayload, orderingKeyInfo, clientOptions, runAtMs, targetStream }) {
+    if (runAtMs !== null) {
+      return this._schedule(streamName, jobPayload, runAtMs, orderingKeyInfo, clientOptions, targetStream);
+    }
+
+    this.logger.debug(`Attempting to publish to stream '${streamName}' ${orderingKeyInfo}. Payload:`, jobPayload);
+
+    try {
+      // Delegate to the stream publishing method of the Redis client.
+      // The client (e.g., RedisSingleton) will ensure the connection.
+      const retention = this.queueRetention[streamName] || this.retention;
+      if (retention) {
+        clientOptions.retention = retention;
+      }
+      let messageId;
+      let deduplicated = false;
+      if (clientOptions.deduplicationId && typeof this.redisClient.publishOnceToStream === 'function') {
+        ({ id: messageId, deduplicated } = await this.redisClient.publishOnceToStream(targetStream, jobPayload, clientOptions));
+      } else {
+        messageId = Object.keys(clientOptions).length > 0
+          ? await this.redisClient.publishToStream(targetStream, jobPayload, clientOptions)
+          : await this.redisClient.publishToStream(targetStream, jobPayload);
+      }
+      if (deduplicated) {
+        this._countDeduplicated(streamName, clientOptions.deduplicationId, messageId);
+        return { id: messageId, deduplicated };
+      }
+      this.logger.info(`Message published successfully to stream '${targetStream}' ${orderingKeyInfo}. Message ID: ${messageId}`);
+      this._countPublished(streamName, 1);
+      await this._trackCreated(streamName, messageId);
+      return { id: messageId, deduplicated };
+    } catch (error) {
+      this.logger.error(`Error publishing to stream '${streamName}': ${error.message}`, { streamName, payload: jobPayload, error });
+      throw error; // Re-throw the error to be handled by the caller
+    }
+  }
+
+  /**
+   * Publishes several messages to a stream using pipelines, in one producer span. The messages
+   * reach the stream in the order of the items; items with delayMs, runAt or deduplicationId are
+   * published individually, in that order too.
+   * @param {string} streamName - The name of the stream (topic/queue).
+   * @param {Array<{data: object, options?: object}>} items - Messages and their publishing options (see publish()).
+   * @returns {Promise<Array<{id: string|null, error: Error|null, spooled?: boolean, deduplicated?: boolean}>>} - Outcome of each item, in order. spooled is true for the items waiting in the outbox, deduplicated for the items not published because of their deduplicationId (id is then the ID of the original message).
+   */
+  async publishMany(streamName, items) {
+    if (!Array.isArray(items)) {
+      this.logger.error('Publish Error: items must be an array.', { items });
+      throw new Error('The items to publish must be an array.');
+    }
+    if (typeof this.redisClient.publishManyToStream !== 'function') {
+      this.logger.error('Publish Error: The Redis client does not support bulk publishing (publishManyToStream).');
+      throw new Error('Bulk publishing requires a Redis client with a publishManyToStream method.');
+    }
+    return withProducerSpan(streamName, () => this._publishMany(streamName, items));
+  }
+
+  async _publishMany(streamName, items) {
+    const results = new Array(items.length);
+    const retention = this.queueRetention[streamName] || this.retention;
+    // Consecutive items for the same stream (priority lane) share a pipeline. An item published
+    // individually, or for another lane, sends the pending pipeline first, so the messages reach
+    // Redis in the order of the items.
+    let batch = [];
+
+    const spoolBatch = (pending, error) => {
+      for (const { index, prepared } of pending) {
+        try {
+          results[index] = this._spool(prepared, error)
+            ? { id: null, error: null, spooled: true }
+            : { id: null, error: new Error('The outbox is full and the message was dropped.') };
+        } catch (spoolError) {
+          results[index] = { id: null, error: spoolError };
+        }
+      }
+    };
+
+    const sendBatch = async () => {
+      if (batch.length === 0) return;
+      const pending = batch;
+      batch = [];
+      const { targetStream } = pending[0].prepared;
+      if (this._outbox && this._outbox.size > 0) {
+        spoolBatch(pending, null);
+        return;
+      }
+      try {
+        const replies = await this.redisClient.publishManyToStream(
+          targetStream, pending.map(({ prepared }) => prepared.jobPayload), retention ? { retention } : {}
+        );
+        replies.forEach((reply, i) => {
+          results[pending[i].index] = reply;
+        });
+        const createdIds = replies.filter(({ id }) => id).map(({ id }) => id);
+        this._countPublished(streamName, createdIds.length);
+        await this._trackCreatedMany(streamName, createdIds);
+      } catch (error) {
+        this.logger.error(`Error publishing a batch to stream '${targetStream}': ${error.message}`, { streamName: targetStream, error });
+        if (this._outbox && this._isUnreachable(error)) {
+          spoolBatch(pending, error);
+          return;
+        }
+        for (const { index } of pending) {
+          results[index] = { id: null, error };
+        }
+      }
+    };
+
+    for (const [index, item] of items.entries()) {
+      const { data, options = {} } = item || {};
+      let prepared;
+      try {
+        prepared = { streamName, ...this._preparePublish(streamName, data, options) };
+      } catch (error) {
+        results[index] = { id: null, error };
+        continue;
+      }
+
+      // Delayed and deduplicated items are published individually
+      if (prepared.runAtMs === null && !prepared.clientOptions.deduplicationId) {
+        if (batch.length > 0 && batch[0].prepared.targetStream !== prepared.targetStream) {
+          await sendBatch();
+        }
+        batch.push({ index, prepared });
+        continue;
+      }
+      await sendBatch();
+      try {
+        const { id, deduplicated, spooled } = await this._sendOrSpool(prepared);
+        results[index] = { id, error: null };
+        if (spooled) results[index].spooled = true;
+        if (deduplicated) results[index].deduplicated = true;
+      } catch (error) {
+        results[index] = { id: null, error };
+      }
+    }
+    await sendBatch();
+
+    const failed = results.filter(({ error }) => error).length;
+    const deduplicated = results.filter(result => result.deduplicated).length;
+    this.logger.info(`Batch of ${items.length} messages published to stream '${streamName}' (${failed} failed, ${deduplicated} deduplicated).`);
+    return results;
+  }
+
+  /**
+   * Publishes messages to one or more streams all-or-nothing (e.g. "order created" + "inventory reserved").
+   * Delayed and deduplicated messages are not supported. In Redis Cluster all streams must share a hash slot (a common hash tag such as `{shop}`), which is checked before sending.
+   * Runs in one producer span, named after the streams of the entries.
+   * @param {Array<{stream: string, data: object, options?: object}>} entries - Messages and their publishing options.
+   * @returns {Promise<string[]>} - Message IDs, in the order of the entries.
+   */
+  async publishAtomic(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      this.logger.error('Publish Error: entries must be a non-empty array.', { entries });
+      throw new Error('The entries to publish must be a non-empty array.');
+    }
+    if (typeof this.redisClient.publishAtomic !== 'function') {
+      this.logger.error('Publish Error: The Redis client does not support atomic publishing (publishAtomic).');
+      throw new Error('Atomic publishing requires a Redis client with a publishAtomic method.');
+    }
+    const queueNames = [...new Set(entries.map(entry => entry && entry.stream))].join(',');
+    return withProducerSpan(queueNames, () => this._publishAtomic(entries));
+  }
+
+  async _publishAtomic(entries) {
+    const prepared = entries.map(({ stream, data, options = {} }) => {
+      const { jobPayload, clientOptions, runAtMs, targetStream } = this._preparePublish(stream, data, options);
+      if (runAtMs !== null || clientOptions.deduplicationId) {
+        this.logger.error('Publish Error: Delayed or deduplicated messages cannot be published atomically.', { stream });
+        throw new Error('publishAtomic does not support the delayMs, runAt and deduplicationId options.');
+      }
+      const retention = this.queueRetention[stream] || this.retention;
+      return { streamName: targetStream, jobData: jobPayload, retention, queueName: stream };
+    });
+
+    try {
+      const ids = await this.redisClient.publishAtomic(prepared);
+      this.logger.info(`Atomic batch of ${ids.length} messages published. Message IDs: ${ids.join(', ')}`);
+      for (let i = 0; i < ids.length; i++) {
+        this._countPublished(prepared[i].queueName, 1);
+        await this._trackCreated(prepared[i].queueName, ids[i]);
+      }
+      return ids;
+    } catch (error) {
+      this.logger.error(`Error publishing atomic batch: ${error.message}`, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Validates a message and its options and builds the stream fields to publish.
+   * @param {string} streamName
+   * @param {object} messageData
+   * @param {object} options - See publish().
+   * @returns {{jobPayload: object, orderingKeyInfo: string, clientOptions: object, runAtMs: number|null, targetStream: string}} - targetStream is the stream of the priority of the message.
+   */
+  _preparePublish(streamName, messageData, options) {
     if (!streamName || typeof streamName !== 'string' || streamName.trim() === '') {
       this.logger.error('Publish Error: Stream name must be a non-empty string.', { streamName });
       throw new Error('The stream name must be a non-empty string.');
@@ -30,7 +375,8 @@ class Publisher {
       throw new Error('The message data must be an object.');
     }
 
-    const jobPayload = { ...messageData };
+    // The payload is encoded into the `_data` field; reserved fields travel next to it
+    const jobPayload = encodePayload(messageData, this.queueSerializers[streamName] || this.serializer);
     let orderingKeyInfo = 'without orderingKey';
 
     if (options.orderingKey && typeof options.orderingKey === 'string' && options.orderingKey.trim() !== '') {
@@ -38,17 +384,538 @@ class Publisher {
       orderingKeyInfo = `with orderingKey '${jobPayload._orderingKey}'`;
     }
 
-    this.logger.debug(`Attempting to publish to stream '${streamName}' ${orderingKeyInfo}. Payload:`, jobPayload);
+    const priority = options.priority === undefined ? 'normal' : options.priority;
+    if (!PRIORITIES.includes(priority)) {
+      this.logger.error('Publish Error: Invalid priority option.', { priority });
+      throw new Error(`The priority option must be one of: ${PRIORITIES.join(', ')}.`);
+    }
+    const targetStream = priorityStreamKey(streamName, priority);
+    if (priority !== 'normal' && !this._warnedLanes.has(targetStream)) {
+      this._warnedLanes.add(targetStream);
+      this.logger.warn(`Publishing to the '${priority}' priority lane of '${streamName}'. Its messages are only consumed by workers started with the priorities option.`);
+    }
+
+    if (options.attempts !== undefined) {
+      if (!Number.isInteger(options.attempts) || options.attempts < 1) {
+        this.logger.error('Publish Error: attempts must be a positive integer.', { attempts: options.attempts });
+        throw new Error('The attempts option must be a positive integer.');
+      }
+      jobPayload._attempts = options.attempts;
+    }
+    if (options.backoff !== undefined) {
+      if (typeof options.backoff !== 'object' || options.backoff === null ||
+        (options.backoff.type && !['fixed', 'exponential'].includes(options.backoff.type))) {
+        this.logger.error('Publish Error: Invalid backoff option.', { backoff: options.backoff });
+        throw new Error("The backoff option must be an object with type 'fixed' or 'exponential'.");
+      }
+      jobPayload._backoff = JSON.stringify(options.backoff);
+    }
+    if (options.jobTimeoutMs !== undefined) {
+      if (!Number.isInteger(options.jobTimeoutMs) || options.jobTimeoutMs < 1) {
+        this.logger.error('Publish Error: jobTimeoutMs must be a positive integer.', { jobTimeoutMs: options.jobTimeoutMs });
+        throw new Error('The jobTimeoutMs option must be a positive integer.');
+      }
+      jobPayload._timeoutMs = options.jobTimeoutMs;
+    }
+    if (options.replyTo) {
+      jobPayload._replyTo = options.replyTo;
+      jobPayload._correlationId = options.correlationId || crypto.randomUUID();
+    }
+    if (options.headers !== undefined && !isValidHeaders(options.headers)) {
+      this.logger.error('Publish Error: headers must be an object with string values.', { headers: options.headers });
+      throw new Error('The headers option must be an object with string values.');
+    }
+    const headers = injectHeaders(options.headers);
+    if (Object.keys(headers).length > 0) {
+      jobPayload[HEADERS_FIELD] = JSON.stringify(headers);
+    }
+
+    const clientOptions = {};
+    if (options.deduplicationId !== undefined) {
+      if (typeof options.deduplicationId !== 'string' || options.deduplicationId.trim() === '') {
+        this.logger.error('Publish Error: deduplicationId must be a non-empty string.', { deduplicationId: options.deduplicationId });
+        throw new Error('The deduplicationId option must be a non-empty string.');
+      }
+      const windowMs = options.deduplicationWindowMs || this.deduplicationWindowMs;
+      if (!Number.isInteger(windowMs) || windowMs < 1) {
+        this.logger.error('Publish Error: deduplicationWindowMs must be a positive integer.', { deduplicationWindowMs: windowMs });
+        throw new Error('The deduplicationWindowMs option must be a positive integer.');
+      }
+      clientOptions.deduplicationId = options.deduplicationId.trim();
+      clientOptions.deduplicationWindowMs = windowMs;
+      if (targetStream !== streamName) {
+        // Deduplication IDs are shared by all the priorities of the queue
+        clientOptions.queueName = streamName;
+      }
+    }
+
+    const runAtMs = this._resolveRunAt(options);
+    if (runAtMs !== null && typeof this.redisClient.scheduleToStream !== 'function') {
+      this.logger.error('Publish Error: The Redis client does not support delayed publishing (scheduleToStream).');
+      throw new Error('Delayed publishing requires a Redis client with a scheduleToStream method.');
+    }
+    return { jobPayload, orderingKeyInfo, clientOptions, runAtMs, targetStream };
+  }
+
+  /**
+   * Publishes a message and waits for the result of its handler (request/reply).
+   * Replies are written by the worker to a stream owned by this Publisher, so they survive
+   * reconnections of the caller.
+   * @param {string} streamName - The name of the stream (topic/queue).
+   * @param {object} messageData - The data of the message to be published.
+   * @param {object} [options={}] - Publishing options (see publish()).
+   * @param {number} [options.timeoutMs=30000] - Maximum time in ms to wait for the reply.
+   * @returns {Promise<*>} - Resolves with the value returned by the handler, or rejects with its error.
+   */
+  async request(streamName, messageData, options = {}) {
+    const { timeoutMs = 30000, ...publishOptions } = options;
+    if (typeof timeoutMs !== 'number' || timeoutMs <= 0) {
+      this.logger.error('Request Error: timeoutMs must be a positive number.', { timeoutMs });
+      throw new Error('The timeoutMs option must be a positive number.');
+    }
+
+    this._startReplyListener();
+    const correlationId = crypto.randomUUID();
+
+    const reply = new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this._pendingRequests.delete(correlationId);
+        reject(new Error(`Request ${correlationId} to stream '${streamName}' timed out after ${timeoutMs}ms.`));
+      }, timeoutMs);
+      this._pendingRequests.set(correlationId, { resolve, reject, timeoutId });
+    });
+    // The timeout may reject it while publish() is still awaited; the caller gets it once returned
+    reply.catch(() => {});
 
     try {
-      // Delegate to the stream publishing method of the Redis client.
-      // The client (e.g., RedisSingleton) will ensure the connection.
-      const messageId = await this.redisClient.publishToStream(streamName, jobPayload);
-      this.logger.info(`Message published successfully to stream '${streamName}' ${orderingKeyInfo}. Message ID: ${messageId}`);
-      return messageId;
+      await this.publish(streamName, messageData, {
+        ...publishOptions,
+        replyTo: replyKey(this.publisherId),
+        correlationId,
+      });
     } catch (error) {
-      this.logger.error(`Error publishing to stream '${streamName}': ${error.message}`, { streamName, payload: jobPayload, error });
-      throw error; // Re-throw the error to be handled by the caller
+      const pending = this._pendingRequests.get(correlationId);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this._pendingRequests.delete(correlationId);
+      }
+      throw error;
+    }
+
+    return reply;
+  }
+
+  _startReplyListener() {
+    if (this._replyListening) return;
+
+    const rawClient = typeof this.redisClient.getRawClient === 'function'
+      ? this.redisClient.getRawClient()
+      : this.redisClient;
+    if (!rawClient || typeof rawClient.duplicate !== 'function') {
+      this.logger.error('Request Error: request() requires a connected ioredis client (call redisSingleton.connect() first).');
+      throw new Error('request() requires a connected Redis client that supports duplicate().');
+    }
+
+    // Replies are read with a blocking XREAD, so they get their own connection
+    this._replyConnection = rawClient.duplicate();
+    this._replyConnection.on('error', (err) => {
+      this.logger.error(`Reply connection error: ${err.message}`);
+    });
+    this._replyListening = true;
+    this._listenForReplies();
+  }
+
+  async _listenForReplies() {
+    const key = replyKey(this.publisherId);
+    await this._waitForReplyConnection();
+    this.logger.info(`Listening for replies on '${key}'.`);
+
+    while (this._replyListening) {
+      try {
+        const results = await this._replyConnection.xread('BLOCK', 5000, 'STREAMS', key, this._lastReplyId);
+        if (!results || !results[0]) continue;
+        const handledIds = [];
+        for (const [id, rawFields] of results[0][1]) {
+          this._lastReplyId = id;
+          this._handleReply(arrayToObject(rawFields));
+          handledIds.push(id);
+        }
+        // Replies are read once, so they are deleted right away instead of piling up in the stream
+        this._replyConnection.xdel(key, ...handledIds)
+          .catch(err => this.logger.warn(`Error deleting ${handledIds.length} handled replies from '${key}': ${err.message}`));
+      } catch (err) {
+        if (!this._replyListening) break;
+        // Keep the last read ID: replies written while disconnected are read once the connection is back
+        this.logger.error(`Error reading replies from '${key}': ${err.message}. Retrying in 1s.`);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Waits until the reply connection can take commands (the offline queue may be disabled),
+   * or until it is closed.
+   * @returns {Promise<void>}
+   */
+  async _waitForReplyConnection() {
+    const connection = this._replyConnection;
+    if (!connection.status || connection.status === 'ready') return;
+
+    await new Promise((resolve) => {
+      const onSettled = () => {
+        connection.removeListener('ready', onSettled);
+        connection.removeListener('end', onSettled);
+        resolve();
+      };
+      connection.once('ready', onSettled);
+      connection.once('end', onSettled);
+    });
+  }
+
+  _handleReply(fields) {
+    const pending = this._pendingRequests.get(fields._correlationId);
+    if (!pending) {
+      this.logger.debug(`Ignoring reply for unknown or expired request ${fields._correlationId}.`);
+      return;
+    }
+    clearTimeout(pending.timeoutId);
+    this._pendingRequests.delete(fields._correlationId);
+
+    if (fields._status === 'completed') {
+      try {
+        pending.resolve(decodePayload(fields).data);
+      } catch (err) {
+        pending.reject(err);
+      }
+    } else {
+      let details = {};
+      try {
+        details = JSON.parse(fields._error || '{}');
+      } catch (err) {
+        details = { message: fields._error };
+      }
+      const error = new Error(details.message || 'Job failed.');
+      if (details.name) error.name = details.name;
+      if (details.stack) error.remoteStack = details.stack;
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Stops listening for replies and rejects the requests still waiting for one. Spooled messages
+   * are no longer flushed.
+   */
+  async close() {
+    if (this._flushTimeoutId) {
+      clearTimeout(this._flushTimeoutId);
+      this._flushTimeoutId = null;
+    }
+    this._unwatchConnection();
+    if (this._outbox && this._outbox.size > 0) {
+      this.logger.warn(this._outbox.filePath
+        ? `Publisher closed with ${this._outbox.size} spooled messages, kept in '${this._outbox.filePath}'.`
+        : `Publisher closed with ${this._outbox.size} spooled messages, which are lost.`);
+    }
+
+    if (!this._replyListening) return;
+    this._replyListening = false;
+
+    for (const [correlationId, pending] of this._pendingRequests) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(new Error(`Publisher closed before request ${correlationId} got a reply.`));
+    }
+    this._pendingRequests.clear();
+
+    if (this._replyConnection) {
+      this._replyConnection.disconnect();
+      this._replyConnection = null;
+    }
+    this.logger.info('Publisher closed.');
+  }
+
+  /**
+   * Number of messages waiting in the outbox.
+   * @returns {number}
+   */
+  get outboxSize() {
+    return this._outbox ? this._outbox.size : 0;
+  }
+
+  /**
+   * Sends the spooled messages now, in order. Stops at the first one that fails because Redis is
+   * still unreachable (it is retried later); messages rejected by Redis itself are dropped.
+   * @returns {Promise<void>}
+   */
+  async flushOutbox() {
+    await this._flushOutbox();
+  }
+
+  /**
+   * Whether an error is one ioredis raises when Redis cannot be reached (network errors, a closed
+   * or not ready connection, exhausted retries), so the publish may succeed later. Anything else,
+   * such as Redis rejecting the command or an invalid message, is not.
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isConnectionError(error) {
+    if (!error) return false;
+    if (CONNECTION_ERROR_NAMES.includes(error.name) || CONNECTION_ERROR_CODES.includes(error.code)) return true;
+    // ioredis and RedisClient reject the commands of an unusable connection with plain Errors
+    return CONNECTION_ERROR_MESSAGES.some(pattern => pattern.test(error.message));
+  }
+
+  /**
+   * Whether a failed publish must be spooled: the error is a connection error, or the connection
+   * is not ready (whatever the error raised meanwhile).
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  _isUnreachable(error) {
+    if (!error || error.name === 'ReplyError') return false;
+    return Publisher.isConnectionError(error) || !this._isRedisReady();
+  }
+
+  /**
+   * Adds a prepared message to the outbox, applying its overflow policy.
+   * @param {object} prepared - See _sendPrepared().
+   * @param {Error|null} [error=null] - Error of the failed publish.
+   * @returns {object|null} - The outbox entry, or null when the message was dropped.
+   */
+  _spool(prepared, error = null) {
+    let added;
+    try {
+      added = this._outbox.add(prepared);
+    } catch (overflowError) {
+      this.logger.error(`Message for stream '${prepared.streamName}' rejected: ${overflowError.message}`);
+      throw overflowError;
+    }
+
+    const { entry, dropped } = added;
+    if (dropped) {
+      this.logger.warn(`Outbox full: message ${dropped.id} for stream '${dropped.streamName}' dropped (policy '${this._outbox.overflow}').`);
+      this._emit('dropped', dropped, new Error(`The outbox is full (${this._outbox.maxSize} messages).`));
+    }
+    if (entry) {
+      this.logger.warn(`Message for stream '${entry.streamName}' spooled to the outbox (${this._outbox.size} pending)${error ? `: ${error.message}` : '.'}`);
+      this._emit('spooled', entry, error);
+    }
+    this._watchConnection();
+    this._scheduleFlush();
+    return entry;
+  }
+
+  async _flushOutbox() {
+    if (this._flushing || !this._outbox || this._outbox.size === 0) return;
+    this._flushing = true;
+    try {
+      // Messages spooled meanwhile are appended, so the loop also sends them in order
+      while (this._outbox.size > 0) {
+        const entry = this._outbox.peek();
+        let messageId;
+        try {
+          ({ id: messageId } = await this._sendPrepared(entry));
+        } catch (error) {
+          if (this._isUnreachable(error)) {
+            this.logger.warn(`Outbox flush interrupted, ${this._outbox.size} messages still spooled: ${error.message}`);
+            this._scheduleFlush();
+            return;
+          }
+          // Retrying a command Redis rejects would block the messages behind it forever
+          this._outbox.shift();
+          this._emit('dropped', entry, error);
+          continue;
+        }
+        this._outbox.shift();
+        this._emit('flushed', entry, messageId);
+      }
+      this.logger.info('Outbox flushed.');
+    } finally {
+      this._flushing = false;
+    }
+  }
+
+  /**
+   * Checks the connection periodically while messages are spooled: the 'ready' event is missed
+   * when the connection is replaced (e.g. redisSingleton.connect() again).
+   */
+  _scheduleFlush() {
+    if (this._flushTimeoutId) return;
+    this._flushTimeoutId = setTimeout(() => {
+      this._flushTimeoutId = null;
+      if (this._outbox.size === 0) return;
+      this._watchConnection();
+      if (this._isRedisReady()) {
+        this._flushOutbox();
+      } else {
+        this._scheduleFlush();
+      }
+    }, this._outboxRetryIntervalMs);
+    // Pending messages alone do not keep the process alive
+    this._flushTimeoutId.unref();
+  }
+
+  _isRedisReady() {
+    return typeof this.redisClient.health === 'function' ? this.redisClient.health().connected : true;
+  }
+
+  /**
+   * Flushes the outbox on the 'ready' event of the current raw connection.
+   */
+  _watchConnection() {
+    if (typeof this.redisClient.health === 'function' && this.redisClient.health().status === 'disconnected') {
+      return; // Not connected yet: there is no raw connection to watch
+    }
+    let rawClient = this.redisClient;
+    if (typeof this.redisClient.getRawClient === 'function') {
+      rawClient = this.redisClient.getRawClient();
+    } else if (typeof this.redisClient.getClientInstance === 'function') {
+      rawClient = this.redisClient.getClientInstance();
+    }
+    if (!rawClient || rawClient === this._watchedClient || typeof rawClient.on !== 'function') return;
+
+    this._unwatchConnection();
+    rawClient.on('ready', this._onConnectionReady);
+    this._watchedClient = rawClient;
+  }
+
+  _unwatchConnection() {
+    if (this._watchedClient) {
+      this._watchedClient.removeListener('ready', this._onConnectionReady);
+      this._watchedClient = null;
+    }
+  }
+
+  _emit(event, ...args) {
+    try {
+      this.emit(event, ...args);
+    } catch (err) {
+      this.logger.error(`Error in a '${event}' event listener: ${err.message}`, err);
+    }
+  }
+
+  /**
+   * Returns the JobStore bound to the current raw connection (it changes if the singleton reconnects).
+   * @returns {JobStore|null}
+   */
+  _getJobStore() {
+    const rawClient = typeof this.redisClient.getRawClient === 'function'
+      ? this.redisClient.getRawClient()
+      : this.redisClient;
+    if (!rawClient || typeof rawClient.hsetnx !== 'function') {
+      return null;
+    }
+    if (!this._jobStore || this._jobStore.redisClient !== rawClient) {
+      this._jobStore = new JobStore(rawClient);
+    }
+    return this._jobStore;
+  }
+
+  _countPublished(streamName, count) {
+    if (this._publishedCounter && count > 0) {
+      this._publishedCounter.inc({ queue: streamName }, count);
+    }
+  }
+
+  /**
+   * Records a message that was not published because its deduplication ID was already used.
+   * @param {string} streamName
+   * @param {string} deduplicationId
+   * @param {string} originalId - ID of the message (or scheduled job) published with that deduplication ID.
+   */
+  _countDeduplicated(streamName, deduplicationId, originalId) {
+    this.logger.info(`Duplicate message '${deduplicationId}' not published to stream '${streamName}'. Original ID: ${originalId}`);
+    if (this._deduplicatedCounter) {
+      this._deduplicatedCounter.inc({ queue: streamName });
+    }
+  }
+
+  async _trackCreated(streamName, jobId, delayedUntil) {
+    if (!this.trackJobs) return;
+    try {
+      const jobStore = this._getJobStore();
+      if (jobStore) {
+        await jobStore.markCreated(streamName, jobId, delayedUntil);
+      }
+    } catch (err) {
+      this.logger.warn(`Error creating status record of job ${jobId}: ${err.message}`);
+    }
+  }
+
+  async _trackCreatedMany(streamName, jobIds) {
+    if (!this.trackJobs || jobIds.length === 0) return;
+    try {
+      const jobStore = this._getJobStore();
+      if (jobStore) {
+        await jobStore.markCreatedMany(streamName, jobIds);
+      }
+    } catch (err) {
+      this.logger.warn(`Error creating status records of ${jobIds.length} jobs: ${err.message}`);
+    }
+  }
+
+  /**
+   * Returns the status record of a job published with publish().
+   * @param {string} streamName - The name of the stream (topic/queue).
+   * @param {string} jobId - ID returned by publish().
+   * @returns {Promise<object|null>} - See JobStore.getJob().
+   */
+  async getJob(streamName, jobId) {
+    const jobStore = this._getJobStore();
+    if (!jobStore) {
+      this.logger.error('getJob Error: No connected Redis client available.');
+      throw new Error('getJob() requires a connected Redis client.');
+    }
+    return jobStore.getJob(streamName, jobId);
+  }
+
+  /**
+   * Resolves the delayMs/runAt options into a timestamp.
+   * @param {object} options - Publishing options.
+   * @returns {number|null} - Timestamp in ms, or null when the message must be published immediately.
+   */
+  _resolveRunAt(options) {
+    if (options.delayMs !== undefined && options.runAt !== undefined) {
+      this.logger.error('Publish Error: delayMs and runAt cannot be used together.');
+      throw new Error('The delayMs and runAt options cannot be used together.');
+    }
+    if (options.delayMs !== undefined) {
+      if (typeof options.delayMs !== 'number' || !Number.isFinite(options.delayMs) || options.delayMs < 0) {
+        this.logger.error('Publish Error: delayMs must be a non-negative number.', { delayMs: options.delayMs });
+        throw new Error('The delayMs option must be a non-negative number.');
+      }
+      return options.delayMs > 0 ? Date.now() + options.delayMs : null;
+    }
+    if (options.runAt !== undefined) {
+      const runAtMs = options.runAt instanceof Date ? options.runAt.getTime() : options.runAt;
+      if (typeof runAtMs !== 'number' || !Number.isFinite(runAtMs)) {
+        this.logger.error('Publish Error: runAt must be a valid Date or timestamp.', { runAt: options.runAt });
+        throw new Error('The runAt option must be a valid Date or timestamp in ms.');
+      }
+      return runAtMs > Date.now() ? runAtMs : null;
+    }
+    return null;
+  }
+
+  async _schedule(streamName, jobPayload, runAtMs, orderingKeyInfo, clientOptions = {}, targetStream = streamName) {
+    this.logger.debug(`Attempting to schedule a message for stream '${streamName}' ${orderingKeyInfo} at ${new Date(runAtMs).toISOString()}.`);
+
+    try {
+      // The scheduled ID identifies the job (and its status record) once it reaches the stream
+      const jobData = { ...jobPayload, _jobId: crypto.randomUUID() };
+      const { id: scheduledId, deduplicated } = clientOptions.deduplicationId && typeof this.redisClient.scheduleOnceToStream === 'function'
+        ? await this.redisClient.scheduleOnceToStream(targetStream, jobData, runAtMs, clientOptions)
+        : { id: await this.redisClient.scheduleToStream(targetStream, jobData, runAtMs, clientOptions), deduplicated: false };
+      if (deduplicated) {
+        this._countDeduplicated(streamName, clientOptions.deduplicationId, scheduledId);
+        return { id: scheduledId, deduplicated };
+      }
+      this.logger.info(`Message scheduled successfully for stream '${targetStream}' ${orderingKeyInfo}. Scheduled job ID: ${scheduledId}`);
+      this._countPublished(streamName, 1);
+      await this._trackCreated(streamName, scheduledId, runAtMs);
+      return { id: scheduledId, deduplicated };
+    } catch (error) {
+      this.logger.error(`Error scheduling message for stream '${streamName}': ${error.message}`, { streamName, payload: jobPayload, error });
+      throw error;
     }
   }
 }
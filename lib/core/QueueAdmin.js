@@ -0,0 +1,307 @@
+import Logger from './Logger.js';
+import redisSingleton from './RedisSingleton.js';
+import { arrayToObject } from './streamUtils.js';
+import { decodePayload } from './codec.js';
+
+// Highest sequence number of a stream ID, used to position a group right before a timestamp
+const MAX_SEQUENCE = '18446744073709551615';
+
+/**
+ * Converts an XINFO reply (flat list of kebab-case keys and values) into a camelCase object.
+ * @param {Array} reply
+ * @returns {object}
+ */
+function parseInfoReply(reply) {
+  const info = {};
+  for (const [key, value] of Object.entries(arrayToObject(reply))) {
+    info[key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+  }
+  return info;
+}
+
+/**
+ * Milliseconds elapsed since the creation of a stream entry, derived from its ID.
+ * @param {string} id - Stream ID (e.g. '1700000000000-0').
+ * @returns {number|null}
+ */
+function ageOfId(id) {
+  const timestamp = id ? parseInt(id.split('-')[0], 10) : NaN;
+  return Number.isNaN(timestamp) ? null : Math.max(0, Date.now() - timestamp);
+}
+
+class QueueAdmin {
+  /**
+   * Creates an instance of QueueAdmin to inspect and operate queues.
+   * @param {object} [redisClient=redisSingleton] - redisSingleton (or a raw ioredis client).
+   */
+  constructor(redisClient = redisSingleton) {
+    this.redisClient = redisClient;
+    this.logger = new Logger('QueueAdmin');
+  }
+
+  _getClient() {
+    const client = typeof this.redisClient.getRawClient === 'function'
+      ? this.redisClient.getRawClient()
+      : this.redisClient;
+    if (!client) {
+      throw new Error('QueueAdmin: No Redis client available. You must call redisSingleton.connect(config?) first.');
+    }
+    return client;
+  }
+
+  _isMissingKeyError(err) {
+    return err && err.message && (err.message.includes('no such key') || err.message.includes('NOGROUP'));
+  }
+
+  /**
+   * Returns the length and boundaries of a stream.
+   * @param {string} queueName
+   * @returns {Promise<object|null>} - { length, firstEntryId, lastEntryId, lastGeneratedId, groups }, or null if the stream does not exist.
+   */
+  async getStreamInfo(queueName) {
+    try {
+      const info = parseInfoReply(await this._getClient().xinfo('STREAM', queueName));
+      return {
+        length: info.length,
+        firstEntryId: info.firstEntry ? info.firstEntry[0] : null,
+        lastEntryId: info.lastEntry ? info.lastEntry[0] : null,
+        lastGeneratedId: info.lastGeneratedId,
+        groups: info.groups,
+      };
+    } catch (err) {
+      if (this._isMissingKeyError(err)) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Lists the consumer groups of a stream.
+   * @param {string} queueName
+   * @returns {Promise<object[]>} - [{ name, consumers, pending, lastDeliveredId, entriesRead, lag }]. lag is null on Redis < 7.
+   */
+  async getGroups(queueName) {
+    try {
+      const groups = await this._getClient().xinfo('GROUPS', queueName);
+      return groups.map(reply => {
+        const group = parseInfoReply(reply);
+        return {
+          name: group.name,
+          consumers: group.consumers,
+          pending: group.pending,
+          lastDeliveredId: group.lastDeliveredId,
+          entriesRead: group.entriesRead === undefined ? null : group.entriesRead,
+          lag: group.lag === undefined ? null : group.lag,
+        };
+      });
+    } catch (err) {
+      if (this._isMissingKeyError(err)) return [];
+      throw err;
+    }
+  }
+
+  /**
+   * Lists the consumers of a group with their pending count and idle time.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @returns {Promise<object[]>} - [{ name, pending, idleMs, inactiveMs }]. inactiveMs is null on Redis < 7.2.
+   */
+  async getConsumers(queueName, groupName) {
+    try {
+      const consumers = await this._getClient().xinfo('CONSUMERS', queueName, groupName);
+      return consumers.map(reply => {
+        const consumer = parseInfoReply(reply);
+        return {
+          name: consumer.name,
+          pending: consumer.pending,
+          idleMs: consumer.idle,
+          inactiveMs: consumer.inactive === undefined ? null : consumer.inactive,
+        };
+      });
+    } catch (err) {
+      if (this._isMissingKeyError(err)) return [];
+      throw err;
+    }
+  }
+
+  /**
+   * Summarizes the pending entries list of a group.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @returns {Promise<object>} - { count, oldestPendingId, oldestPendingAgeMs, perConsumer: { [consumer]: count } }.
+   */
+  async getPendingSummary(queueName, groupName) {
+    const [count, oldestPendingId, , perConsumer] = await this._getClient().xpending(queueName, groupName);
+    return {
+      count,
+      oldestPendingId: oldestPendingId || null,
+      oldestPendingAgeMs: ageOfId(oldestPendingId),
+      perConsumer: Object.fromEntries((perConsumer || []).map(([consumer, pending]) => [consumer, Number(pending)])),
+    };
+  }
+
+  /**
+   * Returns an overview of a queue: stream length and, per group, pending counts, lag and consumers.
+   * @param {string} queueName
+   * @returns {Promise<object>}
+   */
+  async getCounts(queueName) {
+    const stream = await this.getStreamInfo(queueName);
+    if (!stream) {
+      return { queue: queueName, exists: false, length: 0, groups: [] };
+    }
+
+    const groups = await this.getGroups(queueName);
+    const detailedGroups = [];
+    for (const group of groups) {
+      const [pending, consumers] = await Promise.all([
+        this.getPendingSummary(queueName, group.name),
+        this.getConsumers(queueName, group.name),
+      ]);
+      detailedGroups.push({
+        ...group,
+        oldestPendingId: pending.oldestPendingId,
+        oldestPendingAgeMs: pending.oldestPendingAgeMs,
+        consumers,
+      });
+    }
+    return { queue: queueName, exists: true, length: stream.length, groups: detailedGroups };
+  }
+
+  /**
+   * Reads messages of a stream without consuming them.
+   * @param {string} queueName
+   * @param {object} [options={}]
+   * @param {string} [options.start='-'] - First ID of the range.
+   * @param {string} [options.end='+'] - Last ID of the range.
+   * @param {number} [options.count=10] - Maximum number of messages.
+   * @param {boolean} [options.reverse=false] - Newest first.
+   * @returns {Promise<object[]>} - [{ id, data, metadata, fields }]. data is null when the payload cannot be decoded.
+   */
+  async peek(queueName, { start = '-', end = '+', count = 10, reverse = false } = {}) {
+    const client = this._getClient();
+    const entries = reverse
+      ? await client.xrevrange(queueName, end, start, 'COUNT', count)
+      : await client.xrange(queueName, start, end, 'COUNT', count);
+
+    return entries.map(([id, rawFields]) => {
+      const fields = arrayToObject(rawFields);
+      try {
+        const { data, metadata } = decodePayload(fields);
+        return { id, data, metadata, fields };
+      } catch (err) {
+        return { id, data: null, metadata: {}, fields };
+      }
+    });
+  }
+
+  /**
+   * Deletes messages from a stream. Pending references in groups are not removed; workers
+   * acknowledge them when they find them missing.
+   * @param {string} queueName
+   * @param {string|string[]} ids
+   * @returns {Promise<number>} - Number of deleted messages.
+   */
+  async deleteMessages(queueName, ids) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    if (idList.length === 0) return 0;
+    const deleted = await this._getClient().xdel(queueName, ...idList);
+    this.logger.info(`Deleted ${deleted} messages from stream '${queueName}'.`);
+    return deleted;
+  }
+
+  /**
+   * Moves the last-delivered ID of a group. Messages after that ID will be delivered again.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @param {string} id - Stream ID, '0' for the beginning or '$' for the end.
+   * @returns {Promise<void>}
+   */
+  async setGroupId(queueName, groupName, id) {
+    await this._getClient().xgroup('SETID', queueName, groupName, id);
+    this.logger.warn(`Group '${groupName}' of stream '${queueName}' moved to ID ${id}.`);
+  }
+
+  /**
+   * Replays a group from a point in time (every message created at or after it is delivered again).
+   * @param {string} queueName
+   * @param {string} groupName
+   * @param {Date|number} from - Date or timestamp in ms.
+   * @returns {Promise<void>}
+   */
+  async replayFrom(queueName, groupName, from) {
+    const timestamp = from instanceof Date ? from.getTime() : from;
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp) || timestamp < 0) {
+      throw new Error('replayFrom requires a valid Date or timestamp in ms.');
+    }
+    const id = timestamp === 0 ? '0' : `${timestamp - 1}-${MAX_SEQUENCE}`;
+    await this.setGroupId(queueName, groupName, id);
+  }
+
+  /**
+   * Replays a group from the first message of the stream.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @returns {Promise<void>}
+   */
+  async replayFromBeginning(queueName, groupName) {
+    await this.setGroupId(queueName, groupName, '0');
+  }
+
+  /**
+   * Removes a consumer from a group. Its pending messages are removed from the PEL too,
+   * so by default consumers that still hold messages are not removed.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @param {string} consumerName
+   * @param {object} [options={}]
+   * @param {boolean} [options.force=false] - Remove the consumer even if it has pending messages.
+   * @returns {Promise<boolean>} - true if the consumer was removed.
+   */
+  async removeConsumer(queueName, groupName, consumerName, { force = false } = {}) {
+    const client = this._getClient();
+    if (!force) {
+      const consumers = await this.getConsumers(queueName, groupName);
+      const consumer = consumers.find(({ name }) => name === consumerName);
+      if (consumer && consumer.pending > 0) {
+        this.logger.warn(`Consumer '${consumerName}' still has ${consumer.pending} pending messages. Not removed.`);
+        return false;
+      }
+    }
+    const droppedPending = await client.xgroup('DELCONSUMER', queueName, groupName, consumerName);
+    this.logger.info(`Consumer '${consumerName}' removed from group '${groupName}' (${droppedPending} pending messages dropped).`);
+    return true;
+  }
+
+  /**
+   * Removes the consumers of a group that have been idle longer than idleMs and hold no pending messages.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @param {number} idleMs
+   * @returns {Promise<string[]>} - Names of the removed consumers.
+   */
+  async removeIdleConsumers(queueName, groupName, idleMs) {
+    const removed = [];
+    for (const consumer of await this.getConsumers(queueName, groupName)) {
+      if (consumer.idleMs >= idleMs && consumer.pending === 0) {
+        if (await this.removeConsumer(queueName, groupName, consumer.name)) {
+          removed.push(consumer.name);
+        }
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Deletes a consumer group and its pending entries list.
+   * @param {string} queueName
+   * @param {string} groupName
+   * @returns {Promise<boolean>} - true if the group existed.
+   */
+  async deleteGroup(queueName, groupName) {
+    const destroyed = await this._getClient().xgroup('DESTROY', queueName, groupName);
+    this.logger.warn(`Group '${groupName}' of stream '${queueName}' destroyed.`);
+    return destroyed === 1;
+  }
+}
+
+export default QueueAdmin;
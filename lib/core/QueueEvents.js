@@ -0,0 +1,246 @@
+import EventEmitter from 'events';
+import Logger from './Logger.js';
+import { eventsKey } from './keys.js';
+import { arrayToObject } from './streamUtils.js';
+import { decodePayload } from './codec.js';
+
+const JOB_EVENTS = ['active', 'completed', 'failed'];
+const WORKER_EVENTS = ['drained', 'paused', 'resumed'];
+
+/**
+ * Receives the lifecycle events that the workers of a queue write to its events stream, from
+ * any process. The workers only write them with the publishEvents option. Emits the same events as QueueWorker, with lighter arguments:
+ * - 'active' (job), 'completed' (job, result, durationMs), 'failed' (job, error, attempt, willRetry), where
+ *   job is { id, messageId, queueName, attempt, attempts, consumer, eventId }.
+ * - 'stalled' ({ messageId, queueName, consumer, eventId }).
+ * - 'drained', 'paused', 'resumed' ({ queueName, consumer, eventId }).
+ * - 'error' (error): errors reading the events stream.
+ */
+class QueueEvents extends EventEmitter {
+  /**
+   * Creates an instance of QueueEvents.
+   * @param {object} redisClient - Redis client (compatible with ioredis), or a wrapper with getRawClient() such as redisSingleton.
+   * @param {string} queueName - Name of the queue whose events are received.
+   * @param {object} [options={}] - Configuration options.
+   * @param {string} [options.lastEventId='$'] - Receive the events after this ID of the events stream. '$' starts with the events written from now on, '0' replays the retained ones.
+   * @param {number} [options.blockTimeMs=5000] - Time in ms to block each read of the events stream.
+   * @param {boolean} [options.dedicatedConnection=true] - Read through a duplicate of redisClient, so the blocking XREAD does not stall other commands sharing it.
+   */
+  constructor(redisClient, queueName, options = {}) {
+    super();
+    const rawClient = redisClient && typeof redisClient.getRawClient === 'function'
+      ? redisClient.getRawClient()
+      : redisClient;
+    if (!rawClient || typeof rawClient.xread !== 'function' || typeof rawClient.xrevrange !== 'function') {
+      throw new Error('QueueEvents requires a Redis client compatible with xread and xrevrange.');
+    }
+    if (!queueName || typeof queueName !== 'string' || queueName.trim() === '') {
+      throw new Error('queueName (non-empty string) is required.');
+    }
+
+    this.redisClient = rawClient;
+    this.queueName = queueName.trim();
+    this.options = {
+      lastEventId: '$',
+      blockTimeMs: 5000,
+      dedicatedConnection: true,
+      ...options,
+    };
+    this.logger = new Logger(`QueueEvents:${this.queueName}`);
+    this._connection = null;
+    this._listening = false;
+    this._lastEventId = null;
+  }
+
+  /**
+   * Starts receiving events.
+   */
+  async start() {
+    if (this._listening) return;
+
+    this._connection = this.redisClient;
+    if (this.options.dedicatedConnection && typeof this.redisClient.duplicate === 'function') {
+      this._connection = this.redisClient.duplicate();
+      this._connection.on('error', (err) => {
+        this.logger.error(`Events connection error for '${this.queueName}': ${err.message}`);
+      });
+    }
+
+    this._lastEventId = this.options.lastEventId;
+    if (this._lastEventId === '$') {
+      // Pinned to a real ID, so events written between two reads are not skipped
+      const [last] = await this.redisClient.xrevrange(eventsKey(this.queueName), '+', '-', 'COUNT', 1);
+      this._lastEventId = last ? last[0] : '0-0';
+    }
+
+    this._listening = true;
+    this._listen();
+    this.logger.info(`Listening for events of '${this.queueName}' after ID ${this._lastEventId}.`);
+  }
+
+  async _listen() {
+    const key = eventsKey(this.queueName);
+    await this._waitForConnection();
+    while (this._listening) {
+      try {
+        const results = await this._connection.xread(
+          'BLOCK', this.options.blockTimeMs, 'STREAMS', key, this._lastEventId
+        );
+        if (!this._listening) break;
+        if (!results || !results[0]) continue;
+        for (const [id, rawFields] of results[0][1]) {
+          this._lastEventId = id;
+          this._dispatch(id, arrayToObject(rawFields));
+        }
+      } catch (err) {
+        if (!this._listening) break;
+        // Keep the last read ID: events written while disconnected are read once the connection is back
+        this.logger.error(`Error reading events from '${key}': ${err.message}. Retrying in 1s.`);
+        if (this.listenerCount('error') > 0) {
+          this._emit('error', err);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Resolves once the dedicated connection can take commands (the offline queue may be disabled),
+   * or is closed.
+   */
+  async _waitForConnection() {
+    const connection = this._connection;
+    if (!connection.status || connection.status === 'ready') return;
+
+    await new Promise((resolve) => {
+      const onSettled = () => {
+        connection.removeListener('ready', onSettled);
+        connection.removeListener('end', onSettled);
+        resolve();
+      };
+      connection.once('ready', onSettled);
+      connection.once('end', onSettled);
+    });
+  }
+
+  /**
+   * Emits one entry of the events stream.
+   * @param {string} eventId - ID of the entry.
+   * @param {object} fields - Fields of the entry, as written by QueueWorker.
+   */
+  _dispatch(eventId, fields) {
+    const event = fields._event;
+    const consumer = fields._consumer;
+
+    if (WORKER_EVENTS.includes(event)) {
+      this._emit(event, { queueName: this.queueName, consumer, eventId });
+      return;
+    }
+    if (event === 'stalled') {
+      this._emit('stalled', { messageId: fields._messageId, queueName: this.queueName, consumer, eventId });
+      return;
+    }
+    if (!JOB_EVENTS.includes(event)) {
+      this.logger.debug(`Ignoring unknown event '${event}' (${eventId}).`);
+      return;
+    }
+
+    const job = {
+      id: fields._jobId,
+      messageId: fields._messageId,
+      queueName: this.queueName,
+      attempt: parseInt(fields._attempt, 10) || 0,
+      attempts: parseInt(fields._attempts, 10) || 1,
+      consumer,
+      eventId,
+    };
+    if (event === 'completed') {
+      let result;
+      try {
+        result = decodePayload(fields).data;
+      } catch (err) {
+        this.logger.warn(`Result of job ${job.id} cannot be decoded: ${err.message}`);
+      }
+      this._emit('completed', job, result, parseInt(fields._durationMs, 10) || 0);
+    } else if (event === 'failed') {
+      this._emit('failed', job, QueueEvents.parseError(fields._error), job.attempt, fields._willRetry === '1');
+    } else {
+      this._emit('active', job);
+    }
+  }
+
+  _emit(event, ...args) {
+    try {
+      this.emit(event, ...args);
+    } catch (err) {
+      this.logger.error(`Error in a '${event}' event listener: ${err.message}`, err);
+    }
+  }
+
+  /**
+   * Rebuilds an error serialized in an event. The original stack is kept in remoteStack.
+   * @param {string} serialized - JSON { message, name, stack }.
+   * @returns {Error}
+   */
+  static parseError(serialized) {
+    let details = {};
+    try {
+      details = JSON.parse(serialized || '{}');
+    } catch (err) {
+      details = { message: serialized };
+    }
+    const error = new Error(details.message || 'Job failed.');
+    if (details.name) error.name = details.name;
+    if (details.stack) error.remoteStack = details.stack;
+    return error;
+  }
+
+  /**
+   * Waits until a job completes or fails its last attempt. Must be called before the job
+   * finishes (e.g. right after publishing it), since past events are not looked up.
+   * @param {string} jobId - Stable ID of the job (the ID returned by publish()).
+   * @param {number} [timeoutMs=30000] - Maximum time in ms to wait.
+   * @returns {Promise<*>} - Resolves with the result of the handler, or rejects with its error.
+   */
+  waitUntilFinished(jobId, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        this.removeListener('completed', onCompleted);
+        this.removeListener('failed', onFailed);
+      };
+      const onCompleted = (job, result) => {
+        if (job.id !== jobId) return;
+        cleanup();
+        resolve(result);
+      };
+      const onFailed = (job, error, attempt, willRetry) => {
+        if (job.id !== jobId || willRetry) return;
+        cleanup();
+        reject(error);
+      };
+      const timeoutId = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Job ${jobId} of '${this.queueName}' did not finish within ${timeoutMs}ms.`));
+      }, timeoutMs);
+      this.on('completed', onCompleted);
+      this.on('failed', onFailed);
+    });
+  }
+
+  /**
+   * Stops receiving events.
+   */
+  async close() {
+    if (!this._listening) return;
+    this._listening = false;
+    if (this._connection && this._connection !== this.redisClient) {
+      // Disconnecting also interrupts a read that is currently blocked
+      this._connection.disconnect();
+    }
+    this._connection = null;
+    this.logger.info(`Stopped listening for events of '${this.queueName}'.`);
+  }
+}
+
+export default QueueEvents;
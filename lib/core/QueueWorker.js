@@ -1,33 +1,196 @@
+import EventEmitter from 'events';
 import Logger from './Logger.js';
+import DelayedJobs from './DelayedJobs.js';
+import RepeatableJobs from './RepeatableJobs.js';
+import JobStore from './JobStore.js';
+import RateLimiter from './RateLimiter.js';
+import metricsRegistry, { MetricsRegistry, LATENCY_BUCKETS } from './MetricsRegistry.js';
+import { delayedKey, deadLetterKey, eventsKey, keySlot, orderingIndexKey, orderingSetKey, priorityStreamKey, PRIORITIES } from './keys.js';
+import { arrayToObject, objectToArray } from './streamUtils.js';
+import { encodePayload, decodePayload, DEFAULT_SERIALIZER } from './codec.js';
+import { extractHeaders, withConsumerSpan } from './tracing.js';
+
+const DEFAULT_BACKOFF = { type: 'fixed', delayMs: 0, maxDelayMs: Infinity, jitter: 0 };
+const DEFAULT_PRIORITY_WEIGHTS = { high: 6, normal: 3, low: 1 };
+
+// Idle time given to messages handed back to the group, so any consumer claims them right away.
+// XCLAIM ignores idle times that go back before the epoch, hence a year instead of a larger value.
+const HANDED_BACK_IDLE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Result of a job for the logs. Results JSON cannot represent (e.g. BigInt, cycles) are not an error of the job.
+function describeResult(result) {
+  if (result === undefined) return '[no result]';
+  try {
+    return JSON.stringify(result);
+  } catch (err) {
+    return `[${typeof result} not representable as JSON]`;
+  }
+}
+
+// Reads new messages of several streams for the group, like XREADGROUP ... STREAMS a b c, and
+// records the position of each message with an ordering key in the same step, so the order of a
+// key is known group-wide before any consumer can start it. Scripts cannot block, so when nothing
+// is read it returns the last ID of each stream to wait on.
+// KEYS: per stream, the stream, its ordering set and its ordering index (see orderingSetKey/orderingIndexKey).
+const READ_ORDERED_SCRIPT = `
+local function pad(digits, width)
+  return string.rep('0', width - #digits) .. digits
+end
+local streams, ordering = {}, {}
+for i = 1, #KEYS, 3 do
+  table.insert(streams, KEYS[i])
+  ordering[KEYS[i]] = {KEYS[i + 1], KEYS[i + 2]}
+end
+local args = {'GROUP', ARGV[1], ARGV[2], 'COUNT', ARGV[3], 'STREAMS'}
+for _, stream in ipairs(streams) do
+  table.insert(args, stream)
+end
+for _ in ipairs(streams) do
+  table.insert(args, '>')
+end
+local result = redis.call('XREADGROUP', unpack(args))
+if not result then
+  local lastIds = {}
+  for _, stream in ipairs(streams) do
+    local last = redis.call('XREVRANGE', stream, '+', '-', 'COUNT', 1)
+    table.insert(lastIds, last[1] and last[1][1] or '0-0')
+  end
+  return {{}, lastIds}
+end
+for _, streamResult in ipairs(result) do
+  local setKey, indexKey = ordering[streamResult[1]][1], ordering[streamResult[1]][2]
+  for _, entry in ipairs(streamResult[2]) do
+    local fields = entry[2]
+    local orderingKey, position
+    for i = 1, #fields, 2 do
+      if fields[i] == '_orderingKey' then
+        orderingKey = fields[i + 1]
+      elseif fields[i] == '_orderId' then
+        position = fields[i + 1]
+      end
+    end
+    if orderingKey then
+      if not position then
+        local ms, seq = string.match(entry[1], '(%d+)-(%d+)')
+        position = pad(ms, 15) .. '-' .. pad(seq, 10)
+      end
+      local member = #orderingKey .. ':' .. orderingKey .. ':' .. position
+      redis.call('ZADD', setKey, 0, member)
+      redis.call('HSET', indexKey, entry[1], member)
+    end
+  end
+end
+return {result, {}}
+`;
+
+// Releases the positions of ordered messages that were deleted from the stream while pending,
+// whose ordering key and position are only known through the ordering index.
+// KEYS: ordering set, ordering index. ARGV: message IDs.
+const RELEASE_DELETED_SCRIPT = `
+for _, id in ipairs(ARGV) do
+  local member = redis.call('HGET', KEYS[2], id)
+  if member then
+    redis.call('ZREM', KEYS[1], member)
+    redis.call('HDEL', KEYS[2], id)
+  end
+end
+return 0
+`;
+
+/**
+ * Position of a message in the group-wide order of its key: the one it was first read with
+ * (kept in _orderId across retries), or its stream ID padded to sort lexicographically.
+ * @param {string} messageId
+ * @param {object} fields - Stream fields of the message.
+ * @returns {string}
+ */
+function orderPosition(messageId, fields) {
+  if (fields._orderId) return fields._orderId;
+  const [ms, seq] = messageId.split('-');
+  return `${ms.padStart(15, '0')}-${seq.padStart(10, '0')}`;
+}
+
+/**
+ * Prefix of the members of an ordering key in the ordering set of a group. The byte length
+ * keeps keys that are prefixes of each other apart.
+ * @param {string} orderingKey
+ * @returns {string}
+ */
+function orderMemberPrefix(orderingKey) {
+  return `${Buffer.byteLength(orderingKey)}:${orderingKey}:`;
+}
 
 /**
- * Converts a flat Redis array (e.g., ['key1', 'value1', 'key2', 'value2']) into an object.
- * @param {string[]} arr - The Redis array.
- * @returns {object} - The resulting object.
+ * Computes the time to wait before the next attempt of a failed job.
+ * @param {object} backoff - Backoff settings: { type: 'fixed'|'exponential', delayMs, maxDelayMs, jitter }.
+ * @param {number} failedAttempt - Number of the attempt that just failed (1-based).
+ * @returns {number} - Delay in ms.
  */
-function arrayToObject(arr) {
-  const obj = {};
-  for (let i = 0; i < arr.length; i += 2) {
-    obj[arr[i]] = arr[i + 1];
+function computeBackoffDelay(backoff, failedAttempt) {
+  const { type, delayMs, maxDelayMs, jitter } = { ...DEFAULT_BACKOFF, ...backoff };
+  let delay = type === 'exponential' ? delayMs * Math.pow(2, failedAttempt - 1) : delayMs;
+  delay = Math.min(delay, maxDelayMs);
+  if (jitter > 0) {
+    // jitter is the fraction of the delay that may be randomly removed (0..1)
+    delay -= delay * Math.min(jitter, 1) * Math.random();
   }
-  return obj;
+  return Math.max(0, Math.round(delay));
 }
 
-class QueueWorker {
+/**
+ * Consumes one or more queues. Emits the lifecycle events of its jobs:
+ * - 'active' (job): an attempt of a job starts.
+ * - 'completed' (job, result, durationMs): the handler of a job resolved.
+ * - 'failed' (job, error, attempt, willRetry): an attempt of a job failed. willRetry is false when the job is given up.
+ * - 'stalled' ({ messageId, queueName }): a message idle on another consumer was claimed by this one.
+ * - 'drained' (): nothing is running or waiting on this worker and its queues had no new messages.
+ * - 'paused' () / 'resumed' (): pause() or resume() was called.
+ * - 'error' (error): Redis errors of the worker itself (reads, acks, retries...), never errors of the handlers.
+ * job is { id, messageId, queueName, stream, data, attempt, attempts, priority, orderingKey }, where id is
+ * the stable ID of the job. With the publishEvents option, the events except 'error' are also written
+ * to the events stream of each queue, so QueueEvents can receive them from any process.
+ */
+class QueueWorker extends EventEmitter {
   /**
    * Creates an instance of QueueWorker.
    * @param {object} redisClient - Redis client (compatible with ioredis) with stream methods.
-   * @param {string} queueName - Name of the Redis stream (topic/queue) to listen to.
-   * @param {function} jobHandler - Asynchronous function to process each job. Must accept (jobData, jobId).
+   * @param {string|object[]} queueName - Name of the Redis stream (topic/queue) to listen to. To consume several queues with one worker, an array of queue definitions instead: [{ name, handler, concurrency, weight, priorities, limiter, repeat, deadLetterQueue }], followed directly by options. All of them are read with a single XREADGROUP, so in Redis Cluster their names must share a hash tag (the constructor checks it), and share the concurrency of the worker; each definition may cap its own concurrency, set the weight of its share of the reads (default 1) and override the per-queue options.
+   * @param {function} jobHandler - Asynchronous function to process each job. Receives (jobData, jobId, context), where jobData is the decoded payload and context is { jobId, attempt, attempts, queueName, priority, orderingKey, headers, signal, updateProgress(progress) }. context.jobId is stable across retries. When OpenTelemetry is installed, the handler runs in a consumer span that continues the trace of the publisher.
    * @param {object} [options={}] - Configuration options.
-   * @param {number} [options.concurrency=1] - Number of jobs to process in parallel.
+   * @param {number} [options.concurrency=1] - Number of jobs to process in parallel, across all the queues of the worker.
    * @param {boolean} [options.processOrderedByKey=false] - Enable processing ordered by _orderingKey.
-   * @param {string} [options.groupName] - Group name. Default is `group:${queueName}`.
+   * @param {string} [options.orderingScope='consumer'] - 'consumer' orders the messages of a key received by this worker. 'group' orders them across all the consumers of the group, retries included: every worker of the group must use it, and pending messages must not be trimmed from the stream. With priorities, the order is kept within each priority level.
+   * @param {number} [options.maxBufferedJobs] - Maximum number of ordered jobs held in memory waiting for their key. Polling pauses while it is reached. Default is 10 × concurrency.
+   * @param {number} [options.orderingCheckIntervalMs=250] - With orderingScope 'group', interval in ms to check again whether a buffered message is the next of its key.
+   * @param {string} [options.groupName] - Group name, shared by all the queues of the worker. Default is `group:${queueName}`. Required with several queues, so the group of each queue is chosen explicitly (a new group would start at the end of the streams and skip their unread and pending messages).
    * @param {string} [options.consumerName] - Unique name for this consumer. Default is autogenerated.
    * @param {number} [options.blockTimeMs=5000] - Time in ms to block the reading of the stream.
+   * @param {boolean} [options.dedicatedBlockingConnection=true] - Read the stream through a duplicate of redisClient, so the blocking XREADGROUP does not stall other commands sharing it. Requires redisClient.duplicate().
    * @param {number} [options.gracefulShutdownTimeoutMs=30000] - Maximum time in ms to wait for active jobs to finish during shutdown.
+   * @param {number} [options.visibilityTimeoutMs=60000] - Time in ms a pending message may stay idle before it is considered stalled and claimed by another consumer.
+   * @param {number} [options.maxStalledCount=1] - Times a message may stall (be claimed after its consumer stopped acknowledging it) before it is moved to the dead-letter queue instead of being claimed again. Stalls are not attempts: a job that stalls once, e.g. during a deploy, runs again with the same attempt.
+   * @param {number} [options.stalledCheckIntervalMs=30000] - Interval in ms between checks of the group's pending list. Use 0 to disable stalled recovery.
+   * @param {number} [options.attempts=1] - Default number of attempts per job (can be overridden per message).
+   * @param {object} [options.backoff] - Default delay between attempts: { type: 'fixed'|'exponential', delayMs, maxDelayMs, jitter }.
+   * @param {number} [options.delayedCheckIntervalMs=1000] - Interval in ms to move due delayed jobs (retries, delayed publishes and repeatable jobs) into the stream. Use 0 to disable.
+   * @param {number} [options.jobTimeoutMs=0] - Maximum time in ms for one attempt of a job (can be overridden per message). When exceeded, context.signal is aborted and the attempt fails; a job ordered by key keeps its key until its handler returns. Use 0 to disable.
+   * @param {number} [options.replyTtlMs=300000] - Time in ms the reply streams of request() callers are kept after the last reply.
+   * @param {boolean} [options.trackJobs=true] - Keep a status record per job, queryable with JobStore.getJob().
+   * @param {number} [options.completedTtlMs=86400000] - Retention of completed job records. 0 removes them on completion.
+   * @param {number} [options.failedTtlMs=604800000] - Retention of failed job records. 0 removes them on failure.
+   * @param {number} [options.pendingTtlMs=604800000] - Retention of waiting, active and delayed job records after their last update. 0 keeps them until the job finishes.
+   * @param {object[]} [options.repeat] - Repeatable jobs registered on start: [{ name, cron, tz, every, data }]. See RepeatableJobs.upsert.
+   * @param {boolean|object} [options.priorities=false] - Also read the priority lanes of the queue ('high' and 'low'; 'normal' is the queue itself). true uses the default weights { high: 6, normal: 3, low: 1 }; an object overrides them. When several lanes have messages, each gets a share of the reads proportional to its weight, so low priority is never starved.
+   * @param {object} [options.limiter] - Rate limit shared by all consumers of the queue: { max, durationMs, groupKey }. At most max jobs start per durationMs window, per value of the job data field groupKey if given. Throttled jobs are delayed, not failed, and do not consume attempts.
+   * @param {string|false} [options.deadLetterQueue] - Stream that receives jobs that exhaust their attempts or cannot be parsed. Default is `${queueName}:dlq`. In Redis Cluster a custom stream must share the hash slot of the queue (the constructor checks it). Use false to discard them: they are acknowledged, and the failure is only kept in the job status record.
+   * @param {boolean} [options.publishEvents=false] - Write the lifecycle events to the events stream of each queue (`${queueName}:events`), for QueueEvents. Each job then adds about three entries, the 'completed' one with a copy of the result.
+   * @param {number} [options.eventsMaxLen=10000] - Approximate number of events kept in each events stream.
+   * @param {boolean|MetricsRegistry} [options.metrics=false] - Record Prometheus metrics, labelled by queue and group: true uses the shared metricsRegistry.
+   * @param {number} [options.livenessGraceMs=30000] - Time in ms the poll loop may overrun its next expected step (end of a blocking read or a scheduled retry) before health() reports it as not alive.
+   * @param {number} [options.maxConsecutivePollErrors=3] - Consecutive failed reads after which health() reports the worker as not ready.
    */
   constructor(redisClient, queueName, jobHandler, options = {}) {
+    super();
     // Complete parameter validations
     if (!redisClient ||
       typeof redisClient.xgroup !== 'function' ||
@@ -35,26 +198,67 @@ class QueueWorker {
       typeof redisClient.xack !== 'function') {
       throw new Error('QueueWorker requires a Redis client compatible with stream commands (xgroup, xreadgroup, xack).');
     }
-    if (!queueName || typeof queueName !== 'string' || queueName.trim() === '') {
-      throw new Error('queueName (non-empty string) is required.');
+    let definitions;
+    if (Array.isArray(queueName)) {
+      // Multi-queue form: (redisClient, queues, options)
+      definitions = queueName;
+      options = jobHandler || {};
+      if (definitions.length === 0) {
+        throw new Error('queues (non-empty array) is required.');
+      }
+      if (definitions.length > 1 && !options.groupName) {
+        throw new Error('groupName is required when a worker consumes several queues.');
+      }
+    } else {
+      definitions = [{ name: queueName, handler: jobHandler }];
     }
-    if (typeof jobHandler !== 'function') {
-      throw new Error('jobHandler (function) is required.');
+    for (const definition of definitions) {
+      const { name, handler } = definition || {};
+      if (!name || typeof name !== 'string' || name.trim() === '') {
+        throw new Error('queueName (non-empty string) is required.');
+      }
+      if (typeof handler !== 'function') {
+        throw new Error(`jobHandler (function) is required for queue '${name}'.`);
+      }
     }
 
     this.redisClient = redisClient;
-    this.queueName = queueName.trim();
-    this.jobHandler = jobHandler;
+    this.queueNames = definitions.map(({ name }) => name.trim());
+    if (new Set(this.queueNames).size !== this.queueNames.length) {
+      throw new Error('Each queue can only be registered once per worker.');
+    }
+    this.queueName = this.queueNames.join(',');
+    this.jobHandler = definitions.length === 1 ? definitions[0].handler : null;
 
     this.options = {
       concurrency: 1,
       processOrderedByKey: false,
+      orderingScope: 'consumer',
+      orderingCheckIntervalMs: 250,
       blockTimeMs: 5000,
+      dedicatedBlockingConnection: true,
       groupName: `group:${this.queueName}`,
       consumerName: `consumer:${this.queueName}-${process.pid}-${Date.now()}`,
       gracefulShutdownTimeoutMs: 30000,
+      visibilityTimeoutMs: 60000,
+      maxStalledCount: 1,
+      stalledCheckIntervalMs: 30000,
+      attempts: 1,
+      jobTimeoutMs: 0,
+      replyTtlMs: 300000,
+      trackJobs: true,
+      completedTtlMs: 86400000,
+      failedTtlMs: 604800000,
+      pendingTtlMs: 604800000,
+      delayedCheckIntervalMs: 1000,
+      priorities: false,
+      publishEvents: false,
+      eventsMaxLen: 10000,
+      livenessGraceMs: 30000,
+      maxConsecutivePollErrors: 3,
       ...options,
     };
+    this.options.backoff = { ...DEFAULT_BACKOFF, ...options.backoff };
 
     this.logger = new Logger(`QueueWorker:${this.options.consumerName}`);
 
@@ -63,20 +267,278 @@ class QueueWorker {
       this.logger.warn(`Invalid concurrency value (${this.options.concurrency}). Using 1 by default.`);
       this.options.concurrency = 1;
     }
+    if (this.options.maxBufferedJobs === undefined) {
+      this.options.maxBufferedJobs = this.options.concurrency * 10;
+    } else if (!Number.isInteger(this.options.maxBufferedJobs) || this.options.maxBufferedJobs < 1) {
+      this.logger.warn(`Invalid maxBufferedJobs value (${this.options.maxBufferedJobs}). Using ${this.options.concurrency * 10} by default.`);
+      this.options.maxBufferedJobs = this.options.concurrency * 10;
+    }
+    if (!Number.isInteger(this.options.attempts) || this.options.attempts < 1) {
+      this.logger.warn(`Invalid attempts value (${this.options.attempts}). Using 1 by default.`);
+      this.options.attempts = 1;
+    }
+    if (!Number.isInteger(this.options.maxStalledCount) || this.options.maxStalledCount < 0) {
+      this.logger.warn(`Invalid maxStalledCount value (${this.options.maxStalledCount}). Using 1 by default.`);
+      this.options.maxStalledCount = 1;
+    }
+
+    if (this.options.stalledCheckIntervalMs > 0 &&
+      (typeof redisClient.xautoclaim !== 'function' || typeof redisClient.xclaim !== 'function')) {
+      this.logger.warn('Redis client does not support xautoclaim/xclaim. Stalled message recovery is disabled.');
+      this.options.stalledCheckIntervalMs = 0;
+    }
+
+    this.delayedJobs = null;
+    if (typeof redisClient.zadd === 'function' && typeof redisClient.eval === 'function') {
+      this.delayedJobs = new DelayedJobs(redisClient);
+    } else if (this.options.delayedCheckIntervalMs > 0) {
+      this.logger.warn('Redis client does not support zadd/eval. Delayed retries are disabled; failed jobs will be retried immediately.');
+      this.options.delayedCheckIntervalMs = 0;
+    }
+
+    this.jobStore = null;
+    if (this.options.trackJobs) {
+      this.jobStore = new JobStore(redisClient, {
+        completedTtlMs: this.options.completedTtlMs,
+        failedTtlMs: this.options.failedTtlMs,
+        pendingTtlMs: this.options.pendingTtlMs,
+      });
+    }
+
+    this._queues = definitions.map(definition => this._buildQueue(definition));
+    // Streams read by this worker (most urgent first): each queue, plus its priority lanes if enabled
+    this._sources = this._queues.flatMap(queue => this._buildSources(queue));
+    this._sourcesByStream = new Map(this._sources.map(source => [source.stream, source]));
+    if (this._sourcesByStream.size !== this._sources.length) {
+      throw new Error('The streams of the queues of a worker must be different (check the priority lanes).');
+    }
+    if (redisClient.isCluster) {
+      this._checkClusterSlots();
+    }
 
     this.isStopping = false;
+    this.isPaused = false;
     this.activeJobs = 0;
+    this._drained = false; // 'drained' is emitted once until new messages arrive
+    this._pollInFlight = false;
+    // Health of the poll loop
+    this._started = false;
+    this._pollDeadline = null; // Time by which the loop must take its next step; null while it waits on purpose
+    this._lastReadAt = null;
+    this._consecutivePollErrors = 0;
+    this._lastPollError = null;
+    this.blockingClient = null; // Connection used for XREADGROUP ... BLOCK
     this._pollTimeoutId = null;
+    this._stalledCheckTimeoutId = null;
+    this._delayedTimeoutId = null;
+    // IDs of messages accepted by this consumer (executing or buffered) that must not be reclaimed, per stream
+    this._inFlightIds = new Map(this._sources.map(({ stream }) => [stream, new Set()]));
+    // Messages read for this consumer beyond what a poll could take, per stream (see _readNew)
+    this._readAhead = new Map(this._sources.map(({ stream }) => [stream, []]));
+
+    if (!['consumer', 'group'].includes(this.options.orderingScope)) {
+      throw new Error(`Invalid orderingScope '${this.options.orderingScope}'. Use 'consumer' or 'group'.`);
+    }
+    this._groupOrdering = this.options.processOrderedByKey && this.options.orderingScope === 'group';
+    if (this._groupOrdering && (typeof redisClient.eval !== 'function' || typeof redisClient.xread !== 'function')) {
+      throw new Error("orderingScope 'group' requires a Redis client compatible with eval and xread.");
+    }
 
     if (this.options.processOrderedByKey) {
       this.orderingKeyQueues = new Map();
       this.processingKeys = new Set();
-      this.logger.info(`Ordered processing by key enabled for '${this.queueName}'.`);
+      this.bufferedJobs = 0; // Jobs held in orderingKeyQueues
+      this._pollPaused = false; // Polling waits for the buffer to drain below maxBufferedJobs
+      // With group-wide ordering: buffered job confirmed to be the first of its key in Redis, per key
+      this._orderHeads = new Map();
+      this._orderCheckTimeoutId = null;
+      this._orderCheckRunning = false;
+      this._orderCheckPending = false;
+      this.logger.info(`Ordered processing by key enabled for '${this.queueName}' (scope: ${this.options.orderingScope}).`);
+    }
+
+    this.metrics = null;
+    if (this.options.metrics) {
+      this._setupMetrics(this.options.metrics instanceof MetricsRegistry ? this.options.metrics : metricsRegistry);
     }
 
     this.logger.info(`QueueWorker initialized for '${this.queueName}'. Concurrency: ${this.options.concurrency}.`);
   }
 
+  /**
+   * In Redis Cluster, checks that the keys used together share a hash slot: the streams read by the
+   * single XREADGROUP of the worker, and each queue with the custom dead-letter stream of its MULTI.
+   * Otherwise these commands fail with CROSSSLOT errors on every poll or failure.
+   */
+  _checkClusterSlots() {
+    const slots = new Set(this._sources.map(({ stream }) => keySlot(stream)));
+    if (slots.size > 1) {
+      throw new Error(`In Redis Cluster, the streams of a worker must share a hash slot: name the queues with a common hash tag (e.g. '{shop}:orders') and enable hash tags for the priority lanes. Streams: ${this._sources.map(({ stream }) => stream).join(', ')}.`);
+    }
+    for (const queue of this._queues) {
+      // The default stream is covered by the hash tags warning of the connection
+      const custom = queue.deadLetterQueue && queue.deadLetterQueue !== deadLetterKey(queue.name);
+      if (custom && keySlot(queue.deadLetterQueue) !== keySlot(queue.name)) {
+        throw new Error(`In Redis Cluster, the dead-letter stream '${queue.deadLetterQueue}' must share the hash slot of queue '${queue.name}': include its hash tag (e.g. '{${queue.name}}:failed') or use the default.`);
+      }
+    }
+  }
+
+  /**
+   * Registers the metrics of the worker. Counters and histograms are fed from its own events;
+   * gauges are computed on each collection while the worker runs.
+   * @param {MetricsRegistry} registry
+   */
+  _setupMetrics(registry) {
+    const labelNames = ['queue', 'group'];
+    const group = this.options.groupName;
+    const labelsOf = job => ({ queue: job.queueName, group });
+    this.metrics = {
+      registry,
+      completed: registry.counter('jobs_completed_total', 'Jobs whose handler completed.', labelNames),
+      failed: registry.counter('jobs_failed_total', 'Jobs that failed their last attempt.', labelNames),
+      retried: registry.counter('jobs_retried_total', 'Failed attempts scheduled for a retry.', labelNames),
+      duration: registry.histogram('job_duration_seconds', 'Duration of the job handlers.', labelNames),
+      latency: registry.histogram('job_latency_seconds', 'Time from the publication of a job to its completion.', labelNames, LATENCY_BUCKETS),
+      active: registry.gauge('active_jobs', 'Jobs running on the workers of this process.', labelNames),
+      buffered: registry.gauge('buffered_jobs', 'Ordered jobs held in memory waiting for their key.', labelNames),
+      pending: registry.gauge('pending_jobs', 'Messages delivered to the group and not acknowledged yet.', labelNames),
+      lag: registry.gauge('group_lag', 'Messages of the queue not delivered to the group yet.', labelNames),
+      collector: () => this._collectMetrics(),
+    };
+
+    this.on('completed', (job, result, durationMs) => {
+      this.metrics.completed.inc(labelsOf(job));
+      this.metrics.duration.observe(labelsOf(job), durationMs / 1000);
+      // The stable ID is the stream ID of the first attempt, except for jobs published with a delay
+      const publishedId = /^\d+-\d+$/.test(job.id) ? job.id : job.messageId;
+      this.metrics.latency.observe(labelsOf(job), Math.max(0, Date.now() - parseInt(publishedId, 10)) / 1000);
+    });
+    this.on('failed', (job, error, attempt, willRetry) => {
+      (willRetry ? this.metrics.retried : this.metrics.failed).inc(labelsOf(job));
+    });
+  }
+
+  async _collectMetrics() {
+    const group = this.options.groupName;
+    const buffered = new Map();
+    if (this.options.processOrderedByKey) {
+      this.orderingKeyQueues.forEach(keyQueue => keyQueue.forEach(({ queue }) => {
+        buffered.set(queue, (buffered.get(queue) || 0) + 1);
+      }));
+    }
+    for (const queue of this._queues) {
+      const labels = { queue: queue.name, group };
+      this.metrics.active.inc(labels, queue.activeJobs);
+      this.metrics.buffered.inc(labels, buffered.get(queue) || 0);
+    }
+
+    if (typeof this.redisClient.xinfo !== 'function') return;
+    const totals = new Map(); // queue -> { pending, lag }
+    for (const { stream, queue } of this._sources) {
+      const reply = await this.redisClient.xinfo('GROUPS', stream);
+      const info = (reply || []).map(arrayToObject).find(({ name }) => name === group);
+      if (!info) continue;
+      const total = totals.get(queue) || { pending: 0, lag: 0 };
+      total.pending += Number(info.pending) || 0;
+      // lag is null when Redis cannot compute it (e.g. after deletions) and missing before Redis 7
+      total.lag = total.lag === null || info.lag === undefined || info.lag === null ? null : total.lag + Number(info.lag);
+      totals.set(queue, total);
+    }
+    for (const [queue, { pending, lag }] of totals) {
+      // Every worker of the group sees the same values, so they are set rather than summed
+      this.metrics.pending.set({ queue: queue.name, group }, pending);
+      if (lag !== null) {
+        this.metrics.lag.set({ queue: queue.name, group }, lag);
+      }
+    }
+  }
+
+  /**
+   * Resolves the settings of one queue of the worker. Options not set in the queue definition
+   * fall back to the worker options.
+   * @param {object} definition - { name, handler, concurrency, weight, priorities, limiter, repeat, deadLetterQueue }.
+   * @returns {object}
+   */
+  _buildQueue(definition) {
+    const name = definition.name.trim();
+    const setting = (key) => (definition[key] !== undefined ? definition[key] : this.options[key]);
+
+    let concurrency = definition.concurrency === undefined ? this.options.concurrency : definition.concurrency;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      this.logger.warn(`Invalid concurrency value (${concurrency}) for queue '${name}'. Using the worker concurrency.`);
+      concurrency = this.options.concurrency;
+    }
+    const weight = definition.weight === undefined ? 1 : definition.weight;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`The weight of queue '${name}' must be a positive number.`);
+    }
+    const deadLetterQueue = setting('deadLetterQueue');
+
+    const queue = {
+      name,
+      handler: definition.handler,
+      concurrency: Math.min(concurrency, this.options.concurrency),
+      weight,
+      priorities: setting('priorities'),
+      deadLetterQueue: deadLetterQueue === undefined ? deadLetterKey(name) : deadLetterQueue,
+      repeat: setting('repeat') || [],
+      repeatableJobs: null,
+      rateLimiter: null,
+      rateLimitedUntil: 0, // Reads of the queue are paused until then when the whole queue is throttled
+      activeJobs: 0,
+    };
+
+    if (this.delayedJobs) {
+      queue.repeatableJobs = new RepeatableJobs(this.redisClient, name);
+    }
+    const limiter = setting('limiter');
+    if (limiter) {
+      if (!this.delayedJobs) {
+        throw new Error('The rate limiter requires a Redis client compatible with zadd and eval.');
+      }
+      queue.rateLimiter = new RateLimiter(this.redisClient, name, limiter);
+      if (this.options.delayedCheckIntervalMs <= 0) {
+        this.logger.warn(`Delayed jobs are not promoted by this worker (delayedCheckIntervalMs is 0). Throttled jobs of '${name}' depend on other workers of the queue.`);
+      }
+    }
+    return queue;
+  }
+
+  /**
+   * Resolves the streams of a queue from its priorities option.
+   * @param {object} queue - See _buildQueue.
+   * @returns {Array<{stream: string, queue: object, priority: string|null, weight: number, currentWeight: number}>}
+   */
+  _buildSources(queue) {
+    const { priorities } = queue;
+    if (!priorities) {
+      return [{ stream: queue.name, queue, priority: null, weight: queue.weight, currentWeight: 0 }];
+    }
+
+    const weights = { ...DEFAULT_PRIORITY_WEIGHTS, ...(priorities === true ? {} : priorities) };
+    for (const [priority, weight] of Object.entries(weights)) {
+      if (!PRIORITIES.includes(priority)) {
+        throw new Error(`Unknown priority '${priority}'. Use one of: ${PRIORITIES.join(', ')}.`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`The weight of priority '${priority}' must be a positive number.`);
+      }
+    }
+    this.logger.info(`Priority lanes enabled for '${queue.name}'. Weights: ${JSON.stringify(weights)}.`);
+    return PRIORITIES.map(priority => ({
+      stream: priorityStreamKey(queue.name, priority),
+      queue,
+      priority,
+      weight: queue.weight * weights[priority],
+      currentWeight: 0,
+    }));
+  }
+
+  get _streams() {
+    return this._sources.map(({ stream }) => stream);
+  }
+
   /**
    * Starts the worker: creates the consumer group and starts polling jobs.
    */
@@ -88,22 +550,248 @@ class QueueWorker {
     this.logger.info(`Starting QueueWorker for queue '${this.queueName}', group '${this.options.groupName}'.`);
     this.isStopping = false;
 
+    for (const stream of this._streams) {
+      try {
+        await this.redisClient.xgroup('CREATE', stream, this.options.groupName, '$', 'MKSTREAM');
+        this.logger.info(`Consumer group '${this.options.groupName}' ensured/created in stream '${stream}'.`);
+      } catch (err) {
+        if (err.message && err.message.includes('BUSYGROUP')) {
+          this.logger.info(`Consumer group '${this.options.groupName}' already exists in stream '${stream}'.`);
+        } else {
+          this.logger.error(`Error creating/ensuring consumer group: ${err.message}`, err);
+          throw err;
+        }
+      }
+    }
+
+    for (const queue of this._queues) {
+      if (queue.repeat.length === 0) continue;
+      if (!queue.repeatableJobs) {
+        throw new Error('Repeatable jobs require a Redis client compatible with zadd and eval.');
+      }
+      for (const { name, ...definition } of queue.repeat) {
+        await queue.repeatableJobs.upsert(name, definition);
+      }
+    }
+
+    this.blockingClient = await this._createBlockingClient();
+    await this._recoverOwnPending();
+    if (this.options.stalledCheckIntervalMs > 0) {
+      this._checkStalled();
+    }
+    if (this.options.delayedCheckIntervalMs > 0) {
+      this._promoteDelayed();
+    }
+    if (this.metrics) {
+      this.metrics.registry.addCollector(this.metrics.collector);
+    }
+    this._started = true;
+    this._doPoll();
+  }
+
+  /**
+   * Schedules the next occurrence of the repeatable jobs and moves the delayed jobs
+   * of the queues of this worker whose time has come into their streams.
+   */
+  async _promoteDelayed() {
+    if (this.isStopping) return;
+
     try {
-      await this.redisClient.xgroup('CREATE', this.queueName, this.options.groupName, '$', 'MKSTREAM');
-      this.logger.info(`Consumer group '${this.options.groupName}' ensured/created in stream '${this.queueName}'.`);
+      for (const queue of this._queues) {
+        await queue.repeatableJobs.scheduleDue();
+      }
+      for (const stream of this._streams) {
+        await this.delayedJobs.promoteDue(stream);
+      }
     } catch (err) {
-      if (err.message && err.message.includes('BUSYGROUP')) {
-        this.logger.info(`Consumer group '${this.options.groupName}' already exists in stream '${this.queueName}'.`);
-      } else {
-        this.logger.error(`Error creating/ensuring consumer group: ${err.message}`, err);
-        throw err;
+      this.logger.error(`Error promoting delayed jobs for stream '${this.queueName}': ${err.message}`, err);
+      this._emitError(err);
+    }
+
+    if (this.isStopping) return;
+    if (this._delayedTimeoutId) clearTimeout(this._delayedTimeoutId);
+    this._delayedTimeoutId = setTimeout(() => this._promoteDelayed(), this.options.delayedCheckIntervalMs);
+  }
+
+  /**
+   * Returns the connection used for blocking reads: a duplicate of redisClient when possible,
+   * so acks, publishes and other commands on the shared client are never stalled behind it.
+   * @returns {Promise<object>}
+   */
+  async _createBlockingClient() {
+    if (!this.options.dedicatedBlockingConnection) {
+      return this.redisClient;
+    }
+    if (typeof this.redisClient.duplicate !== 'function') {
+      this.logger.warn('Redis client does not support duplicate(). Blocking reads will share the client connection.');
+      return this.redisClient;
+    }
+
+    const client = this.redisClient.duplicate();
+    client.on('error', (err) => {
+      this.logger.error(`Blocking connection error for stream '${this.queueName}': ${err.message}`);
+      this._emitError(err);
+    });
+
+    if (client.status && client.status !== 'ready') {
+      // The offline queue may be disabled, so wait until the connection can take commands
+      await new Promise((resolve, reject) => {
+        const onReady = () => {
+          client.removeListener('error', onError);
+          resolve();
+        };
+        const onError = (err) => {
+          client.removeListener('ready', onReady);
+          client.disconnect();
+          reject(new Error(`Failed to open the blocking connection: ${err.message}`));
+        };
+        client.once('ready', onReady);
+        client.once('error', onError);
+      });
+    }
+    this.logger.info(`Dedicated blocking connection ready for stream '${this.queueName}'.`);
+    return client;
+  }
+
+  _closeBlockingClient() {
+    if (this.blockingClient && this.blockingClient !== this.redisClient) {
+      // Disconnecting also interrupts a read that is currently blocked
+      this.blockingClient.disconnect();
+      this.logger.info(`Dedicated blocking connection for stream '${this.queueName}' closed.`);
+    }
+    this.blockingClient = null;
+  }
+
+  /**
+   * Re-reads the messages that were delivered to this consumer but never acknowledged
+   * (e.g. the process died mid-job while using the same consumerName).
+   */
+  async _recoverOwnPending() {
+    try {
+      const results = await this.redisClient.xreadgroup(
+        'GROUP', this.options.groupName, this.options.consumerName,
+        'COUNT', this.options.concurrency,
+        'STREAMS', ...this._streams, ...this._streams.map(() => '0')
+      );
+      for (const [stream, messages] of results || []) {
+        if (messages && messages.length > 0) {
+          this.logger.info(`Recovering ${messages.length} pending messages of consumer '${this.options.consumerName}' from '${stream}'.`);
+          this._handleMessages(stream, messages);
+        }
       }
+    } catch (err) {
+      this.logger.error(`Error reading own pending messages from '${this.queueName}': ${err.message}`, err);
     }
-    this._doPoll();
+  }
+
+  _scheduleStalledCheck() {
+    if (this.isStopping) return;
+    if (this._stalledCheckTimeoutId) clearTimeout(this._stalledCheckTimeoutId);
+    this._stalledCheckTimeoutId = setTimeout(() => this._checkStalled(), this.options.stalledCheckIntervalMs);
+  }
+
+  /**
+   * Keeps the messages this consumer is working on alive in the PEL and, unless the worker is
+   * paused, claims messages from other consumers that have been idle longer than visibilityTimeoutMs.
+   */
+  async _checkStalled() {
+    if (this.isStopping) return;
+
+    try {
+      for (const [stream, inFlightIds] of this._inFlightIds) {
+        if (inFlightIds.size > 0) {
+          // Resetting the idle time prevents other consumers from claiming long-running jobs
+          await this.redisClient.xclaim(
+            stream, this.options.groupName, this.options.consumerName,
+            0, ...inFlightIds, 'JUSTID'
+          );
+        }
+      }
+
+      for (const { stream, queue } of this.isPaused ? [] : this._sources) {
+        const slotsAvailable = this.options.processOrderedByKey
+          ? Math.min(this.options.concurrency, this.options.maxBufferedJobs - this.bufferedJobs)
+          : Math.min(this.options.concurrency - this.activeJobs, queue.concurrency - queue.activeJobs);
+        if (slotsAvailable <= 0) continue;
+
+        const [, claimed, deletedIds] = await this.redisClient.xautoclaim(
+          stream, this.options.groupName, this.options.consumerName,
+          this.options.visibilityTimeoutMs, '0-0', 'COUNT', slotsAvailable
+        );
+        const inFlightIds = this._inFlightIds.get(stream);
+        const messages = await this._dropStalledTooOften(
+          stream, (claimed || []).filter(message => message && !inFlightIds.has(message[0]))
+        );
+        if (messages.length > 0) {
+          this.logger.info(`Claimed ${messages.length} stalled messages from '${stream}'.`);
+          for (const [messageId] of messages) {
+            this._publishEvent(queue, 'stalled', { _messageId: messageId });
+            this._emit('stalled', { messageId, queueName: queue.name });
+          }
+          this._handleMessages(stream, messages);
+        }
+        if (deletedIds && deletedIds.length > 0) {
+          this.logger.warn(`${deletedIds.length} pending messages no longer exist in '${stream}' and were removed from the PEL.`);
+          await this._releaseDeletedPositions(stream, deletedIds);
+        }
+      }
+    } catch (err) {
+      this.logger.error(`Error checking stalled messages for stream '${this.queueName}': ${err.message}`, err);
+      this._emitError(err);
+    }
+
+    this._scheduleStalledCheck();
+  }
+
+  /**
+   * Dead-letters the claimed messages that stalled more than maxStalledCount times (delivered
+   * without being acknowledged), so a message that crashes its consumer is not claimed forever.
+   * @param {string} stream
+   * @param {Array} messages - Messages claimed by this consumer, in ID order.
+   * @returns {Promise<Array>} - The messages to process.
+   */
+  async _dropStalledTooOften(stream, messages) {
+    const readable = messages.filter(([, jobDataArray]) => Array.isArray(jobDataArray));
+    if (readable.length === 0) return messages;
+
+    const pending = await this.redisClient.xpending(
+      stream, this.options.groupName, readable[0][0], readable[readable.length - 1][0],
+      readable.length + this._inFlightIds.get(stream).size, this.options.consumerName
+    );
+    const deliveries = new Map((pending || []).map(([id, , , count]) => [id, Number(count)]));
+    const { queue, priority } = this._sourcesByStream.get(stream);
+    const kept = [];
+    for (const message of messages) {
+      const [jobId, jobDataArray] = message;
+      const stalledCount = (deliveries.get(jobId) || 1) - 1;
+      if (!Array.isArray(jobDataArray) || stalledCount <= this.options.maxStalledCount) {
+        kept.push(message);
+        continue;
+      }
+      const fields = arrayToObject(jobDataArray);
+      const { attempt, attempts } = this._getAttemptInfo(fields);
+      const error = new Error(`Job stalled ${stalledCount} times (maxStalledCount: ${this.options.maxStalledCount}).`);
+      error.name = 'JobStalledError';
+      this.logger.error(`Job ${jobId} of '${stream}' stalled ${stalledCount} times. Giving up on it.`);
+      this._jobFailed(queue, {
+        id: fields._jobId || jobId,
+        messageId: jobId,
+        queueName: queue.name,
+        stream,
+        data: undefined,
+        attempt,
+        attempts,
+        priority,
+        orderingKey: fields._orderingKey || null,
+      }, error, attempt, false);
+      await this._deadLetter(stream, jobId, fields, error, attempt);
+    }
+    return kept;
   }
 
   _scheduleNextPoll(delayMs) {
     if (this.isStopping) return;
+    this._pollDeadline = Date.now() + delayMs + this.options.livenessGraceMs;
     if (this._pollTimeoutId) clearTimeout(this._pollTimeoutId);
     this._pollTimeoutId = setTimeout(() => this._doPoll(), delayMs);
   }
@@ -113,6 +801,19 @@ class QueueWorker {
       this.logger.info('Polling stopped (isStopping).');
       return;
     }
+    if (this.isPaused) {
+      // Resumed by resume()
+      this.logger.debug('Polling paused.');
+      this._pollDeadline = null;
+      return;
+    }
+
+    const rateLimitWaitMs = Math.min(...this._queues.map(queue => queue.rateLimitedUntil)) - Date.now();
+    if (rateLimitWaitMs > 0) {
+      this.logger.debug(`Rate limit of '${this.queueName}' reached. Retrying polling in ${rateLimitWaitMs}ms.`);
+      this._scheduleNextPoll(rateLimitWaitMs);
+      return;
+    }
 
     const slotsAvailableForFetch = this.options.concurrency - this.activeJobs;
     if (slotsAvailableForFetch <= 0 && !this.options.processOrderedByKey) {
@@ -121,70 +822,66 @@ class QueueWorker {
       return;
     }
 
-    const fetchCount = this.options.processOrderedByKey ? this.options.concurrency : Math.max(1, slotsAvailableForFetch);
+    let fetchCount = Math.max(1, slotsAvailableForFetch);
+    if (this.options.processOrderedByKey) {
+      const bufferRoom = this.options.maxBufferedJobs - this.bufferedJobs;
+      if (bufferRoom <= 0) {
+        // Resumed by _dispatchOrderedJobs once a buffered job starts
+        this.logger.debug(`Ordered buffer full (${this.bufferedJobs} jobs). Polling paused.`);
+        this._pollPaused = true;
+        this._pollDeadline = null;
+        return;
+      }
+      fetchCount = Math.min(this.options.concurrency, bufferRoom);
+    }
+
+    const sources = this._readableSources();
+    if (sources.length === 0) {
+      this.logger.debug(`All the queues of '${this.queueName}' are at their concurrency or rate limit. Retrying polling in 1s.`);
+      this._scheduleNextPoll(1000);
+      return;
+    }
 
     try {
       this.logger.debug(`Polling stream '${this.queueName}' for up to ${fetchCount} jobs. Active: ${this.activeJobs}.`);
-      const results = await this.redisClient.xreadgroup(
-        'GROUP', this.options.groupName, this.options.consumerName,
-        'COUNT', fetchCount,
-        'BLOCK', this.options.blockTimeMs,
-        'STREAMS', this.queueName, '>'
-      );
+      this._pollInFlight = true;
+      this._pollDeadline = Date.now() + this.options.blockTimeMs + this.options.livenessGraceMs;
+      const results = await this._readNew(fetchCount, sources).finally(() => {
+        this._pollInFlight = false;
+      });
+      this._lastReadAt = Date.now();
+      this._consecutivePollErrors = 0;
+      this._lastPollError = null;
 
       if (this.isStopping) {
         this.logger.info('Polling stopped (isStopping post-block).');
         return;
       }
 
-      if (results && results.length > 0 && results[0] && results[0][1]) {
-        const messages = results[0][1];
-        this.logger.debug(`Received ${messages.length} messages from '${this.queueName}'.`);
-
-        for (const message of messages) {
-          if (!message || message.length < 2) { // Verify message structure
-            this.logger.warn('Malformed message received, skipping.', message);
-            continue;
-          }
-          const jobId = message[0];
-          const jobDataArray = message[1];
-          if (!Array.isArray(jobDataArray)) { // Verify that the job data is an array
-            this.logger.warn(`Malformed job data for jobId ${jobId}, skipping.`, jobDataArray);
-            continue;
-          }
-          const jobData = arrayToObject(jobDataArray);
-          const orderingKey = jobData._orderingKey;
-
-          if (this.options.processOrderedByKey && orderingKey) {
-            if (!this.orderingKeyQueues.has(orderingKey)) {
-              this.orderingKeyQueues.set(orderingKey, []);
-            }
-            this.orderingKeyQueues.get(orderingKey).push({ jobId, jobData });
-            this.logger.debug(`Job ${jobId} (key: ${orderingKey}) enqueued internally.`);
-          } else {
-            if (this.activeJobs < this.options.concurrency) {
-              this.activeJobs++;
-              this._executeJob(jobId, jobData)
-                .finally(() => {
-                  this.activeJobs--;
-                  if (this.options.processOrderedByKey) {
-                    this._dispatchOrderedJobs();
-                  }
-                });
-            } else {
-              this.logger.warn(`Job ${jobId} (unordered) cannot be processed immediately, concurrency full. Will be retried by another consumer or in the next cycle.`);
-              break;
-            }
-          }
-        }
-        if (this.options.processOrderedByKey) {
-          this._dispatchOrderedJobs();
+      if (results.length > 0) {
+        this._drained = false;
+        for (const [stream, messages] of results) {
+          this.logger.debug(`Received ${messages.length} messages from '${stream}'.`);
+          this._handleMessages(stream, messages);
         }
       } else {
         this.logger.debug(`No messages received from '${this.queueName}' in this polling cycle.`);
+        if (!this._drained && this.activeJobs === 0 && !(this.options.processOrderedByKey && this.bufferedJobs > 0) &&
+          ![...this._readAhead.values()].some(messages => messages.length > 0)) {
+          this._drained = true;
+          this._queues.forEach(queue => this._publishEvent(queue, 'drained'));
+          this._emit('drained');
+        }
       }
     } catch (err) {
-      this.logger.error(`Error during xreadgroup for stream '${this.queueName}': ${err.message}`, err);
+      if (this.isStopping) {
+        this.logger.info('Polling stopped (blocking read interrupted by stop).');
+        return;
+      }
+      this._consecutivePollErrors++;
+      this._lastPollError = err.message;
+      this.logger.error(`Error during xreadgroup for stream '${this.queueName}' (${this._consecutivePollErrors} in a row): ${err.message}`, err);
+      this._emitError(err);
       this._scheduleNextPoll(5000);
       return;
     }
@@ -192,50 +889,915 @@ class QueueWorker {
     this._scheduleNextPoll(0);
   }
 
+  /**
+   * Streams that can be read in this poll: those of the queues that are neither throttled by their
+   * rate limit nor, unless jobs are buffered by key, running as many jobs as their concurrency allows.
+   * @returns {object[]} - Sources, most urgent first.
+   */
+  _readableSources() {
+    const now = Date.now();
+    return this._sources.filter(({ queue }) => queue.rateLimitedUntil <= now &&
+      (this.options.processOrderedByKey || queue.activeJobs < queue.concurrency));
+  }
+
+  /**
+   * Reads up to count new messages. All the readable streams are read with a single XREADGROUP,
+   * blocking on the dedicated connection until any of them has messages, and each of them may
+   * return up to the free concurrency of its queue. What is kept is split among the streams by
+   * weight; the rest stays in the read-ahead of this consumer and is served by the next polls
+   * before reading again, so it is not handed back to wait for the stalled check.
+   * @param {number} count - Maximum number of messages to read.
+   * @param {object[]} sources - Streams to read, from _readableSources.
+   * @returns {Promise<Array>} - [stream, messages] pairs, as returned by XREADGROUP.
+   */
+  async _readNew(count, sources) {
+    const room = new Map(sources.map(({ queue }) => [
+      queue, this.options.processOrderedByKey ? Infinity : queue.concurrency - queue.activeJobs,
+    ]));
+    if (!sources.some(({ stream }) => this._readAhead.get(stream).length > 0)) {
+      const perStream = Math.min(count, Math.max(...room.values()));
+      for (const [stream, messages] of await this._readStreams(sources, perStream)) {
+        const inFlightIds = this._inFlightIds.get(stream);
+        messages.forEach(message => message && typeof message[0] === 'string' && inFlightIds.add(message[0]));
+        this._readAhead.get(stream).push(...messages);
+      }
+    }
+
+    const available = sources.filter(({ stream }) => this._readAhead.get(stream).length > 0);
+    if (available.length === 0) {
+      return [];
+    }
+    const taken = new Map();
+    const shares = this._allocateReads(count, available);
+    let remaining = count;
+    for (const pass of [shares, null]) {
+      for (const { stream, queue } of available) {
+        const left = this._readAhead.get(stream).length - (taken.get(stream) || 0);
+        const wanted = Math.min(pass ? pass.get(stream) || 0 : remaining, remaining, room.get(queue), left);
+        if (wanted <= 0) continue;
+        taken.set(stream, (taken.get(stream) || 0) + wanted);
+        room.set(queue, room.get(queue) - wanted);
+        remaining -= wanted;
+      }
+    }
+
+    return [...taken].map(([stream, takenCount]) => {
+      const messages = this._readAhead.get(stream).splice(0, takenCount);
+      // Dispatching marks them in flight again
+      const inFlightIds = this._inFlightIds.get(stream);
+      messages.forEach(message => message && inFlightIds.delete(message[0]));
+      return [stream, messages];
+    });
+  }
+
+  /**
+   * Reads new messages from several streams in one call, blocking until any of them has some.
+   * With group-wide ordering, reads them through READ_ORDERED_SCRIPT so their positions are
+   * registered in the same step; since scripts cannot block, an empty read is followed by a
+   * blocking XREAD that only wakes up the loop.
+   * @param {object[]} sources - Streams to read.
+   * @param {number} count - Maximum number of messages per stream.
+   * @returns {Promise<Array>} - [stream, messages] pairs, as returned by XREADGROUP.
+   */
+  async _readStreams(sources, count) {
+    const streams = sources.map(({ stream }) => stream);
+    if (!this._groupOrdering) {
+      const results = await this.blockingClient.xreadgroup(
+        'GROUP', this.options.groupName, this.options.consumerName,
+        'COUNT', count,
+        'BLOCK', this.options.blockTimeMs,
+        'STREAMS', ...streams, ...streams.map(() => '>')
+      );
+      return results || [];
+    }
+
+    const keys = streams.flatMap(stream => [
+      stream, orderingSetKey(stream, this.options.groupName), orderingIndexKey(stream, this.options.groupName),
+    ]);
+    const [results, lastIds] = await this.redisClient.eval(
+      READ_ORDERED_SCRIPT, keys.length, ...keys,
+      this.options.groupName, this.options.consumerName, count
+    );
+    if (results.length > 0 || this.isStopping) {
+      return results;
+    }
+    await this.blockingClient.xread('BLOCK', this.options.blockTimeMs, 'STREAMS', ...streams, ...lastIds);
+    return [];
+  }
+
+  /**
+   * Splits the reads of a poll among the streams with smooth weighted round-robin, so under
+   * load each queue and priority lane gets a share proportional to its weight.
+   * @param {number} count - Number of messages to read.
+   * @param {object[]} sources - Streams to read.
+   * @returns {Map<string, number>} - Messages to read per stream.
+   */
+  _allocateReads(count, sources) {
+    const totalWeight = sources.reduce((total, { weight }) => total + weight, 0);
+    const shares = new Map();
+    for (let i = 0; i < count; i++) {
+      let selected = null;
+      for (const source of sources) {
+        source.currentWeight += source.weight;
+        if (!selected || source.currentWeight > selected.currentWeight) {
+          selected = source;
+        }
+      }
+      selected.currentWeight -= totalWeight;
+      shares.set(selected.stream, (shares.get(selected.stream) || 0) + 1);
+    }
+    return shares;
+  }
+
+  /**
+   * Dispatches messages read from a stream (new, own pending or claimed).
+   * @param {string} stream - Stream the messages were read from.
+   * @param {Array} messages - Entries in the [id, [field, value, ...]] format returned by Redis.
+   */
+  _handleMessages(stream, messages) {
+    const inFlightIds = this._inFlightIds.get(stream);
+    const { queue } = this._sourcesByStream.get(stream);
+    for (const [index, message] of messages.entries()) {
+      if (!message || typeof message[0] !== 'string') { // Verify message structure
+        // Without an ID it cannot be acknowledged, but its content is kept for triage
+        this.logger.warn('Malformed message received without an ID. Sending it to the dead-letter queue.', message);
+        this._deadLetter(stream, null, { _raw: JSON.stringify(message === undefined ? null : message) }, new Error('Malformed message'), 0)
+          .catch(err => this.logger.error(`Error dead-lettering a malformed message of '${stream}': ${err.message}`, err));
+        continue;
+      }
+      const jobId = message[0];
+      const jobDataArray = message[1];
+      if (jobDataArray === null) { // The entry was deleted from the stream while pending
+        this.logger.warn(`Job ${jobId} no longer exists in '${stream}'. Acknowledging it.`);
+        this._releaseDeletedPositions(stream, [jobId])
+          .then(() => this.redisClient.xack(stream, this.options.groupName, jobId))
+          .catch(err => this.logger.error(`Error acknowledging deleted job ${jobId}: ${err.message}`, err));
+        continue;
+      }
+      if (!Array.isArray(jobDataArray) || jobDataArray.length % 2 !== 0) { // Verify that the job data is an array of pairs
+        this.logger.warn(`Malformed job data for jobId ${jobId}.`, jobDataArray);
+        this._deadLetter(stream, jobId, { _raw: JSON.stringify(jobDataArray) }, new Error('Malformed job data'), 0)
+          .catch(err => this.logger.error(`Error dead-lettering malformed job ${jobId}: ${err.message}`, err));
+        continue;
+      }
+      const fields = arrayToObject(jobDataArray);
+      const orderingKey = fields._orderingKey;
+
+      if (this.options.processOrderedByKey && orderingKey) {
+        // Ordering keys are independent from one queue to another
+        const bufferKey = JSON.stringify([queue.name, orderingKey]);
+        if (!this.orderingKeyQueues.has(bufferKey)) {
+          this.orderingKeyQueues.set(bufferKey, []);
+        }
+        const keyQueue = this.orderingKeyQueues.get(bufferKey);
+        if (this._groupOrdering) {
+          // Retried messages keep their original position, so the buffer is kept sorted by it
+          const position = orderPosition(jobId, fields);
+          const index = keyQueue.findIndex(job => job.position > position);
+          keyQueue.splice(index === -1 ? keyQueue.length : index, 0, { stream, queue, orderingKey, jobId, fields, position });
+        } else {
+          keyQueue.push({ stream, queue, orderingKey, jobId, fields });
+        }
+        this.bufferedJobs++;
+        inFlightIds.add(jobId);
+        this.logger.debug(`Job ${jobId} (key: ${orderingKey}) enqueued internally.`);
+      } else {
+        if (this.activeJobs < this.options.concurrency && queue.activeJobs < queue.concurrency) {
+          this.activeJobs++;
+          queue.activeJobs++;
+          inFlightIds.add(jobId);
+          this._executeJob(stream, jobId, fields)
+            .finally(() => {
+              this.activeJobs--;
+              queue.activeJobs--;
+              inFlightIds.delete(jobId);
+              if (this.options.processOrderedByKey) {
+                this._dispatchOrderedJobs();
+              }
+            });
+        } else {
+          const skippedIds = messages.slice(index)
+            .map(skipped => skipped && skipped[0])
+            .filter(id => typeof id === 'string' && !inFlightIds.has(id));
+          this.logger.warn(`Job ${jobId} (unordered) cannot be processed immediately, concurrency of '${queue.name}' full. Handing back ${skippedIds.length} messages to the group.`);
+          this._handBack(stream, skippedIds);
+          break;
+        }
+      }
+    }
+    if (this._groupOrdering) {
+      this._scheduleOrderCheck(0);
+    }
+    if (this.options.processOrderedByKey) {
+      this._dispatchOrderedJobs();
+    }
+  }
+
   _dispatchOrderedJobs() {
     if (!this.options.processOrderedByKey || this.isStopping) {
       return;
     }
 
-    for (const [key, queue] of this.orderingKeyQueues) {
-      if (queue.length > 0 && !this.processingKeys.has(key) && this.activeJobs < this.options.concurrency) {
+    let waitingForTurn = false;
+    for (const [key, keyQueue] of this.orderingKeyQueues) {
+      if (keyQueue.length > 0 && !this.processingKeys.has(key) && this.activeJobs < this.options.concurrency &&
+        keyQueue[0].queue.activeJobs < keyQueue[0].queue.concurrency) {
+        if (this._groupOrdering && this._orderHeads.get(key) !== keyQueue[0]) {
+          // An earlier message of this key is buffered or running on another consumer
+          waitingForTurn = true;
+          continue;
+        }
         this.processingKeys.add(key);
         this.activeJobs++;
 
-        const { jobId, jobData } = queue.shift();
-        if (queue.length === 0) {
-          this.orderingKeyQueues.delete(key);
+        const { stream, queue, orderingKey, jobId, fields } = keyQueue.shift();
+        queue.activeJobs++;
+        this.bufferedJobs--;
+        // Keys with more jobs go to the back, so a hot key cannot monopolize the free slots
+        this.orderingKeyQueues.delete(key);
+        if (keyQueue.length > 0) {
+          this.orderingKeyQueues.set(key, keyQueue);
         }
 
-        this.logger.debug(`Dispatching ordered job ${jobId} for key '${key}'. Remaining jobs for this key: ${queue.length}. Total active jobs: ${this.activeJobs}.`);
+        this.logger.debug(`Dispatching ordered job ${jobId} for key '${orderingKey}'. Remaining jobs for this key: ${keyQueue.length}. Total active jobs: ${this.activeJobs}.`);
 
-        this._executeJob(jobId, jobData, key)
+        this._executeJob(stream, jobId, fields, orderingKey)
           .finally(() => {
             this.activeJobs--;
+            queue.activeJobs--;
+            this._inFlightIds.get(stream).delete(jobId);
             this.processingKeys.delete(key);
+            if (this._groupOrdering) {
+              this._orderHeads.delete(key);
+              this._scheduleOrderCheck(0);
+            }
             this._dispatchOrderedJobs();
           });
       }
       if (this.activeJobs >= this.options.concurrency) break;
     }
+
+    if (waitingForTurn) {
+      this._scheduleOrderCheck(this.options.orderingCheckIntervalMs);
+    }
+    if (this._pollPaused && this.bufferedJobs < this.options.maxBufferedJobs) {
+      this._pollPaused = false;
+      this._scheduleNextPoll(0);
+    }
+  }
+
+  _scheduleOrderCheck(delayMs) {
+    if (this.isStopping) return;
+    if (this._orderCheckTimeoutId) {
+      if (delayMs > 0) return;
+      clearTimeout(this._orderCheckTimeoutId);
+    }
+    this._orderCheckTimeoutId = setTimeout(() => {
+      this._orderCheckTimeoutId = null;
+      this._checkOrderTurns();
+    }, delayMs);
+  }
+
+  /**
+   * With group-wide ordering, checks in Redis whether the first buffered message of each idle key
+   * is the first outstanding message of that key, and dispatches the ones whose turn has come.
+   */
+  async _checkOrderTurns() {
+    if (this.isStopping) return;
+    if (this._orderCheckRunning) {
+      this._orderCheckPending = true;
+      return;
+    }
+
+    const candidates = [];
+    for (const [key, queue] of this.orderingKeyQueues) {
+      if (queue.length > 0 && !this.processingKeys.has(key) && this._orderHeads.get(key) !== queue[0]) {
+        candidates.push({ key, job: queue[0] });
+      }
+    }
+    if (candidates.length === 0) return;
+
+    this._orderCheckRunning = true;
+    try {
+      const pipeline = this.redisClient.pipeline();
+      for (const { job } of candidates) {
+        const setKey = orderingSetKey(job.stream, this.options.groupName);
+        // Positions are made of digits and '-', which sort before ';'
+        const prefix = orderMemberPrefix(job.orderingKey);
+        pipeline.zrangebylex(setKey, `[${prefix}`, `(${prefix};`, 'LIMIT', 0, 1)
+          .zscore(setKey, `${prefix}${job.position}`);
+      }
+      const replies = await pipeline.exec();
+      candidates.forEach(({ key, job }, index) => {
+        const [[headError, head], [scoreError, score]] = replies.slice(index * 2, index * 2 + 2);
+        if (headError || scoreError) return;
+        // Messages without a registered position (e.g. read before group ordering was enabled) are not held back
+        if (score === null || (head && head[0] === `${orderMemberPrefix(job.orderingKey)}${job.position}`)) {
+          this._orderHeads.set(key, job);
+        }
+      });
+    } catch (err) {
+      this.logger.error(`Error checking the order of buffered jobs for stream '${this.queueName}': ${err.message}`, err);
+    } finally {
+      this._orderCheckRunning = false;
+    }
+
+    if (this._orderCheckPending) {
+      this._orderCheckPending = false;
+      this._scheduleOrderCheck(0);
+    }
+    this._dispatchOrderedJobs();
+  }
+
+  /**
+   * Gives messages read by this consumer that it will not process back to the group: they stay
+   * pending but become claimable by any consumer immediately instead of after visibilityTimeoutMs.
+   * @param {string} stream - Stream the messages were read from.
+   * @param {string[]} jobIds
+   */
+  async _handBack(stream, jobIds) {
+    if (jobIds.length === 0) return;
+    for (const jobId of jobIds) {
+      this._inFlightIds.get(stream).delete(jobId);
+    }
+    if (typeof this.redisClient.xclaim !== 'function') {
+      this.logger.warn(`${jobIds.length} messages remain pending until their visibility timeout expires (xclaim not supported).`);
+      return;
+    }
+    try {
+      await this.redisClient.xclaim(
+        stream, this.options.groupName, this.options.consumerName,
+        0, ...jobIds, 'IDLE', HANDED_BACK_IDLE_MS, 'JUSTID'
+      );
+      this.logger.info(`${jobIds.length} messages handed back to group '${this.options.groupName}'.`);
+    } catch (err) {
+      this.logger.error(`Error handing back ${jobIds.length} messages to group '${this.options.groupName}': ${err.message}. They will be claimed once their visibility timeout expires.`, err);
+    }
+  }
+
+  /**
+   * With group-wide ordering, adds the release of the position of a finished message to a
+   * transaction, letting the next message of its key start on any consumer.
+   * @param {object} transaction - Redis multi.
+   * @param {string} stream - Stream the message was read from.
+   * @param {string} jobId
+   * @param {object} fields - Stream fields of the message.
+   * @returns {object} - The transaction.
+   */
+  _releaseOrderPosition(transaction, stream, jobId, fields) {
+    if (this._groupOrdering && fields._orderingKey) {
+      transaction
+        .zrem(orderingSetKey(stream, this.options.groupName), `${orderMemberPrefix(fields._orderingKey)}${orderPosition(jobId, fields)}`)
+        .hdel(orderingIndexKey(stream, this.options.groupName), jobId);
+    }
+    return transaction;
   }
 
-  async _executeJob(jobId, jobData, orderingKey = null) {
+  /**
+   * With group-wide ordering, releases the positions of messages deleted from the stream while
+   * pending, whose fields are gone. Without it, later messages of their keys would wait forever.
+   * @param {string} stream
+   * @param {string[]} jobIds
+   */
+  async _releaseDeletedPositions(stream, jobIds) {
+    if (!this._groupOrdering || jobIds.length === 0) return;
+    try {
+      await this.redisClient.eval(
+        RELEASE_DELETED_SCRIPT, 2, orderingSetKey(stream, this.options.groupName), orderingIndexKey(stream, this.options.groupName),
+        ...jobIds
+      );
+    } catch (err) {
+      this.logger.error(`Error releasing the order positions of ${jobIds.length} deleted messages of '${stream}': ${err.message}`, err);
+      this._emitError(err);
+    }
+  }
+
+  /**
+   * With group-wide ordering, adds to a re-enqueue transaction the removal of the ID of the
+   * acknowledged message from the ordering index. Its position stays: the new message takes it.
+   * @param {object} transaction - Redis multi.
+   * @param {string} stream
+   * @param {string} jobId
+   * @param {object} fields - Stream fields of the message.
+   * @returns {object} - The transaction.
+   */
+  _forgetOrderedMessage(transaction, stream, jobId, fields) {
+    if (this._groupOrdering && fields._orderingKey) {
+      transaction.hdel(orderingIndexKey(stream, this.options.groupName), jobId);
+    }
+    return transaction;
+  }
+
+  /**
+   * Fields of a message that goes back to the stream later (retried or throttled). With group-wide
+   * ordering it keeps its position, so later messages of its key keep waiting for it.
+   */
+  _requeueFields(jobId, fields) {
+    const requeued = { ...fields, _jobId: fields._jobId || jobId };
+    if (this._groupOrdering && fields._orderingKey) {
+      requeued._orderId = orderPosition(jobId, fields);
+    }
+    return requeued;
+  }
+
+  /**
+   * Resolves the attempt settings of a job from its reserved fields and the worker defaults.
+   * @param {object} fields - Stream fields of the message.
+   * @returns {{attempt: number, attempts: number, backoff: object}}
+   */
+  _getAttemptInfo(fields) {
+    const attempt = parseInt(fields._attempt, 10) || 1;
+    const attempts = parseInt(fields._attempts, 10) || this.options.attempts;
+    let backoff = this.options.backoff;
+    if (fields._backoff) {
+      try {
+        backoff = { ...DEFAULT_BACKOFF, ...JSON.parse(fields._backoff) };
+      } catch (err) {
+        this.logger.warn(`Invalid _backoff field ('${fields._backoff}'). Using the worker default.`);
+      }
+    }
+    return { attempt, attempts, backoff };
+  }
+
+  async _executeJob(stream, jobId, fields, orderingKey = null) {
+    const { queue, priority } = this._sourcesByStream.get(stream);
     const logPrefix = orderingKey ? `(Key: ${orderingKey}) ` : '';
-    this.logger.info(`${logPrefix}Processing job ${jobId} from queue '${this.queueName}'.`);
+    const { attempt, attempts, backoff } = this._getAttemptInfo(fields);
+    const timeoutMs = parseInt(fields._timeoutMs, 10) || this.options.jobTimeoutMs;
+    const trackingId = fields._jobId || jobId;
+
+    const job = {
+      id: trackingId,
+      messageId: jobId,
+      queueName: queue.name,
+      stream,
+      data: undefined,
+      attempt,
+      attempts,
+      priority,
+      orderingKey: fields._orderingKey || null,
+    };
 
     try {
-      const result = await this.jobHandler(jobData, jobId);
-      this.logger.info(`${logPrefix}Job ${jobId} completed. Result: ${result !== undefined ? JSON.stringify(result) : '[no result]'}`);
+      ({ data: job.data } = decodePayload(fields));
+    } catch (decodeError) {
+      this.logger.error(`${logPrefix}Job ${jobId} cannot be decoded: ${decodeError.message}`, decodeError);
+      this._jobFailed(queue, job, decodeError, attempt, false);
+      await this._deadLetter(stream, jobId, fields, decodeError, 0);
+      return;
+    }
+    const jobData = job.data;
 
+    if (queue.rateLimiter) {
+      let waitMs;
       try {
-        await this.redisClient.xack(this.queueName, this.options.groupName, jobId);
+        waitMs = await queue.rateLimiter.consume(jobData);
+      } catch (err) {
+        this.logger.error(`${logPrefix}Error checking the rate limit for job ${jobId}: ${err.message}. Delaying it.`, err);
+        waitMs = queue.rateLimiter.durationMs;
+      }
+      if (waitMs > 0) {
+        await this._throttleJob(stream, jobId, fields, waitMs, logPrefix);
+        return;
+      }
+    }
+
+    await this._track(stream, 'markActive', trackingId, {
+      attempt,
+      attempts,
+      consumer: this.options.consumerName,
+      messageId: jobId,
+    });
+
+    this.logger.info(`${logPrefix}Processing job ${jobId} from stream '${stream}' (attempt ${attempt}/${attempts}).`);
+    const headers = extractHeaders(fields);
+    this._publishEvent(queue, 'active', this._jobEventFields(job));
+    this._emit('active', job);
+    const startedAt = Date.now();
+    let running = null; // Promise of the handler, which may outlive a timed out attempt
+
+    try {
+      const controller = new AbortController();
+      const context = {
+        jobId: trackingId,
+        attempt,
+        attempts,
+        queueName: queue.name,
+        priority,
+        orderingKey: fields._orderingKey || null,
+        headers,
+        signal: controller.signal,
+        updateProgress: (progress) => this._track(stream, 'updateProgress', trackingId, progress),
+      };
+      const spanAttributes = { queueName: queue.name, groupName: this.options.groupName, messageId: jobId, jobId: trackingId, attempt };
+      running = Promise.resolve().then(() => withConsumerSpan(headers, spanAttributes, () => queue.handler(jobData, jobId, context)));
+      const result = await this._runWithTimeout(running, jobId, timeoutMs, controller);
+      const durationMs = Date.now() - startedAt;
+      this.logger.info(`${logPrefix}Job ${jobId} completed. Result: ${describeResult(result)}`);
+      await this._sendReply(jobId, fields, { result });
+      await this._track(stream, 'markCompleted', trackingId, result);
+
+      try {
+        const replies = await this._releaseOrderPosition(
+          this.redisClient.multi().xack(stream, this.options.groupName, jobId), stream, jobId, fields
+        ).exec();
+        const failedReply = (replies || []).find(([err]) => err);
+        if (failedReply) {
+          throw failedReply[0];
+        }
         this.logger.info(`${logPrefix}Job ${jobId} confirmed (ACK).`);
       } catch (ackError) {
         this.logger.error(`${logPrefix}Error confirming (ACK) job ${jobId} after successful processing: ${ackError.message}`, ackError);
+        this._emitError(ackError);
       }
+      this._publishEvent(queue, 'completed', () => ({
+        ...this._jobEventFields(job),
+        ...encodePayload(result === undefined ? null : result, fields._codec || DEFAULT_SERIALIZER),
+        _durationMs: durationMs,
+      }));
+      this._emit('completed', job, result, durationMs);
     } catch (error) {
-      this.logger.error(`${logPrefix}Error in jobHandler for job ${jobId}: ${error.message}`, { err: error, name: error.name, stack: error.stack });
+      this.logger.error(`${logPrefix}Error in jobHandler for job ${jobId} (attempt ${attempt}/${attempts}): ${error.message}`, { err: error, name: error.name, stack: error.stack });
+      this._jobFailed(queue, job, error, attempt, attempt < attempts);
+
+      if (orderingKey && running && error.name === 'JobTimeoutError') {
+        // The next message of the key must not start while this handler is still running, here or on another consumer
+        this.logger.warn(`${logPrefix}Job ${jobId} timed out. Its key stays held until the handler returns.`);
+        await running.catch(() => {});
+      }
+      if (attempt < attempts) {
+        await this._retryJob(stream, jobId, fields, error, attempt, backoff, logPrefix);
+      } else {
+        this.logger.error(`${logPrefix}Job ${jobId} exhausted its ${attempts} attempts.`);
+        await this._deadLetter(stream, jobId, fields, error, attempt);
+      }
+    }
+  }
+
+  /**
+   * Waits for the handler of a job, failing the attempt if it does not settle within timeoutMs.
+   * The handler is not interrupted: it is notified through the abort signal and, unless the job
+   * is ordered by key, its slot is released.
+   * @param {Promise<*>} running - Promise of the running handler.
+   * @param {string} jobId
+   * @param {number} timeoutMs - 0 disables the timeout.
+   * @param {AbortController} controller - Controller of the signal given to the handler.
+   * @returns {Promise<*>} - The result of the handler.
+   */
+  async _runWithTimeout(running, jobId, timeoutMs, controller) {
+    if (!timeoutMs || timeoutMs <= 0) {
+      return running;
+    }
+
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error(`Job ${jobId} timed out after ${timeoutMs}ms.`);
+        error.name = 'JobTimeoutError';
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Re-enqueues a failed job with its attempt counter increased and acknowledges the failed
+   * message in the same transaction, so the attempt count travels with the job to any consumer.
+   */
+  async _retryJob(stream, jobId, fields, error, failedAttempt, backoff, logPrefix = '') {
+    const delayMs = computeBackoffDelay(backoff, failedAttempt);
+    const delayedUntil = delayMs > 0 && this.delayedJobs ? Date.now() + delayMs : undefined;
+    const trackingId = fields._jobId || jobId;
+    const retryData = { ...this._requeueFields(jobId, fields), _attempt: failedAttempt + 1 };
+
+    try {
+      const transaction = this.redisClient.multi();
+      if (delayedUntil) {
+        transaction.zadd(delayedKey(stream), delayedUntil, DelayedJobs.buildEntry(retryData));
+      } else {
+        transaction.xadd(stream, '*', ...objectToArray(retryData));
+      }
+      transaction.xack(stream, this.options.groupName, jobId);
+      this._forgetOrderedMessage(transaction, stream, jobId, fields);
+      this._trackInTransaction(transaction, stream, 'addRetrying', trackingId, error, delayedUntil);
+      await this._execRequeue(transaction, trackingId);
+      this.logger.info(`${logPrefix}Job ${jobId} scheduled for attempt ${failedAttempt + 1} in ${delayMs}ms.`);
+    } catch (err) {
+      this.logger.error(`${logPrefix}Error scheduling retry of job ${jobId}: ${err.message}. It remains pending and will be claimed again.`, err);
+      this._emitError(err);
+    }
+  }
+
+  /**
+   * Postpones a job that exceeded the rate limit without counting an attempt. When the limit
+   * is not partitioned, reads of its queue also pause until a slot frees up, since every job would be throttled.
+   */
+  async _throttleJob(stream, jobId, fields, waitMs, logPrefix = '') {
+    const { queue } = this._sourcesByStream.get(stream);
+    const trackingId = fields._jobId || jobId;
+    const runAtMs = Date.now() + waitMs;
+    if (!queue.rateLimiter.groupKey) {
+      queue.rateLimitedUntil = Math.max(queue.rateLimitedUntil, runAtMs);
+    }
+
+    try {
+      const transaction = this.redisClient.multi()
+        .zadd(delayedKey(stream), runAtMs, DelayedJobs.buildEntry(this._requeueFields(jobId, fields)))
+        .xack(stream, this.options.groupName, jobId);
+      this._forgetOrderedMessage(transaction, stream, jobId, fields);
+      this._trackInTransaction(transaction, stream, 'addDelayed', trackingId, runAtMs);
+      await this._execRequeue(transaction, trackingId);
+      this.logger.info(`${logPrefix}Job ${jobId} throttled by the rate limit. Delayed ${waitMs}ms.`);
+    } catch (err) {
+      this.logger.error(`${logPrefix}Error delaying throttled job ${jobId}: ${err.message}. It remains pending and will be claimed again.`, err);
+      this._emitError(err);
+    }
+  }
+
+  _jobFailed(queue, job, error, attempt, willRetry) {
+    this._publishEvent(queue, 'failed', {
+      ...this._jobEventFields(job),
+      _attempt: attempt,
+      _willRetry: willRetry ? 1 : 0,
+      _error: JSON.stringify({ message: error.message, name: error.name, stack: error.stack }),
+    });
+    this._emit('failed', job, error, attempt, willRetry);
+  }
+
+  _jobEventFields(job) {
+    return {
+      _jobId: job.id,
+      _messageId: job.messageId,
+      _attempt: job.attempt,
+      _attempts: job.attempts,
+    };
+  }
+
+  /**
+   * Emits an event to the listeners of this instance. A listener that throws is logged and
+   * never affects the job or the polling loop.
+   * @param {string} event
+   * @param {...*} args
+   */
+  _emit(event, ...args) {
+    try {
+      this.emit(event, ...args);
+    } catch (err) {
+      this.logger.error(`Error in a '${event}' event listener: ${err.message}`, err);
+    }
+  }
+
+  /**
+   * Emits 'error' only when someone listens, since EventEmitter throws unhandled 'error' events.
+   * The error is always logged by the caller.
+   * @param {Error} error
+   */
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this._emit('error', error);
+    }
+  }
+
+  /**
+   * Writes an event to the events stream of a queue, for QueueEvents. Fire-and-forget: commands
+   * on one connection run in order, so the events of a job keep their order in the stream. Errors,
+   * including those building the fields, are only logged: the job is already settled.
+   * @param {object} queue - Queue of the worker (see _buildQueue).
+   * @param {string} event - Event name.
+   * @param {object|function} [fields={}] - Fields of the event, or a function that builds them (e.g. encoding a result), only called when events are published.
+   */
+  _publishEvent(queue, event, fields = {}) {
+    if (!this.options.publishEvents) return;
+    let eventData;
+    try {
+      eventData = { _event: event, ...(typeof fields === 'function' ? fields() : fields), _consumer: this.options.consumerName };
+    } catch (err) {
+      this.logger.warn(`Error building '${event}' event for '${eventsKey(queue.name)}': ${err.message}`);
+      return;
+    }
+    this.redisClient.xadd(
+      eventsKey(queue.name), 'MAXLEN', '~', this.options.eventsMaxLen, '*', ...objectToArray(eventData)
+    ).catch(err => this.logger.warn(`Error publishing '${event}' event to '${eventsKey(queue.name)}': ${err.message}`));
+  }
+
+  /**
+   * Reports the state of the worker, for liveness and readiness probes. live is false only when the
+   * poll loop stopped making progress (e.g. a read that never returns), which a restart fixes; ready
+   * also requires the Redis connections to be usable, the reads not to keep failing and the worker
+   * not to be stopping. A stopping worker stays live, so its jobs can finish.
+   * @returns {object} - { live, ready, queueName, groupName, consumerName, isStopping, isPaused, redis, pollLoop, activeJobs, bufferedJobs }.
+   */
+  health() {
+    const now = Date.now();
+    const connectionStatus = client => (client ? client.status || 'ready' : 'disconnected');
+    const redis = {
+      status: connectionStatus(this.redisClient),
+      blockingStatus: this.blockingClient === this.redisClient ? 'shared' : connectionStatus(this.blockingClient),
+    };
+    const redisReady = redis.status === 'ready' && ['ready', 'shared'].includes(redis.blockingStatus);
+    const pollLoop = {
+      alive: this._started && (this.isStopping || this._pollDeadline === null || now <= this._pollDeadline),
+      lastReadAt: this._lastReadAt,
+      consecutiveErrors: this._consecutivePollErrors,
+      lastError: this._lastPollError,
+    };
+    const live = pollLoop.alive;
+
+    return {
+      live,
+      ready: live && redisReady && !this.isStopping && this._consecutivePollErrors < this.options.maxConsecutivePollErrors,
+      queueName: this.queueName,
+      groupName: this.options.groupName,
+      consumerName: this.options.consumerName,
+      isStopping: this.isStopping,
+      isPaused: this.isPaused,
+      redis,
+      pollLoop,
+      activeJobs: this.activeJobs,
+      bufferedJobs: this.options.processOrderedByKey ? this.bufferedJobs : 0,
+    };
+  }
+
+  /**
+   * Stops fetching new jobs, including the claiming of stalled ones. Running and buffered jobs continue.
+   */
+  pause() {
+    if (this.isPaused || this.isStopping) return;
+    this.isPaused = true;
+    if (this._pollTimeoutId) clearTimeout(this._pollTimeoutId);
+    if (!this._pollInFlight) {
+      this._pollDeadline = null;
+    }
+    this.logger.info(`QueueWorker for '${this.queueName}' paused.`);
+    this._queues.forEach(queue => this._publishEvent(queue, 'paused'));
+    this._emit('paused');
+  }
+
+  /**
+   * Resumes fetching new jobs after pause().
+   */
+  resume() {
+    if (!this.isPaused || this.isStopping) return;
+    this.isPaused = false;
+    this.logger.info(`QueueWorker for '${this.queueName}' resumed.`);
+    this._queues.forEach(queue => this._publishEvent(queue, 'resumed'));
+    this._emit('resumed');
+    if (!this._pollInFlight) {
+      // Otherwise the read in progress keeps the loop going
+      this._scheduleNextPoll(0);
+    }
+  }
+
+  /**
+   * Updates the status record of a job. Tracking errors are logged and never fail the job.
+   * @param {string} stream - Stream the message was read from; its queue owns the record.
+   * @param {string} method - Name of the JobStore method.
+   * @param {string} trackingId - Stable ID of the job.
+   * @param {...*} args - Remaining arguments of the JobStore method.
+   */
+  async _track(stream, method, trackingId, ...args) {
+    if (!this.jobStore) return;
+    try {
+      await this.jobStore[method](this._sourcesByStream.get(stream).queue.name, trackingId, ...args);
+    } catch (err) {
+      this.logger.warn(`Error updating status record of job ${trackingId} (${method}): ${err.message}`);
+    }
+  }
+
+  /**
+   * Adds the update of the status record of a job to the transaction that re-enqueues it, so the
+   * record cannot overwrite the state set by the consumer of the next attempt.
+   * @param {object} transaction - Redis multi.
+   * @param {string} stream - Stream the message was read from; its queue owns the record.
+   * @param {string} method - Name of the JobStore method that adds the update (addRetrying, addDelayed).
+   * @param {string} trackingId - Stable ID of the job.
+   * @param {...*} args - Remaining arguments of the JobStore method.
+   */
+  _trackInTransaction(transaction, stream, method, trackingId, ...args) {
+    if (!this.jobStore) return;
+    this.jobStore[method](transaction, this._sourcesByStream.get(stream).queue.name, trackingId, ...args);
+  }
+
+  /**
+   * Executes a transaction that re-enqueues a message: the re-enqueue and the ACK come first
+   * and must succeed; errors of the bookkeeping that follows (ordering index, status record) are only logged.
+   * @param {object} transaction - Redis multi.
+   * @param {string} trackingId - Stable ID of the job.
+   */
+  async _execRequeue(transaction, trackingId) {
+    const replies = (await transaction.exec()) || [];
+    const failedReply = replies.slice(0, 2).find(([err]) => err);
+    if (failedReply) {
+      throw failedReply[0];
+    }
+    const trackingReply = replies.slice(2).find(([err]) => err);
+    if (trackingReply) {
+      this.logger.warn(`Error updating the records of job ${trackingId}: ${trackingReply[0].message}`);
+    }
+  }
+
+  /**
+   * Writes the final outcome of a job to the reply stream of its caller, if it was published with request().
+   * @param {string} jobId
+   * @param {object} fields - Stream fields of the message.
+   * @param {object} outcome - { result } on success or { error } on permanent failure. A result that
+   * cannot be encoded is replied as a failure, without running the job again.
+   */
+  async _sendReply(jobId, fields, { result, error }) {
+    if (!fields._replyTo) return;
+
+    let reply;
+    if (!error) {
+      try {
+        reply = {
+          ...encodePayload(result === undefined ? null : result, fields._codec || DEFAULT_SERIALIZER),
+          _correlationId: fields._correlationId,
+          _status: 'completed',
+        };
+      } catch (err) {
+        this.logger.error(`Error encoding the result of job ${jobId}: ${err.message}`, err);
+        error = err;
+      }
+    }
+    if (error) {
+      reply = {
+        _correlationId: fields._correlationId,
+        _status: 'failed',
+        _error: JSON.stringify({ message: error.message, name: error.name, stack: error.stack }),
+      };
+    }
+
+    try {
+      await this.redisClient.multi()
+        .xadd(fields._replyTo, '*', ...objectToArray(reply))
+        .pexpire(fields._replyTo, this.options.replyTtlMs)
+        .exec();
+      this.logger.debug(`Reply for job ${jobId} sent to '${fields._replyTo}'.`);
+    } catch (err) {
+      this.logger.error(`Error sending reply for job ${jobId} to '${fields._replyTo}': ${err.message}`, err);
+    }
+  }
+
+  /**
+   * Moves a job that failed permanently to the dead-letter stream, together with the failure
+   * details, and acknowledges it on the source stream in the same transaction. Without a
+   * dead-letter stream the job is only acknowledged, so it is not claimed and run again.
+   * @param {string} stream - Source stream of the message (where it is redriven to).
+   * @param {string|null} jobId - ID of the message on the source stream, or null for an entry read without one (it is dead-lettered but cannot be acknowledged).
+   * @param {object} fields - Stream fields of the message.
+   * @param {Error} error - Reason of the failure.
+   * @param {number} attempts - Attempts made before giving up.
+   */
+  async _deadLetter(stream, jobId, fields, error, attempts) {
+    await this._sendReply(jobId, fields, { error });
+    if (jobId) {
+      await this._track(stream, 'markFailed', fields._jobId || jobId, error);
+    }
+
+    const { deadLetterQueue } = this._sourcesByStream.get(stream).queue;
+    if (!jobId && !deadLetterQueue) {
+      this.logger.warn(`Dead-letter queue disabled. Malformed message of '${stream}' discarded.`);
+      return;
+    }
+    const deadLetterData = {
+      ...fields,
+      _dlqReason: error.message,
+      _dlqStack: error.stack || '',
+      _dlqAttempts: attempts,
+      _dlqOriginalId: jobId || '',
+      _dlqQueue: stream,
+      _dlqConsumer: this.options.consumerName,
+      _dlqFailedAt: Date.now(),
+    };
+
+    try {
+      const transaction = this.redisClient.multi();
+      if (deadLetterQueue) {
+        transaction.xadd(deadLetterQueue, '*', ...objectToArray(deadLetterData));
+      }
+      if (jobId) {
+        transaction.xack(stream, this.options.groupName, jobId);
+        this._releaseOrderPosition(transaction, stream, jobId, fields);
+      }
+      const replies = await transaction.exec();
+      const failedReply = (replies || []).find(([err]) => err);
+      if (failedReply) {
+        throw failedReply[0];
+      }
+      if (deadLetterQueue) {
+        this.logger.warn(`Job ${jobId} moved to dead-letter queue '${deadLetterQueue}'. Reason: ${error.message}`);
+      } else {
+        this.logger.warn(`Dead-letter queue disabled. Job ${jobId} discarded (acknowledged). Reason: ${error.message}`);
+      }
+    } catch (err) {
+      this.logger.error(`Error ${deadLetterQueue ? `moving job ${jobId} to dead-letter queue '${deadLetterQueue}'` : `discarding job ${jobId}`}: ${err.message}. It remains pending.`, err);
+      this._emitError(err);
     }
   }
 
@@ -245,6 +1807,16 @@ class QueueWorker {
     if (this._pollTimeoutId) {
       clearTimeout(this._pollTimeoutId);
     }
+    if (this._stalledCheckTimeoutId) {
+      clearTimeout(this._stalledCheckTimeoutId);
+    }
+    if (this._delayedTimeoutId) {
+      clearTimeout(this._delayedTimeoutId);
+    }
+    if (this.options.processOrderedByKey && this._orderCheckTimeoutId) {
+      clearTimeout(this._orderCheckTimeoutId);
+    }
+    this._closeBlockingClient();
 
     const stopTime = Date.now();
     const maxWaitMs = this.options.gracefulShutdownTimeoutMs;
@@ -258,15 +1830,30 @@ class QueueWorker {
       this.logger.warn(`QueueWorker stopped, but ${this.activeJobs} jobs still active after the waiting period of ${maxWaitMs}ms.`);
     }
 
-    if (this.options.processOrderedByKey && this.orderingKeyQueues) {
-      let pendingInOrderedQueues = 0;
-      this.orderingKeyQueues.forEach(q => pendingInOrderedQueues += q.length);
-      if (pendingInOrderedQueues > 0) {
-        this.logger.warn(`${pendingInOrderedQueues} jobs remained in internal ordered queues at the time of stopping the QueueWorker.`);
+    if (this.options.processOrderedByKey && this.bufferedJobs > 0) {
+      // Handed back only now, so another consumer cannot start them while an earlier job of their key is still running here
+      const bufferedIds = new Map(this._streams.map(stream => [stream, []]));
+      this.orderingKeyQueues.forEach(keyQueue => keyQueue.forEach(({ stream, jobId }) => bufferedIds.get(stream).push(jobId)));
+      this.orderingKeyQueues.clear();
+      this.logger.info(`${this.bufferedJobs} jobs remained in internal ordered queues at the time of stopping the QueueWorker.`);
+      this.bufferedJobs = 0;
+      for (const [stream, jobIds] of bufferedIds) {
+        await this._handBack(stream, jobIds);
       }
     }
+    for (const [stream, messages] of this._readAhead) {
+      const jobIds = messages.splice(0).map(message => message && message[0]).filter(id => typeof id === 'string');
+      if (jobIds.length > 0) {
+        this.logger.info(`${jobIds.length} messages of '${stream}' read ahead were not started before stopping.`);
+        await this._handBack(stream, jobIds);
+      }
+    }
+    if (this.metrics) {
+      this.metrics.registry.removeCollector(this.metrics.collector);
+    }
     this.logger.info('QueueWorker stopped completely.');
   }
 }
 
+export { computeBackoffDelay };
 export default QueueWorker;
\ No newline at end of file
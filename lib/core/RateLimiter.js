@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import Logger from './Logger.js';
+import { rateLimitKey } from './keys.js';
+
+// Sliding window log: counts the job starts of the last durationMs and records a new one
+// only if the budget allows it. Returns 0 when allowed, or the ms until a slot frees up.
+// The clock of Redis is used, so consumers with skewed clocks share the same window.
+const CONSUME_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local duration = tonumber(ARGV[1])
+local max = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - duration)
+if redis.call('ZCARD', KEYS[1]) < max then
+  redis.call('ZADD', KEYS[1], now, ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], duration)
+  return 0
+end
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return math.max(1, tonumber(oldest[2]) + duration - now)
+`;
+
+/**
+ * Rate limit shared by every consumer of a stream, stored in Redis: at most `max` jobs
+ * may start within any window of `durationMs`, optionally per value of a job data field.
+ */
+class RateLimiter {
+  /**
+   * @param {object} redisClient - Raw Redis client (compatible with ioredis).
+   * @param {string} queueName - Name of the stream.
+   * @param {object} limiter - { max, durationMs, groupKey }.
+   * @param {number} limiter.max - Maximum number of jobs started per window.
+   * @param {number} limiter.durationMs - Length of the window in ms.
+   * @param {string} [limiter.groupKey] - Path of a job data field (e.g. 'tenant.id') whose value partitions the limit.
+   */
+  constructor(redisClient, queueName, { max, durationMs, groupKey } = {}) {
+    if (!redisClient || typeof redisClient.eval !== 'function') {
+      throw new Error('RateLimiter requires a Redis client compatible with eval.');
+    }
+    if (!Number.isInteger(max) || max < 1) {
+      throw new Error('limiter.max must be a positive integer.');
+    }
+    if (!Number.isInteger(durationMs) || durationMs < 1) {
+      throw new Error('limiter.durationMs must be a positive integer.');
+    }
+    if (groupKey !== undefined && (typeof groupKey !== 'string' || groupKey.trim() === '')) {
+      throw new Error('limiter.groupKey must be a non-empty string.');
+    }
+    this.redisClient = redisClient;
+    this.queueName = queueName;
+    this.max = max;
+    this.durationMs = durationMs;
+    this.groupKey = groupKey ? groupKey.trim() : null;
+    this.logger = new Logger(`RateLimiter:${queueName}`);
+  }
+
+  /**
+   * Resolves the partition of the limit that applies to a job.
+   * @param {*} jobData - Decoded payload of the job.
+   * @returns {string|null} - null when the limit is not partitioned or the job has no value for groupKey.
+   */
+  getGroup(jobData) {
+    if (!this.groupKey) return null;
+    let value = jobData;
+    for (const part of this.groupKey.split('.')) {
+      if (value === null || typeof value !== 'object') return null;
+      value = value[part];
+    }
+    return value === undefined || value === null ? null : String(value);
+  }
+
+  /**
+   * Takes one slot of the budget for a job.
+   * @param {*} jobData - Decoded payload of the job.
+   * @returns {Promise<number>} - 0 if the job may start now, otherwise the ms to wait before trying again.
+   */
+  async consume(jobData) {
+    const group = this.getGroup(jobData);
+    const waitMs = await this.redisClient.eval(
+      CONSUME_SCRIPT, 1, rateLimitKey(this.queueName, group),
+      this.durationMs, this.max, crypto.randomUUID()
+    );
+    if (waitMs > 0) {
+      this.logger.debug(`Limit reached${group !== null ? ` for group '${group}'` : ''}. Next slot in ${waitMs}ms.`);
+    }
+    return Number(waitMs);
+  }
+}
+
+export default RateLimiter;
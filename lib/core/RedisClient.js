@@ -1,18 +1,186 @@
 import Redis from 'ioredis';
 import Logger from './Logger.js';
+import DelayedJobs from './DelayedJobs.js';
+import { deduplicationKey, keySlot, usesHashTags } from './keys.js';
+import { buildTrimArgs } from './streamUtils.js';
 
 const logger = new Logger('RedisClient');
 
+// Adds the message only if its deduplication key is not set, and sets it to the new ID, atomically.
+// ARGV: windowMs, number of trim arguments, trim arguments..., fields...
+const PUBLISH_ONCE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return {existing, 0}
+end
+local trimCount = tonumber(ARGV[2])
+local args = {}
+for i = 3, 2 + trimCount do
+  table.insert(args, ARGV[i])
+end
+table.insert(args, '*')
+for i = 3 + trimCount, #ARGV do
+  table.insert(args, ARGV[i])
+end
+local id = redis.call('XADD', KEYS[2], unpack(args))
+redis.call('SET', KEYS[1], id, 'PX', ARGV[1])
+return {id, 1}
+`;
+
+// Adds messages to several streams all-or-nothing: every key is checked before the first write,
+// so a wrong key type cannot leave the batch half applied.
+// ARGV: per stream, number of trim arguments, trim arguments..., field count, fields...
+const PUBLISH_ATOMIC_SCRIPT = `
+for _, key in ipairs(KEYS) do
+  local keyType = redis.call('TYPE', key)['ok']
+  if keyType ~= 'stream' and keyType ~= 'none' then
+    return redis.error_reply('WRONGTYPE key ' .. key .. ' is not a stream')
+  end
+end
+local ids = {}
+local position = 1
+for _, key in ipairs(KEYS) do
+  local args = {}
+  local trimCount = tonumber(ARGV[position])
+  for i = position + 1, position + trimCount do
+    table.insert(args, ARGV[i])
+  end
+  table.insert(args, '*')
+  position = position + trimCount + 1
+  local fieldCount = tonumber(ARGV[position])
+  for i = position + 1, position + fieldCount do
+    table.insert(args, ARGV[i])
+  end
+  position = position + fieldCount + 1
+  table.insert(ids, redis.call('XADD', key, unpack(args)))
+end
+return ids
+`;
+
+/**
+ * Describes a connection URL for the logs, without its password.
+ * @param {string} url
+ * @returns {string}
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) parsed.password = '***';
+    return parsed.toString();
+  } catch (err) {
+    return '[invalid URL]';
+  }
+}
+
 class RedisClient {
+  /**
+   * Creates an instance of RedisClient. Accepts either (host, port, user, password, db) or a single
+   * configuration object, which also supports URLs, TLS, Sentinel and Cluster.
+   * @param {string|object} host - Host, or the configuration:
+   * @param {string} [host.url] - redis:// or rediss:// (TLS) URL. Takes precedence over host, port, user, password and db.
+   * @param {string} [host.host]
+   * @param {number} [host.port]
+   * @param {string} [host.user] - Username for Redis 6+ ACL.
+   * @param {string} [host.password]
+   * @param {number} [host.db]
+   * @param {object} [host.tls] - Node.js TLS options (ca, cert, key, servername, rejectUnauthorized...).
+   * @param {Array<{host: string, port: number}>} [host.sentinels] - Connect through Sentinel, which provides the current master.
+   * @param {string} [host.sentinelName='mymaster'] - Name of the master group monitored by the sentinels.
+   * @param {string} [host.sentinelPassword]
+   * @param {object} [host.sentinelTls] - TLS options of the connections to the sentinels.
+   * @param {Array<{host: string, port: number}>} [host.clusterNodes] - Connect to a Redis Cluster through these startup nodes. Enable hash tags (see configureKeys) so the keys of each queue share a slot.
+   * @param {object} [host.clusterOptions] - Additional ioredis Cluster options (e.g. natMap, dnsLookup).
+   * @param {object} [host.redisOptions] - Additional ioredis options.
+   */
   constructor(host, port, user, password, db) {
-    this.host = host;
-    this.port = port;
-    this.user = user;
-    this.password = password;
-    this.db = db;
+    const config = typeof host === 'object' && host !== null ? host : { host, port, user, password, db };
+    this.config = config;
+    this.host = config.host;
+    this.port = config.port;
+    this.user = config.user;
+    this.password = config.password;
+    this.db = config.db;
+    this.topology = config.clusterNodes && config.clusterNodes.length > 0 ? 'cluster'
+      : config.sentinels && config.sentinels.length > 0 ? 'sentinel'
+        : 'standalone';
+    this.target = this._describeTarget();
     this.client = null;
     this.isConnected = false;
     this.isConnecting = false;
+    this._delayedJobs = null;
+  }
+
+  _describeTarget() {
+    if (this.topology === 'cluster') {
+      return `cluster ${this.config.clusterNodes.map(({ host, port }) => `${host}:${port}`).join(',')}`;
+    }
+    if (this.topology === 'sentinel') {
+      return `sentinel master '${this.config.sentinelName || 'mymaster'}', DB: ${this.db || 0}`;
+    }
+    if (this.config.url) {
+      return redactUrl(this.config.url);
+    }
+    return `${this.host}:${this.port}, DB: ${this.db}`;
+  }
+
+  /**
+   * Creates the ioredis client for the configured topology.
+   * @returns {Redis|Redis.Cluster}
+   */
+  _createClient() {
+    const { url, tls, redisOptions = {} } = this.config;
+    const commonOptions = {
+      tls,
+      enableOfflineQueue: false, // Recommended to handle connection errors explicitly
+      connectTimeout: 10000,    // Initial connection timeout
+      maxRetriesPerRequest: 0,  // No retry individual commands if they fail (reconnection is separate)
+      ...redisOptions,
+    };
+    const authOptions = {
+      username: this.user, // username for Redis 6+ ACL
+      password: this.password,
+    };
+
+    if (this.topology === 'cluster') {
+      if (this.db) {
+        logger.warn(`Redis Cluster only supports DB 0. Ignoring DB ${this.db}.`);
+      }
+      // Hash tags only group the keys of one queue: keys of several queues used together need a common one
+      const sharedSlots = 'Workers of several queues, atomic publishes across queues and custom dead-letter streams also need names with a common hash tag (e.g. \'{shop}:orders\').';
+      if (!usesHashTags()) {
+        logger.warn(`Connecting to a Redis Cluster without hash tags: queues using delayed jobs, deduplication, dead-lettering or priorities will fail with CROSSSLOT errors. Enable them with configureKeys({ hashTags: true }) or REDIS_HASH_TAGS=true. ${sharedSlots}`);
+      } else {
+        logger.warn(`Connecting to a Redis Cluster with hash tags, which keep the keys of each queue in its slot. ${sharedSlots}`);
+      }
+      return new Redis.Cluster(this.config.clusterNodes, {
+        enableOfflineQueue: false,
+        redisOptions: { ...authOptions, ...commonOptions },
+        ...this.config.clusterOptions,
+      });
+    }
+    if (this.topology === 'sentinel') {
+      return new Redis({
+        ...authOptions,
+        ...commonOptions,
+        sentinels: this.config.sentinels,
+        name: this.config.sentinelName || 'mymaster',
+        sentinelPassword: this.config.sentinelPassword,
+        sentinelTLS: this.config.sentinelTls,
+        enableTLSForSentinelMode: Boolean(tls),
+        db: this.db,
+      });
+    }
+    if (url) {
+      // Values in the URL (credentials, db) take precedence over the options; rediss:// enables TLS, using tls if given
+      return new Redis(url, commonOptions);
+    }
+    return new Redis({
+      ...commonOptions,
+      ...authOptions,
+      host: this.host,
+      port: this.port,
+      db: this.db, // db passed to ioredis
+    });
   }
 
   connect() {
@@ -37,7 +205,7 @@ class RedisClient {
     }
 
     this.isConnecting = true;
-    logger.info(`Attempting to connect to Redis at ${this.host}:${this.port}, DB: ${this.db}`);
+    logger.info(`Attempting to connect to Redis at ${this.target}`);
 
     if (this.client) {
       logger.debug('Cleaning up old Redis client instance before new connection attempt.');
@@ -50,27 +218,11 @@ class RedisClient {
       this.client = null;
     }
 
-    const options = {
-      host: this.host,
-      port: this.port,
-      username: this.user, // username for Redis 6+ ACL
-      password: this.password,
-      db: this.db, // db passed to ioredis
-      enableOfflineQueue: false, // Recommended to handle connection errors explicitly
-      connectTimeout: 10000,    // Initial connection timeout
-      maxRetriesPerRequest: 0,  // No retry individual commands if they fail (reconnection is separate)
-      // retryStrategy(times) { // Custom retry strategy example if needed
-      //   const delay = Math.min(times * 50, 2000);
-      //   logger.info(`Redis: Retrying connection (attempt ${times}) in ${delay}ms`);
-      //   return delay;
-      // }
-    };
-
-    this.client = new Redis(options);
+    this.client = this._createClient();
 
     return new Promise((resolve, reject) => {
       const onClientReady = () => {
-        logger.info(`Redis client is ready (host: ${this.host}:${this.port}, DB: ${this.db}).`);
+        logger.info(`Redis client is ready (${this.target}).`);
         this.isConnected = true;
         this.isConnecting = false;
         this.client.removeListener('error', onErrorDuringConnect);
@@ -81,7 +233,7 @@ class RedisClient {
       const onErrorDuringConnect = (err) => {
         // Only handle the error if this connection promise is the active one
         if (this.isConnecting && this.client && this.client.listeners('ready').includes(onClientReady)) {
-          logger.error(`Redis connection/ready attempt failed for ${this.host}:${this.port}, DB: ${this.db}: ${err.message}`);
+          logger.error(`Redis connection/ready attempt failed for ${this.target}: ${err.message}`);
           this.isConnecting = false;
           this.isConnected = false;
           this.client.removeListener('ready', onClientReady);
@@ -95,7 +247,7 @@ class RedisClient {
       };
 
       const onTcpConnect = () => {
-        logger.info(`TCP connection established to Redis at ${this.host}:${this.port}, DB: ${this.db}. Waiting for client to be 'ready'...`);
+        logger.info(`TCP connection established to Redis at ${this.target}. Waiting for client to be 'ready'...`);
       };
 
       this.client.once('connect', onTcpConnect);
@@ -103,8 +255,13 @@ class RedisClient {
       this.client.once('error', onErrorDuringConnect); // This 'once' is for the initial connection error
 
       // General listeners that persist while the client exists
+      this.client.on('ready', () => {
+        // ioredis reconnects on its own after a connection loss: commands are accepted again
+        this.isConnected = true;
+      });
+
       this.client.on('close', () => {
-        logger.info(`Redis connection closed for ${this.host}:${this.port}, DB: ${this.db}.`);
+        logger.info(`Redis connection closed for ${this.target}.`);
         this.isConnected = false;
         // this.isConnecting could become true if ioredis tries to reconnect automatically
       });
@@ -112,13 +269,13 @@ class RedisClient {
       this.client.on('error', (err) => { // General listener for runtime errors
         if (!onErrorDuringConnect || !this.client.listeners('error').includes(onErrorDuringConnect)) {
           // If the initial connection error listener is no longer present, it's a runtime error
-          logger.error(`General Redis client runtime error for ${this.host}:${this.port}, DB: ${this.db}: ${err.message}`);
+          logger.error(`General Redis client runtime error for ${this.target}: ${err.message}`);
           // this.isConnected = false; // Could be too aggressive, depends on the nature of the error
         }
       });
 
     }).catch(err => { // Capture synchronous errors from `new Redis()` or promise configuration
-      logger.error(`Synchronous error during Redis client setup for ${this.host}:${this.port}, DB: ${this.db}: ${err.message}`, err);
+      logger.error(`Synchronous error during Redis client setup for ${this.target}: ${err.message}`, err);
       this.isConnecting = false;
       this.isConnected = false;
       if (this.client) {
@@ -129,17 +286,34 @@ class RedisClient {
     });
   }
 
-  async publishToStream(streamName, jobData) {
+  /**
+   * Adds a message to a stream.
+   * @param {string} streamName - Name of the stream.
+   * @param {object} jobData - Flat fields of the message.
+   * @param {object} [options={}] - Publishing options.
+   * @param {object} [options.retention] - Trimming applied by the same XADD: { maxLen, maxAgeMs, minId, approximate }. Other writes to the stream (retries, delayed jobs, dead letters) do not trim it.
+   * @param {string} [options.deduplicationId] - If a message with this ID was published within the window, its ID is returned and nothing is added.
+   * @param {number} [options.deduplicationWindowMs] - Deduplication window in ms (required with deduplicationId).
+   * @param {string} [options.queueName] - Queue the stream belongs to (e.g. a priority lane), which scopes the deduplication IDs. Default is streamName.
+   * @returns {Promise<string>} - Message ID.
+   */
+  async publishToStream(streamName, jobData, options = {}) {
+    if (options.deduplicationId) {
+      return (await this.publishOnceToStream(streamName, jobData, options)).id;
+    }
     if (!this.client || !this.isConnected) {
       logger.error('Cannot publish to stream: No active and ready Redis connection.');
       throw new Error('No active and ready Redis connection.');
     }
 
+    const { retention } = options;
     try {
       const messageId = '*'; // Redis will generate the ID
       const args = Object.entries(jobData).flat(); // Convert {k1:v1, k2:v2} to [k1, v1, k2, v2]
+      const trimArgs = buildTrimArgs(retention);
       logger.debug(`Publishing to stream '${streamName}' with data: ${JSON.stringify(jobData)}`);
-      const result = await this.client.xadd(streamName, messageId, ...args);
+
+      const result = await this.client.xadd(streamName, ...trimArgs, messageId, ...args);
       logger.info(`Job published to stream '${streamName}'. Message ID: ${result}`);
       return result; // Message ID
     } catch (err) {
@@ -148,9 +322,179 @@ class RedisClient {
     }
   }
 
+  /**
+   * Adds a message to a stream unless its deduplication ID was used within the window, atomically.
+   * @param {string} streamName - Name of the stream.
+   * @param {object} jobData - Flat fields of the message.
+   * @param {object} options - See publishToStream(); deduplicationId and deduplicationWindowMs are required.
+   * @returns {Promise<{id: string, deduplicated: boolean}>} - id is the ID of the original message when deduplicated.
+   */
+  async publishOnceToStream(streamName, jobData, options) {
+    if (!this.client || !this.isConnected) {
+      logger.error('Cannot publish to stream: No active and ready Redis connection.');
+      throw new Error('No active and ready Redis connection.');
+    }
+
+    const { retention, deduplicationId, deduplicationWindowMs, queueName = streamName } = options;
+    try {
+      const args = Object.entries(jobData).flat();
+      const trimArgs = buildTrimArgs(retention);
+      const [result, added] = await this.client.eval(
+        PUBLISH_ONCE_SCRIPT, 2, deduplicationKey(queueName, deduplicationId), streamName,
+        deduplicationWindowMs, trimArgs.length, ...trimArgs, ...args
+      );
+      if (!added) {
+        logger.info(`Duplicate job '${deduplicationId}' not published to stream '${streamName}'. Original message ID: ${result}`);
+        return { id: result, deduplicated: true };
+      }
+      logger.info(`Job published to stream '${streamName}'. Message ID: ${result}`);
+      return { id: result, deduplicated: false };
+    } catch (err) {
+      logger.error(`Error publishing to Redis stream '${streamName}': ${err.message}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Adds several messages to a stream in a single pipeline (one round trip).
+   * @param {string} streamName - Name of the stream.
+   * @param {object[]} jobDataList - Flat fields of each message.
+   * @param {object} [options={}] - Publishing options.
+   * @param {object} [options.retention] - Trimming applied by each XADD: { maxLen, maxAgeMs, minId, approximate }.
+   * @returns {Promise<Array<{id: string|null, error: Error|null}>>} - Outcome of each message, in order.
+   */
+  async publishManyToStream(streamName, jobDataList, options = {}) {
+    if (!this.client || !this.isConnected) {
+      logger.error('Cannot publish to stream: No active and ready Redis connection.');
+      throw new Error('No active and ready Redis connection.');
+    }
+
+    try {
+      const trimArgs = buildTrimArgs(options.retention);
+      const pipeline = this.client.pipeline();
+      for (const jobData of jobDataList) {
+        pipeline.xadd(streamName, ...trimArgs, '*', ...Object.entries(jobData).flat());
+      }
+      const replies = await pipeline.exec();
+      const results = replies.map(([error, id]) => ({ id: error ? null : id, error: error || null }));
+      const failed = results.filter(({ error }) => error).length;
+      logger.info(`${results.length - failed} jobs published to stream '${streamName}' in one pipeline (${failed} failed).`);
+      return results;
+    } catch (err) {
+      logger.error(`Error publishing a batch to Redis stream '${streamName}': ${err.message}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Adds messages to one or more streams all-or-nothing.
+   * @param {Array<{streamName: string, jobData: object, retention?: object}>} entries - Messages to add, with their flat fields and the trimming applied by their XADD ({ maxLen, maxAgeMs, minId, approximate }).
+   * @returns {Promise<string[]>} - Message IDs, in the order of the entries.
+   */
+  async publishAtomic(entries) {
+    if (!this.client || !this.isConnected) {
+      logger.error('Cannot publish to stream: No active and ready Redis connection.');
+      throw new Error('No active and ready Redis connection.');
+    }
+
+    const keys = entries.map(({ streamName }) => streamName);
+    if (this.topology === 'cluster' && new Set(keys.map(keySlot)).size > 1) {
+      logger.error(`Cannot publish atomically to streams in different hash slots: ${[...new Set(keys)].join(', ')}.`);
+      throw new Error('In Redis Cluster, the streams of an atomic publish must share a hash slot: name them with a common hash tag (e.g. \'{shop}:orders\').');
+    }
+
+    try {
+      const args = entries.flatMap(({ jobData, retention }) => {
+        const trimArgs = buildTrimArgs(retention);
+        const fields = Object.entries(jobData).flat();
+        return [trimArgs.length, ...trimArgs, fields.length, ...fields];
+      });
+      const ids = await this.client.eval(PUBLISH_ATOMIC_SCRIPT, keys.length, ...keys, ...args);
+      logger.info(`Atomic batch of ${ids.length} jobs published to streams: ${[...new Set(keys)].join(', ')}.`);
+      return ids;
+    } catch (err) {
+      logger.error(`Error publishing atomic batch: ${err.message}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Parks a job in the delayed set of a stream. Running QueueWorkers of that stream add it
+   * to the stream once runAtMs is reached.
+   * @param {string} streamName - Target stream of the job.
+   * @param {object} jobData - Data of the job.
+   * @param {number} runAtMs - Timestamp (ms) at which the job must be added to the stream.
+   * @param {object} [options={}] - Scheduling options.
+   * @param {string} [options.deduplicationId] - If a job with this ID was scheduled within the window, its ID is returned and nothing is scheduled.
+   * @param {number} [options.deduplicationWindowMs] - Deduplication window in ms (required with deduplicationId).
+   * @param {string} [options.queueName] - Queue the stream belongs to, which scopes the deduplication IDs. Default is streamName.
+   * @returns {Promise<string>} - ID of the scheduled job.
+   */
+  async scheduleToStream(streamName, jobData, runAtMs, options = {}) {
+    if (options.deduplicationId) {
+      return (await this.scheduleOnceToStream(streamName, jobData, runAtMs, options)).id;
+    }
+    if (!this.client || !this.isConnected) {
+      logger.error('Cannot schedule to stream: No active and ready Redis connection.');
+      throw new Error('No active and ready Redis connection.');
+    }
+
+    try {
+      const scheduledId = await this._getDelayedJobs().schedule(streamName, jobData, runAtMs, {
+        ...options,
+        id: jobData._jobId,
+      });
+      logger.info(`Job ${scheduledId} scheduled for stream '${streamName}' at ${new Date(runAtMs).toISOString()}.`);
+      return scheduledId;
+    } catch (err) {
+      logger.error(`Error scheduling job for Redis stream '${streamName}': ${err.message}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Parks a job in the delayed set of a stream unless its deduplication ID was used within the window.
+   * @param {string} streamName - Target stream of the job.
+   * @param {object} jobData - Data of the job.
+   * @param {number} runAtMs - Timestamp (ms) at which the job must be added to the stream.
+   * @param {object} options - See scheduleToStream(); deduplicationId and deduplicationWindowMs are required.
+   * @returns {Promise<{id: string, deduplicated: boolean}>} - id is the ID of the original job when deduplicated.
+   */
+  async scheduleOnceToStream(streamName, jobData, runAtMs, options) {
+    if (!this.client || !this.isConnected) {
+      logger.error('Cannot schedule to stream: No active and ready Redis connection.');
+      throw new Error('No active and ready Redis connection.');
+    }
+
+    try {
+      const scheduled = await this._getDelayedJobs().scheduleOnce(streamName, jobData, runAtMs, {
+        ...options,
+        id: jobData._jobId,
+      });
+      if (!scheduled.deduplicated) {
+        logger.info(`Job ${scheduled.id} scheduled for stream '${streamName}' at ${new Date(runAtMs).toISOString()}.`);
+      }
+      return scheduled;
+    } catch (err) {
+      logger.error(`Error scheduling job for Redis stream '${streamName}': ${err.message}`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Returns the DelayedJobs bound to the current client (it changes when connect() creates a new one).
+   * @returns {DelayedJobs}
+   */
+  _getDelayedJobs() {
+    if (!this._delayedJobs || this._delayedJobs.redisClient !== this.client) {
+      this._delayedJobs = new DelayedJobs(this.client);
+    }
+    return this._delayedJobs;
+  }
+
   async disconnect() {
     if (this.client) {
-      logger.info(`Attempting to disconnect from Redis (host: ${this.host}:${this.port}, DB: ${this.db})...`);
+      logger.info(`Attempting to disconnect from Redis (${this.target})...`);
       // Remove all listeners to avoid problems in reconnections or multiple closures
       this.client.removeAllListeners();
       if (this.isConnected) { // Only attempt 'quit' if formally connected and ready
@@ -207,6 +551,21 @@ class RedisClient {
   getClientInstance() {
     return this.client;
   }
+
+  /**
+   * Reports the state of the connection. ioredis reconnects on its own, so status is read from
+   * the client ('ready', 'connecting', 'reconnecting', 'end', ...) rather than from isConnected.
+   * @returns {{connected: boolean, status: string, topology: string, target: string}}
+   */
+  health() {
+    const status = this.client ? this.client.status : 'disconnected';
+    return {
+      connected: status === 'ready',
+      status,
+      topology: this.topology,
+      target: this.target,
+    };
+  }
 }
 
 export default RedisClient;
\ No newline at end of file
@@ -0,0 +1,83 @@
+import redisSingleton, { RedisSingleton } from './RedisSingleton.js';
+import Logger from './Logger.js';
+
+const DEFAULT_CONNECTION = 'default';
+
+const logger = new Logger('RedisRegistry');
+
+/**
+ * Keeps named Redis connections so several Redis targets can be used in the same process.
+ * Each connection exposes the same API as redisSingleton, which is registered as 'default'.
+ */
+class RedisRegistry {
+  constructor() {
+    this.connections = new Map([[DEFAULT_CONNECTION, redisSingleton]]);
+  }
+
+  /**
+   * Returns a named connection, creating it (not connected) if it does not exist.
+   * @param {string} [name='default']
+   * @returns {RedisSingleton}
+   */
+  get(name = DEFAULT_CONNECTION) {
+    if (!this.connections.has(name)) {
+      this.connections.set(name, new RedisSingleton({ name, standalone: true }));
+      logger.debug(`Connection '${name}' registered.`);
+    }
+    return this.connections.get(name);
+  }
+
+  has(name) {
+    return this.connections.has(name);
+  }
+
+  names() {
+    return [...this.connections.keys()];
+  }
+
+  /**
+   * Connects a named connection.
+   * @param {string} name
+   * @param {object} [config=null] - Redis configuration: { url, host, port, user, password, db, tls, sentinels, clusterNodes, ... } (see RedisClient). If null, environment variables are used.
+   * @returns {Promise<RedisSingleton>}
+   */
+  async connect(name, config = null) {
+    const connection = this.get(name);
+    await connection.connect(config);
+    logger.info(`Connection '${name}' ready.`);
+    return connection;
+  }
+
+  /**
+   * Disconnects and unregisters a named connection. The default connection is disconnected but kept.
+   * @param {string} name
+   */
+  async disconnect(name) {
+    const connection = this.connections.get(name);
+    if (!connection) {
+      logger.warn(`Connection '${name}' is not registered.`);
+      return;
+    }
+    await connection.disconnect();
+    if (name !== DEFAULT_CONNECTION) {
+      this.connections.delete(name);
+    }
+  }
+
+  /**
+   * Reports the state of every registered connection.
+   * @returns {object[]} - See RedisSingleton.health().
+   */
+  health() {
+    return this.names().map(name => this.connections.get(name).health());
+  }
+
+  async disconnectAll() {
+    for (const name of this.names()) {
+      await this.disconnect(name);
+    }
+  }
+}
+
+const redisRegistry = new RedisRegistry();
+export default redisRegistry;
@@ -6,16 +6,24 @@ import Logger from './Logger.js';
 const logger = new Logger('RedisSingleton');
 
 class RedisSingleton {
-  constructor() {
-    if (RedisSingleton._instance) {
+  /**
+   * @param {object} [options={}]
+   * @param {string} [options.name='default'] - Name of the connection (used by RedisRegistry).
+   * @param {boolean} [options.standalone=false] - Create an independent instance instead of returning the global one.
+   */
+  constructor({ name = 'default', standalone = false } = {}) {
+    if (!standalone && RedisSingleton._instance) {
       return RedisSingleton._instance;
     }
+    this.name = name;
     // logger.info('RedisSingleton (structure) created.'); // Constructor log is optional
     // Do not instantiate RedisClient here directly
     this.redisClientInstance = null; // Will hold our RedisClient wrapper instance
     this._connectionPromise = null;
     this.currentConfig = null; // Will store the configuration used for the current connection
-    RedisSingleton._instance = this;
+    if (!standalone) {
+      RedisSingleton._instance = this;
+    }
   }
 
   static getInstance() {
@@ -36,17 +44,16 @@ class RedisSingleton {
     if (configA === configB) return true; // Same instance or both null/undefined
     if (!configA || !configB) return false; // One is null/undefined and the other is not
 
-    return configA.host === configB.host &&
-           configA.port === configB.port &&
-           (configA.user || undefined) === (configB.user || undefined) && // Normalize undefined/null
-           (configA.password || undefined) === (configB.password || undefined) && // Normalize undefined/null
-           configA.db === configB.db;
+    // Every option counts (URL, TLS, sentinels, cluster nodes...); unset values are normalized away
+    const normalize = config => JSON.stringify(config, (key, value) => (value === null ? undefined : value));
+    const keys = new Set([...Object.keys(configA), ...Object.keys(configB)]);
+    return [...keys].every(key => normalize(configA[key]) === normalize(configB[key]));
   }
 
   /**
    * Connects to Redis.
-   * @param {object} [customRedisConfig=null] - Optional Redis configuration: { host, port, user, password, db }.
-   * If null, environment variables will be used (via configModule.js).
+   * @param {object} [customRedisConfig=null] - Optional Redis configuration: { url, host, port, user, password, db, tls, sentinels, sentinelName, sentinelPassword, clusterNodes, ... } (see RedisClient).
+   * If null, environment variables will be used (via configModule.js): REDIS_URL, REDIS_HOST..., REDIS_TLS*, REDIS_SENTINELS, REDIS_CLUSTER_NODES.
    */
   async connect(customRedisConfig = null) {
     const newConfigToUse = customRedisConfig || {
@@ -55,6 +62,12 @@ class RedisSingleton {
       user: configModule.REDIS_USER,
       password: configModule.REDIS_PASSWORD,
       db: configModule.REDIS_DB,
+      url: configModule.REDIS_URL,
+      tls: configModule.REDIS_TLS,
+      sentinels: configModule.REDIS_SENTINELS,
+      sentinelName: configModule.REDIS_SENTINEL_NAME,
+      sentinelPassword: configModule.REDIS_SENTINEL_PASSWORD,
+      clusterNodes: configModule.REDIS_CLUSTER_NODES,
     };
 
     // If already connected with the same configuration, do nothing.
@@ -80,15 +93,8 @@ class RedisSingleton {
 
     // Create and connect the new client
     this.currentConfig = { ...newConfigToUse }; // Save a copy of the current configuration
-    logger.info(`RedisSingleton: Initiating new connection to Redis. Host: ${this.currentConfig.host}, Port: ${this.currentConfig.port}, DB: ${this.currentConfig.db}`);
-
-    this.redisClientInstance = new RedisClient(
-      this.currentConfig.host,
-      this.currentConfig.port,
-      this.currentConfig.user,
-      this.currentConfig.password,
-      this.currentConfig.db
-    );
+    this.redisClientInstance = new RedisClient(this.currentConfig);
+    logger.info(`RedisSingleton: Initiating new connection to Redis (${this.redisClientInstance.target}).`);
 
     this._connectionPromise = this.redisClientInstance.connect()
       .then(() => {
@@ -148,9 +154,45 @@ class RedisSingleton {
     return this.redisClientInstance.get(key);
   }
 
-  async publishToStream(streamName, jobData) {
+  async publishToStream(streamName, jobData, options) {
+    await this._ensureConnected();
+    return this.redisClientInstance.publishToStream(streamName, jobData, options);
+  }
+
+  async publishOnceToStream(streamName, jobData, options) {
+    await this._ensureConnected();
+    return this.redisClientInstance.publishOnceToStream(streamName, jobData, options);
+  }
+
+  async publishManyToStream(streamName, jobDataList, options) {
+    await this._ensureConnected();
+    return this.redisClientInstance.publishManyToStream(streamName, jobDataList, options);
+  }
+
+  async publishAtomic(entries) {
     await this._ensureConnected();
-    return this.redisClientInstance.publishToStream(streamName, jobData);
+    return this.redisClientInstance.publishAtomic(entries);
+  }
+
+  async scheduleToStream(streamName, jobData, runAtMs, options) {
+    await this._ensureConnected();
+    return this.redisClientInstance.scheduleToStream(streamName, jobData, runAtMs, options);
+  }
+
+  async scheduleOnceToStream(streamName, jobData, runAtMs, options) {
+    await this._ensureConnected();
+    return this.redisClientInstance.scheduleOnceToStream(streamName, jobData, runAtMs, options);
+  }
+
+  /**
+   * Reports the state of this connection.
+   * @returns {{name: string, connected: boolean, status: string}} - status is 'disconnected' until connect() is called.
+   */
+  health() {
+    if (!this.redisClientInstance) {
+      return { name: this.name, connected: false, status: 'disconnected' };
+    }
+    return { name: this.name, ...this.redisClientInstance.health() };
   }
 
   getRawClient() {
@@ -166,4 +208,5 @@ class RedisSingleton {
 }
 
 const redisSingletonInstance = RedisSingleton.getInstance();
+export { RedisSingleton };
 export default redisSingletonInstance;
\ No newline at end of file
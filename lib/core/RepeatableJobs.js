@@ -0,0 +1,257 @@
+import { CronExpressionParser } from 'cron-parser';
+import Logger from './Logger.js';
+import DelayedJobs from './DelayedJobs.js';
+import { delayedKey, repeatKey, repeatMembersKey, repeatStateKey } from './keys.js';
+import { encodePayload } from './codec.js';
+
+// Stores a definition. An unchanged definition is left untouched, so every service can register
+// its repeatable jobs on startup; a changed one drops its pending occurrence so it is recomputed.
+// KEYS: definitions, last occurrences, pending members, delayed set
+const UPSERT_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if current == ARGV[2] then
+  return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+local pending = redis.call('HGET', KEYS[3], ARGV[1])
+if pending then
+  redis.call('ZREM', KEYS[4], pending)
+end
+redis.call('HDEL', KEYS[2], ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+return 1
+`;
+
+const REMOVE_SCRIPT = `
+local pending = redis.call('HGET', KEYS[3], ARGV[1])
+if pending then
+  redis.call('ZREM', KEYS[4], pending)
+end
+redis.call('HDEL', KEYS[2], ARGV[1])
+redis.call('HDEL', KEYS[3], ARGV[1])
+return redis.call('HDEL', KEYS[1], ARGV[1])
+`;
+
+// Schedules the next occurrence only if the last scheduled one is still the one this process
+// read (compare-and-set), so concurrent schedulers add each occurrence exactly once.
+const SCHEDULE_NEXT_SCRIPT = `
+if redis.call('HGET', KEYS[1], ARGV[1]) ~= ARGV[5] then
+  return 0
+end
+local last = redis.call('HGET', KEYS[2], ARGV[1]) or ''
+if last ~= ARGV[2] then
+  return 0
+end
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('HSET', KEYS[3], ARGV[1], ARGV[4])
+redis.call('ZADD', KEYS[4], ARGV[3], ARGV[4])
+return 1
+`;
+
+class RepeatableJobs {
+  /**
+   * Creates an instance of RepeatableJobs to manage the recurring jobs of a queue.
+   * Occurrences are added to the stream by the QueueWorkers of the queue.
+   * @param {object} redisClient - Raw Redis client (compatible with ioredis).
+   * @param {string} queueName - Name of the stream the occurrences are published to.
+   */
+  constructor(redisClient, queueName) {
+    if (!redisClient || typeof redisClient.hgetall !== 'function' || typeof redisClient.eval !== 'function') {
+      throw new Error('RepeatableJobs requires a Redis client compatible with hgetall and eval.');
+    }
+    if (!queueName || typeof queueName !== 'string' || queueName.trim() === '') {
+      throw new Error('queueName (non-empty string) is required.');
+    }
+    this.redisClient = redisClient;
+    this.queueName = queueName.trim();
+    this.logger = new Logger(`RepeatableJobs:${this.queueName}`);
+  }
+
+  /**
+   * Keys used by the scripts: definitions, last occurrences, pending members and delayed set.
+   * @returns {string[]}
+   */
+  _keys() {
+    return [
+      repeatKey(this.queueName), repeatStateKey(this.queueName),
+      repeatMembersKey(this.queueName), delayedKey(this.queueName),
+    ];
+  }
+
+  /**
+   * Validates a repeatable job name and trims it, as names are stored trimmed.
+   * @param {string} name
+   * @returns {string}
+   */
+  _normalizeName(name) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      throw new Error('The repeatable job name must be a non-empty string.');
+    }
+    return name.trim();
+  }
+
+  /**
+   * Validates a definition and returns it with a fixed key order, so equal definitions
+   * serialize to the same string.
+   * @param {string} name
+   * @param {object} definition
+   * @returns {object}
+   */
+  _normalize(name, definition) {
+    name = this._normalizeName(name);
+    const { cron, tz, every, data = {} } = definition || {};
+    if ((cron === undefined) === (every === undefined)) {
+      throw new Error(`Repeatable job '${name}' must define either cron or every.`);
+    }
+    if (every !== undefined && (!Number.isInteger(every) || every <= 0)) {
+      throw new Error(`Repeatable job '${name}': every must be a positive integer (ms).`);
+    }
+    if (tz !== undefined) {
+      // cron-parser accepts unknown time zones and only fails when computing an occurrence
+      try {
+        if (typeof tz !== 'string') throw new Error();
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      } catch {
+        throw new Error(`Repeatable job '${name}': tz must be a valid IANA time zone (got '${tz}').`);
+      }
+    }
+    if (cron !== undefined) {
+      // Throws on invalid expressions
+      CronExpressionParser.parse(cron, { tz });
+    }
+    if (typeof data !== 'object' || data === null) {
+      throw new Error(`Repeatable job '${name}': data must be an object.`);
+    }
+    return {
+      name,
+      cron: cron === undefined ? null : cron,
+      tz: tz === undefined ? null : tz,
+      every: every === undefined ? null : every,
+      data,
+    };
+  }
+
+  /**
+   * Computes the first occurrence of a definition strictly after afterMs.
+   * @param {object} definition - Normalized definition.
+   * @param {number} afterMs
+   * @returns {number} - Timestamp in ms.
+   */
+  _nextOccurrence(definition, afterMs) {
+    if (definition.every) {
+      // Aligned to multiples of `every`, so all processes compute the same occurrences
+      return (Math.floor(afterMs / definition.every) + 1) * definition.every;
+    }
+    const options = { currentDate: new Date(afterMs) };
+    if (definition.tz) options.tz = definition.tz;
+    return CronExpressionParser.parse(definition.cron, options).next().getTime();
+  }
+
+  /**
+   * Creates or updates a repeatable job.
+   * @param {string} name - Stable name of the repeatable job.
+   * @param {object} definition
+   * @param {string} [definition.cron] - Cron expression.
+   * @param {string} [definition.tz] - IANA time zone of the cron expression. Default is the system time zone.
+   * @param {number} [definition.every] - Interval in ms (alternative to cron).
+   * @param {object} [definition.data={}] - Data published with every occurrence.
+   * @returns {Promise<boolean>} - true if the definition was created or changed.
+   */
+  async upsert(name, definition) {
+    const normalized = this._normalize(name, definition);
+    const changed = await this.redisClient.eval(
+      UPSERT_SCRIPT, 4, ...this._keys(),
+      normalized.name, JSON.stringify(normalized)
+    );
+    if (changed) {
+      this.logger.info(`Repeatable job '${normalized.name}' registered (${normalized.cron ? `cron: ${normalized.cron}` : `every: ${normalized.every}ms`}).`);
+    }
+    return changed === 1;
+  }
+
+  /**
+   * Removes a repeatable job and its pending occurrence.
+   * @param {string} name
+   * @returns {Promise<boolean>} - true if the definition existed.
+   */
+  async remove(name) {
+    name = this._normalizeName(name);
+    const removed = await this.redisClient.eval(REMOVE_SCRIPT, 4, ...this._keys(), name);
+    if (removed) {
+      this.logger.info(`Repeatable job '${name}' removed.`);
+    }
+    return removed === 1;
+  }
+
+  /**
+   * Returns a repeatable job definition.
+   * @param {string} name
+   * @returns {Promise<object|null>} - The definition with its next scheduled occurrence (nextRunAt).
+   */
+  async get(name) {
+    name = this._normalizeName(name);
+    const [definition, last] = await Promise.all([
+      this.redisClient.hget(repeatKey(this.queueName), name),
+      this.redisClient.hget(repeatStateKey(this.queueName), name),
+    ]);
+    if (!definition) return null;
+    return { ...JSON.parse(definition), nextRunAt: last ? new Date(Number(last)) : null };
+  }
+
+  /**
+   * Lists all repeatable job definitions of the queue.
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const [definitions, state] = await Promise.all([
+      this.redisClient.hgetall(repeatKey(this.queueName)),
+      this.redisClient.hgetall(repeatStateKey(this.queueName)),
+    ]);
+    return Object.entries(definitions).map(([name, definition]) => ({
+      ...JSON.parse(definition),
+      nextRunAt: state[name] ? new Date(Number(state[name])) : null,
+    }));
+  }
+
+  /**
+   * Schedules the next occurrence of every definition whose last occurrence is already due.
+   * Safe to call concurrently from many processes.
+   * @returns {Promise<number>} - Number of occurrences scheduled by this call.
+   */
+  async scheduleDue() {
+    const [definitions, state] = await Promise.all([
+      this.redisClient.hgetall(repeatKey(this.queueName)),
+      this.redisClient.hgetall(repeatStateKey(this.queueName)),
+    ]);
+    const now = Date.now();
+    let scheduled = 0;
+
+    for (const [name, rawDefinition] of Object.entries(definitions)) {
+      const last = state[name] ? Number(state[name]) : null;
+      if (last !== null && last > now) continue; // Next occurrence already pending
+
+      try {
+        const definition = JSON.parse(rawDefinition);
+        // Missed occurrences (e.g. no worker was running) are skipped, not replayed
+        const occurrence = this._nextOccurrence(definition, Math.max(now, last || 0));
+        const member = DelayedJobs.buildEntry(
+          { ...encodePayload(definition.data), _repeatName: name, _repeatAt: occurrence },
+          `repeat:${name}:${occurrence}`
+        );
+        const added = await this.redisClient.eval(
+          SCHEDULE_NEXT_SCRIPT, 4, ...this._keys(),
+          name, state[name] || '', occurrence, member, rawDefinition
+        );
+        if (added) {
+          scheduled++;
+          this.logger.debug(`Repeatable job '${name}' scheduled at ${new Date(occurrence).toISOString()}.`);
+        }
+      } catch (err) {
+        this.logger.error(`Error scheduling repeatable job '${name}': ${err.message}`, err);
+      }
+    }
+    return scheduled;
+  }
+}
+
+export default RepeatableJobs;
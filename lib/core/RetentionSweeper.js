@@ -0,0 +1,151 @@
+import Logger from './Logger.js';
+
+/**
+ * Returns the stream ID that immediately follows the given one.
+ * @param {string} id - Stream ID (e.g. '1700000000000-3').
+ * @returns {string}
+ */
+function nextId(id) {
+  const [ms, seq] = id.split('-');
+  return `${ms}-${BigInt(seq || 0) + 1n}`;
+}
+
+/**
+ * Compares two stream IDs.
+ * @returns {number} - Negative if a < b, 0 if equal, positive if a > b.
+ */
+function compareIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(part => BigInt(part || 0));
+  const [bMs, bSeq] = b.split('-').map(part => BigInt(part || 0));
+  if (aMs !== bMs) return aMs < bMs ? -1 : 1;
+  if (aSeq !== bSeq) return aSeq < bSeq ? -1 : 1;
+  return 0;
+}
+
+class RetentionSweeper {
+  /**
+   * Creates an instance of RetentionSweeper, which trims streams keeping every message
+   * that some consumer group has not read or acknowledged yet.
+   * @param {object} redisClient - Raw Redis client (compatible with ioredis).
+   * @param {string[]} queueNames - Streams to sweep.
+   * @param {object} [options={}] - Configuration options.
+   * @param {number} [options.intervalMs=60000] - Interval in ms between sweeps.
+   * @param {number} [options.minAgeMs=0] - Acknowledged messages younger than this are kept.
+   * @param {boolean} [options.approximate=true] - Use approximate (~) trimming, which is much cheaper.
+   */
+  constructor(redisClient, queueNames, options = {}) {
+    if (!redisClient || typeof redisClient.xinfo !== 'function' || typeof redisClient.xtrim !== 'function') {
+      throw new Error('RetentionSweeper requires a Redis client compatible with xinfo and xtrim.');
+    }
+    if (!Array.isArray(queueNames) || queueNames.length === 0) {
+      throw new Error('queueNames (non-empty array) is required.');
+    }
+
+    this.redisClient = redisClient;
+    this.queueNames = queueNames;
+    this.options = {
+      intervalMs: 60000,
+      minAgeMs: 0,
+      approximate: true,
+      ...options,
+    };
+    this.logger = new Logger('RetentionSweeper');
+    this._timeoutId = null;
+    this._running = false;
+  }
+
+  /**
+   * Computes the lowest ID that must be kept in a stream: the oldest pending message of
+   * any group, or the first message not yet delivered to some group.
+   * @param {string} queueName
+   * @returns {Promise<string|null>} - null when the stream has no groups (nothing is safe to trim).
+   */
+  async _getSafeMinId(queueName) {
+    const groups = await this.redisClient.xinfo('GROUPS', queueName);
+    if (!groups || groups.length === 0) return null;
+
+    let safeMinId = null;
+    for (const reply of groups) {
+      const group = {};
+      for (let i = 0; i < reply.length; i += 2) group[reply[i]] = reply[i + 1];
+
+      let groupMinId = nextId(group['last-delivered-id']);
+      if (group.pending > 0) {
+        const [, oldestPendingId] = await this.redisClient.xpending(queueName, group.name);
+        if (oldestPendingId && compareIds(oldestPendingId, groupMinId) < 0) {
+          groupMinId = oldestPendingId;
+        }
+      }
+      if (safeMinId === null || compareIds(groupMinId, safeMinId) < 0) {
+        safeMinId = groupMinId;
+      }
+    }
+    return safeMinId;
+  }
+
+  /**
+   * Trims the acknowledged messages of a stream.
+   * @param {string} queueName
+   * @returns {Promise<number>} - Number of trimmed messages.
+   */
+  async sweep(queueName) {
+    let minId = await this._getSafeMinId(queueName);
+    if (minId === null) {
+      this.logger.debug(`Stream '${queueName}' has no consumer groups. Nothing trimmed.`);
+      return 0;
+    }
+    if (this.options.minAgeMs > 0) {
+      const ageBoundary = `${Math.max(0, Date.now() - this.options.minAgeMs)}-0`;
+      if (compareIds(ageBoundary, minId) < 0) minId = ageBoundary;
+    }
+
+    const trimmed = await this.redisClient.xtrim(queueName, 'MINID', this.options.approximate ? '~' : '=', minId);
+    if (trimmed > 0) {
+      this.logger.info(`Trimmed ${trimmed} acknowledged messages from stream '${queueName}' (MINID ${minId}).`);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Sweeps every configured stream.
+   * @returns {Promise<number>} - Total number of trimmed messages.
+   */
+  async sweepAll() {
+    let total = 0;
+    for (const queueName of this.queueNames) {
+      try {
+        total += await this.sweep(queueName);
+      } catch (err) {
+        this.logger.error(`Error sweeping stream '${queueName}': ${err.message}`, err);
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Starts sweeping periodically.
+   */
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this.logger.info(`RetentionSweeper started for ${this.queueNames.join(', ')} (every ${this.options.intervalMs}ms).`);
+    const run = async () => {
+      await this.sweepAll();
+      if (this._running) {
+        this._timeoutId = setTimeout(run, this.options.intervalMs);
+      }
+    };
+    run();
+  }
+
+  stop() {
+    this._running = false;
+    if (this._timeoutId) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+    this.logger.info('RetentionSweeper stopped.');
+  }
+}
+
+export default RetentionSweeper;
@@ -0,0 +1,173 @@
+import { encode as msgpackEncode, decode as msgpackDecode, ExtensionCodec } from '@msgpack/msgpack';
+
+/**
+ * Payload codec shared by Publisher and QueueWorker.
+ *
+ * A message is stored as a versioned envelope: the encoded payload goes in the `_data` field,
+ * `_v` holds the envelope version and `_codec` the serializer used. Other reserved fields
+ * (`_orderingKey`, `_attempt`, ...) stay as plain stream fields so they can be read without
+ * decoding the payload. Messages without `_v` are decoded the legacy way (raw string fields,
+ * without the reserved ones).
+ */
+
+export const ENVELOPE_VERSION = '1';
+export const DEFAULT_SERIALIZER = 'json';
+
+const ENVELOPE_FIELDS = ['_v', '_codec', '_data'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * JSON with support for Dates, Buffers and BigInts, which plain JSON would turn into strings/objects
+ * or reject. They are tagged as { $date }, { $buffer } and { $bigint }; keys of the payload starting with '$' are
+ * escaped with one more '$', so a payload can never be mistaken for a tag.
+ */
+const jsonSerializer = {
+  encode(value) {
+    return JSON.stringify(value, function replacer(key, current) {
+      const raw = this[key]; // Value before toJSON() was applied
+      if (raw instanceof Date) return { $date: raw.toISOString() };
+      if (Buffer.isBuffer(raw)) return { $buffer: raw.toString('base64') };
+      if (typeof raw === 'bigint') return { $bigint: raw.toString() };
+      if (isPlainObject(current) && Object.keys(current).some(name => name.startsWith('$'))) {
+        return Object.fromEntries(Object.entries(current).map(([name, child]) => [name.startsWith('$') ? `$${name}` : name, child]));
+      }
+      return current;
+    });
+  },
+  decode(encoded) {
+    return JSON.parse(encoded, (key, value) => {
+      if (!isPlainObject(value)) return value;
+      const keys = Object.keys(value);
+      if (keys.length === 1 && typeof value.$date === 'string') return new Date(value.$date);
+      if (keys.length === 1 && typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+      if (keys.length === 1 && typeof value.$bigint === 'string') return BigInt(value.$bigint);
+      if (keys.some(name => name.startsWith('$$'))) {
+        return Object.fromEntries(Object.entries(value).map(([name, child]) => [name.startsWith('$$') ? name.slice(1) : name, child]));
+      }
+      return value;
+    });
+  },
+};
+
+// Buffers get their own extension type, since MessagePack binaries decode as plain Uint8Arrays,
+// and so do BigInts (as decimal strings), which MessagePack integers cannot hold beyond 64 bits
+// (Dates are covered by the built-in timestamp extension)
+const BUFFER_EXTENSION_TYPE = 0;
+const BIGINT_EXTENSION_TYPE = 1;
+const msgpackExtensions = new ExtensionCodec();
+msgpackExtensions.register({
+  type: BUFFER_EXTENSION_TYPE,
+  encode: input => (Buffer.isBuffer(input) ? new Uint8Array(input.buffer, input.byteOffset, input.length) : null),
+  decode: data => Buffer.from(data),
+});
+msgpackExtensions.register({
+  type: BIGINT_EXTENSION_TYPE,
+  encode: input => (typeof input === 'bigint' ? Buffer.from(input.toString()) : null),
+  decode: data => BigInt(Buffer.from(data).toString()),
+});
+
+/**
+ * MessagePack, base64-encoded because stream fields are read back as strings.
+ */
+const msgpackSerializer = {
+  encode(value) {
+    return Buffer.from(msgpackEncode(value, { extensionCodec: msgpackExtensions })).toString('base64');
+  },
+  decode(encoded) {
+    return msgpackDecode(Buffer.from(encoded, 'base64'), { extensionCodec: msgpackExtensions });
+  },
+};
+
+const serializers = new Map([
+  ['json', jsonSerializer],
+  ['msgpack', msgpackSerializer],
+]);
+
+/**
+ * Registers a custom serializer, or replaces a built-in one.
+ * @param {string} name - Name stored in the `_codec` field of each message.
+ * @param {object} serializer - { encode(value) => string, decode(string) => value }.
+ */
+export function registerSerializer(name, serializer) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('The serializer name must be a non-empty string.');
+  }
+  if (!serializer || typeof serializer.encode !== 'function' || typeof serializer.decode !== 'function') {
+    throw new Error('A serializer must provide encode and decode functions.');
+  }
+  serializers.set(name, serializer);
+}
+
+function getSerializer(name) {
+  const serializer = serializers.get(name);
+  if (!serializer) {
+    throw new Error(`Unknown serializer '${name}'. Register it with registerSerializer().`);
+  }
+  return serializer;
+}
+
+/**
+ * Encodes a standalone value (e.g. a job result) with the JSON serializer.
+ * @param {*} value
+ * @returns {string}
+ */
+export function encodeValue(value) {
+  return jsonSerializer.encode(value === undefined ? null : value);
+}
+
+/**
+ * Decodes a value encoded with encodeValue().
+ * @param {string} encoded
+ * @returns {*}
+ */
+export function decodeValue(encoded) {
+  return jsonSerializer.decode(encoded);
+}
+
+/**
+ * Encodes a payload into the envelope fields of a message.
+ * @param {*} data - Payload of the message.
+ * @param {string} [serializerName='json']
+ * @returns {object} - Stream fields: { _v, _codec, _data }.
+ */
+export function encodePayload(data, serializerName = DEFAULT_SERIALIZER) {
+  return {
+    _v: ENVELOPE_VERSION,
+    _codec: serializerName,
+    _data: getSerializer(serializerName).encode(data),
+  };
+}
+
+/**
+ * Decodes the payload of a message read from a stream.
+ * @param {object} fields - Stream fields of the message.
+ * @returns {{data: *, metadata: object}} - The payload and the reserved (`_`-prefixed) fields.
+ */
+export function decodePayload(fields) {
+  if (fields._v === undefined) {
+    // Legacy message: the other fields are the payload, as raw strings. Reserved fields
+    // (e.g. `_attempt`, added when the job is retried) are metadata, as for enveloped messages.
+    const data = {};
+    const metadata = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('_')) {
+        metadata[field] = value;
+      } else {
+        data[field] = value;
+      }
+    }
+    return { data, metadata };
+  }
+
+  if (fields._v !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported envelope version '${fields._v}'.`);
+  }
+
+  const metadata = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (field.startsWith('_') && !ENVELOPE_FIELDS.includes(field)) metadata[field] = value;
+  }
+  const data = getSerializer(fields._codec || DEFAULT_SERIALIZER).decode(fields._data);
+  return { data, metadata };
+}
@@ -0,0 +1,189 @@
+import configModule from '../config.js';
+
+/**
+ * Names of the auxiliary Redis keys that qbull keeps next to each stream.
+ * Keeping them in one place guarantees that Publisher and QueueWorker agree on them.
+ *
+ * In Redis Cluster, the keys used together by one command, script or transaction must share a
+ * hash slot. With hash tags enabled, the auxiliary keys of a stream are prefixed with the stream
+ * name as a hash tag (`{orders}:delayed`), which hashes to the same slot as the stream `orders`
+ * itself. Streams whose name already contains a hash tag (`{shop}:orders`) keep their keys as is.
+ * Keys of different queues used together (a worker of several queues, an atomic publish across
+ * queues, a custom dead-letter stream) only share a slot when the names share a hash tag.
+ * Enabling it renames the keys, so every process of a deployment must use the same setting.
+ */
+
+let hashTags = configModule.REDIS_HASH_TAGS;
+
+/**
+ * Configures the naming of the auxiliary keys.
+ * @param {object} options
+ * @param {boolean} [options.hashTags] - Keep the keys of each stream in its hash slot (required in Redis Cluster). Default is REDIS_HASH_TAGS.
+ */
+export function configureKeys(options = {}) {
+  if (options.hashTags !== undefined) {
+    hashTags = Boolean(options.hashTags);
+  }
+}
+
+/**
+ * Whether the auxiliary keys are named with hash tags.
+ * @returns {boolean}
+ */
+export const usesHashTags = () => hashTags;
+
+/**
+ * Whether a key contains a hash tag, following the Redis Cluster rule: the content between the
+ * first '{' and the next '}', if not empty.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasHashTag(key) {
+  const start = key.indexOf('{');
+  if (start === -1) return false;
+  const end = key.indexOf('}', start + 1);
+  return end > start + 1;
+}
+
+/**
+ * Hash slot of a key in Redis Cluster: CRC16 (XMODEM) of its hash tag, or of the whole key, modulo 16384.
+ * Hash tags only group the keys of one stream: keys of different queues share a slot only when their
+ * names share a hash tag (`{shop}:orders`, `{shop}:payments`).
+ * @param {string} key
+ * @returns {number}
+ */
+export function keySlot(key) {
+  let hashed = key;
+  if (hasHashTag(key)) {
+    const start = key.indexOf('{');
+    hashed = key.slice(start + 1, key.indexOf('}', start + 1));
+  }
+  let crc = 0;
+  for (const byte of Buffer.from(hashed)) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc % 16384;
+}
+
+/**
+ * Prefix of the auxiliary keys of a stream.
+ * @param {string} streamName
+ * @returns {string}
+ */
+const base = (streamName) => (hashTags && !hasHashTag(streamName) ? `{${streamName}}` : streamName);
+
+/**
+ * Sorted set holding jobs that must be added to the stream at a later time (score = due timestamp in ms).
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const delayedKey = (streamName) => `${base(streamName)}:delayed`;
+
+/**
+ * Default dead-letter stream where jobs that fail permanently are moved.
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const deadLetterKey = (streamName) => `${base(streamName)}:dlq`;
+
+/**
+ * Hash with the repeatable job definitions of a stream (field = definition name).
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const repeatKey = (streamName) => `${base(streamName)}:repeat`;
+
+/**
+ * Hash with the last scheduled occurrence of each repeatable job of a stream.
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const repeatStateKey = (streamName) => `${base(streamName)}:repeat:state`;
+
+/**
+ * Hash with the delayed set member of the pending occurrence of each repeatable job of a stream.
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const repeatMembersKey = (streamName) => `${base(streamName)}:repeat:members`;
+
+/**
+ * Stream where the workers write the replies to the requests of one Publisher instance.
+ * @param {string} publisherId
+ * @returns {string}
+ */
+export const replyKey = (publisherId) => `qbull:replies:${publisherId}`;
+
+/**
+ * Hash with the status record of a job.
+ * @param {string} streamName
+ * @param {string} jobId - Stream ID of the first message of the job (or its scheduled ID when delayed).
+ * @returns {string}
+ */
+export const jobKey = (streamName, jobId) => `${base(streamName)}:job:${jobId}`;
+
+/**
+ * String holding the message ID published for a deduplication ID, during the deduplication window.
+ * @param {string} streamName
+ * @param {string} deduplicationId
+ * @returns {string}
+ */
+export const deduplicationKey = (streamName, deduplicationId) => `${base(streamName)}:dedup:${deduplicationId}`;
+
+/**
+ * Sorted set with the recent job starts counted by the rate limiter of a stream (score = start timestamp in ms).
+ * @param {string} streamName
+ * @param {string} [groupValue] - Partition of the limit (e.g. a tenant). Default is the whole stream.
+ * @returns {string}
+ */
+export const rateLimitKey = (streamName, groupValue) => (
+  groupValue === undefined || groupValue === null
+    ? `${base(streamName)}:limiter`
+    : `${base(streamName)}:limiter:${groupValue}`
+);
+
+/**
+ * Sorted set with the positions of the outstanding messages of every ordering key of a group, when
+ * the order is enforced across all its consumers. Members are `<byte length of the key>:<key>:<position>`
+ * with score 0, so the messages of a key are contiguous and sorted by position.
+ * @param {string} streamName
+ * @param {string} groupName
+ * @returns {string}
+ */
+export const orderingSetKey = (streamName, groupName) => `${base(streamName)}:order:${groupName}`;
+
+/**
+ * Hash from the ID of each outstanding ordered message of a group to its member in orderingSetKey,
+ * so its position can be released even when the entry is deleted from the stream while pending.
+ * @param {string} streamName
+ * @param {string} groupName
+ * @returns {string}
+ */
+export const orderingIndexKey = (streamName, groupName) => `${base(streamName)}:order-index:${groupName}`;
+
+/**
+ * Priority levels of a queue, from the most to the least urgent.
+ */
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Stream holding the messages of one priority level of a queue. 'normal' uses the stream itself,
+ * so queues whose workers do not enable priorities keep working unchanged. With hash tags, the
+ * lanes share the slot of the queue, so a worker can read all of them in one XREADGROUP.
+ * @param {string} streamName
+ * @param {string} priority - One of PRIORITIES.
+ * @returns {string}
+ */
+export const priorityStreamKey = (streamName, priority) => (
+  priority === 'normal' ? streamName : `${base(streamName)}:priority:${priority}`
+);
+
+/**
+ * Stream where the workers of a queue publish the lifecycle events of its jobs, read by QueueEvents.
+ * @param {string} streamName
+ * @returns {string}
+ */
+export const eventsKey = (streamName) => `${base(streamName)}:events`;
@@ -0,0 +1,56 @@
+/**
+ * Helpers to convert between JavaScript objects and the flat field lists used by Redis streams.
+ */
+
+/**
+ * Converts a flat Redis array (e.g., ['key1', 'value1', 'key2', 'value2']) into an object.
+ * @param {string[]} arr - The Redis array.
+ * @returns {object} - The resulting object.
+ */
+export function arrayToObject(arr) {
+  const obj = {};
+  for (let i = 0; i < arr.length; i += 2) {
+    obj[arr[i]] = arr[i + 1];
+  }
+  return obj;
+}
+
+/**
+ * Converts an object into a flat Redis array (e.g., {k1: v1, k2: v2} to ['k1', v1, 'k2', v2]).
+ * @param {object} obj - The object.
+ * @returns {Array} - The flat array of fields and values.
+ */
+export function objectToArray(obj) {
+  return Object.entries(obj).flat();
+}
+
+/**
+ * Builds the trimming arguments of XADD/XTRIM for a retention policy.
+ * @param {object} [retention] - { maxLen, maxAgeMs, minId, approximate = true }. Only one of maxLen, maxAgeMs and minId can be set.
+ * @returns {Array} - e.g. ['MAXLEN', '~', 1000], or an empty array when there is no policy.
+ */
+export function buildTrimArgs(retention) {
+  if (!retention) return [];
+  const { maxLen, maxAgeMs, minId, approximate = true } = retention;
+  const strategies = [maxLen, maxAgeMs, minId].filter(value => value !== undefined && value !== null);
+  if (strategies.length === 0) return [];
+  if (strategies.length > 1) {
+    throw new Error('A retention policy accepts only one of maxLen, maxAgeMs and minId.');
+  }
+
+  const operator = approximate ? '~' : '=';
+  if (maxLen !== undefined && maxLen !== null) {
+    if (!Number.isInteger(maxLen) || maxLen < 0) {
+      throw new Error('retention.maxLen must be a non-negative integer.');
+    }
+    return ['MAXLEN', operator, maxLen];
+  }
+  if (maxAgeMs !== undefined && maxAgeMs !== null) {
+    if (typeof maxAgeMs !== 'number' || !Number.isFinite(maxAgeMs) || maxAgeMs < 0) {
+      throw new Error('retention.maxAgeMs must be a non-negative number.');
+    }
+    // Stream IDs start with their creation time in ms
+    return ['MINID', operator, Math.max(0, Date.now() - maxAgeMs)];
+  }
+  return ['MINID', operator, minId];
+}
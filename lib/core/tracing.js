@@ -0,0 +1,126 @@
+/**
+ * Trace context propagation through messages.
+ *
+ * The headers of a message (W3C `traceparent`/`tracestate` plus any user headers) travel as a
+ * JSON object in the reserved `_headers` field. When `@opentelemetry/api` is installed, publish(),
+ * publishMany() and publishAtomic() run in a producer span whose context is injected into the headers, and the handlers run in a
+ * consumer span that continues the trace of the producer and links to its span. Without it, the
+ * headers are still carried but no spans are created.
+ */
+
+// Optional peer dependency: resolved once, a no-op when it is not installed
+const otel = await import('@opentelemetry/api').catch(() => null);
+
+const TRACER_NAME = 'qbull';
+const MESSAGING_SYSTEM = 'redis';
+
+export const HEADERS_FIELD = '_headers';
+
+/**
+ * Whether spans are recorded (the OpenTelemetry API is installed).
+ * @returns {boolean}
+ */
+export function isTracingAvailable() {
+  return otel !== null;
+}
+
+/**
+ * Validates user headers: a plain object with string values.
+ * @param {*} headers
+ * @returns {boolean}
+ */
+export function isValidHeaders(headers) {
+  return typeof headers === 'object' && headers !== null && !Array.isArray(headers) &&
+    Object.values(headers).every(value => typeof value === 'string');
+}
+
+/**
+ * Returns the headers of a new message: the user headers plus the active trace context.
+ * @param {object} [headers={}] - User headers. A traceparent given here is not overwritten.
+ * @returns {object}
+ */
+export function injectHeaders(headers = {}) {
+  const carrier = {};
+  if (otel) {
+    otel.propagation.inject(otel.context.active(), carrier);
+  }
+  return { ...carrier, ...headers };
+}
+
+/**
+ * Reads the headers of a received message.
+ * @param {object} fields - Stream fields of the message.
+ * @returns {object} - Empty when the message has none or they cannot be parsed.
+ */
+export function extractHeaders(fields) {
+  if (!fields[HEADERS_FIELD]) return {};
+  try {
+    const headers = JSON.parse(fields[HEADERS_FIELD]);
+    return isValidHeaders(headers) ? headers : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+async function runInSpan(span, spanContext, fn) {
+  try {
+    const result = await otel.context.with(otel.trace.setSpan(spanContext, span), fn);
+    span.setStatus({ code: otel.SpanStatusCode.OK });
+    return result;
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus({ code: otel.SpanStatusCode.ERROR, message: error.message });
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Runs a publish inside a producer span, so the headers injected meanwhile point to it.
+ * @param {string} queueName - Destination of the span: a queue, or several joined by commas (publishAtomic).
+ * @param {function} fn - Performs the publish. Its result is returned.
+ * @returns {Promise<*>}
+ */
+export async function withProducerSpan(queueName, fn) {
+  if (!otel) return fn();
+  const tracer = otel.trace.getTracer(TRACER_NAME);
+  const span = tracer.startSpan(`${queueName} publish`, {
+    kind: otel.SpanKind.PRODUCER,
+    attributes: {
+      'messaging.system': MESSAGING_SYSTEM,
+      'messaging.operation': 'publish',
+      'messaging.destination.name': queueName,
+    },
+  });
+  return runInSpan(span, otel.context.active(), fn);
+}
+
+/**
+ * Runs a job handler inside a consumer span. The span continues the trace found in the headers
+ * (so the request can be followed across services) and links to the producer span.
+ * @param {object} headers - Headers of the message (see extractHeaders).
+ * @param {object} attributes - { queueName, groupName, messageId, jobId, attempt }.
+ * @param {function} fn - Runs the handler. Its result is returned.
+ * @returns {Promise<*>}
+ */
+export async function withConsumerSpan(headers, { queueName, groupName, messageId, jobId, attempt }, fn) {
+  if (!otel) return fn();
+  const parentContext = otel.propagation.extract(otel.ROOT_CONTEXT, headers);
+  const producerSpanContext = otel.trace.getSpanContext(parentContext);
+  const tracer = otel.trace.getTracer(TRACER_NAME);
+  const span = tracer.startSpan(`${queueName} process`, {
+    kind: otel.SpanKind.CONSUMER,
+    links: producerSpanContext ? [{ context: producerSpanContext }] : [],
+    attributes: {
+      'messaging.system': MESSAGING_SYSTEM,
+      'messaging.operation': 'process',
+      'messaging.destination.name': queueName,
+      'messaging.consumer.group.name': groupName,
+      'messaging.message.id': messageId,
+      'qbull.job.id': jobId,
+      'qbull.job.attempt': attempt,
+    },
+  }, parentContext);
+  return runInSpan(span, parentContext, fn);
+}
@@ -1,12 +1,39 @@
+import DeadLetterQueue from './core/DeadLetterQueue.js';
+import DelayedJobs from './core/DelayedJobs.js';
+import HealthCheck from './core/HealthCheck.js';
+import JobStore from './core/JobStore.js';
 import Logger from './core/Logger.js';
 import Publisher from './core/Publisher.js';
+import QueueAdmin from './core/QueueAdmin.js';
+import QueueEvents from './core/QueueEvents.js';
 import QueueWorker from './core/QueueWorker.js';
+import RateLimiter from './core/RateLimiter.js';
+import RepeatableJobs from './core/RepeatableJobs.js';
+import RetentionSweeper from './core/RetentionSweeper.js';
 
 import redisSingleton from './core/RedisSingleton.js';
+import redisRegistry from './core/RedisRegistry.js';
+import metricsRegistry, { MetricsRegistry } from './core/MetricsRegistry.js';
+import { registerSerializer } from './core/codec.js';
+import { configureKeys } from './core/keys.js';
 
 export {
+    DeadLetterQueue,
+    DelayedJobs,
+    HealthCheck,
+    JobStore,
     Logger,
+    MetricsRegistry,
     Publisher,
+    QueueAdmin,
+    QueueEvents,
     QueueWorker,
-    redisSingleton
+    RateLimiter,
+    RepeatableJobs,
+    RetentionSweeper,
+    configureKeys,
+    metricsRegistry,
+    redisRegistry,
+    redisSingleton,
+    registerSerializer
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import { encodePayload, decodePayload, encodeValue, decodeValue } from '../lib/core/codec.js';
+
+const payload = {
+  text: 'hello',
+  count: 3,
+  flag: false,
+  missing: null,
+  nested: { list: [1, 'two', { three: 3 }] },
+  at: new Date('2024-05-01T12:30:00.000Z'),
+  bytes: Buffer.from([0, 1, 254, 255]),
+  big: 2n ** 80n,
+  $tagLike: { $date: 'not a date' },
+};
+
+// Stream fields are read back as strings
+const asRead = fields => Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, String(value)]));
+
+for (const serializer of ['json', 'msgpack']) {
+  test(`the ${serializer} serializer round-trips Dates, Buffers, BigInts and nested values`, () => {
+    const fields = { ...encodePayload(payload, serializer), _attempt: 2 };
+
+    const { data, metadata } = decodePayload(asRead(fields));
+
+    assert.deepEqual(data, payload);
+    assert.ok(Buffer.isBuffer(data.bytes));
+    assert.deepEqual(metadata, { _attempt: '2' });
+  });
+}
+
+test('encodeValue round-trips standalone values', () => {
+  for (const value of [null, 42, 'text', [1n, new Date(0)], { $date: 'x' }]) {
+    assert.deepEqual(decodeValue(encodeValue(value)), value);
+  }
+  assert.equal(decodeValue(encodeValue(undefined)), null);
+});
+
+test('legacy messages decode as raw string fields without the reserved ones', () => {
+  const { data, metadata } = decodePayload({ orderId: '7', payload: '{"a":1}', _attempt: '2', _attempts: '3' });
+
+  assert.deepEqual(data, { orderId: '7', payload: '{"a":1}' });
+  assert.deepEqual(metadata, { _attempt: '2', _attempts: '3' });
+});
+
+test('unknown envelope versions and serializers are rejected', () => {
+  assert.throws(() => decodePayload({ _v: '2', _data: '{}' }), /Unsupported envelope version/);
+  assert.throws(() => decodePayload({ _v: '1', _codec: 'nope', _data: '{}' }), /Unknown serializer 'nope'/);
+});
+
+test('a retried legacy message reaches the handler without the retry fields', async (t) => {
+  const redis = new FakeRedis();
+  const received = [];
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    received.push(data);
+    if (received.length === 1) throw new Error('retry me');
+  }, { ...quietWorkerOptions, attempts: 2 });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await redis.xadd('q', '*', 'orderId', '7');
+  await waitFor(() => received.length === 2);
+
+  assert.deepEqual(received, [{ orderId: '7' }, { orderId: '7' }]);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNodes } from '../lib/config.js';
+
+test('parseNodes reads host:port entries, with a default port', () => {
+  assert.equal(parseNodes(undefined, 6379), undefined);
+  assert.deepEqual(parseNodes(' 10.0.0.1:7000, redis-2 ,,[::1]:7001', 6379), [
+    { host: '10.0.0.1', port: 7000 },
+    { host: 'redis-2', port: 6379 },
+    { host: '[::1]', port: 7001 },
+  ]);
+});
+
+test('parseNodes rejects an entry with a bad port or no host, naming it', () => {
+  for (const [value, message] of [
+    ['a:6379,b:abc', /Invalid entry 'b:abc' in REDIS_CLUSTER_NODES: the port must be a number/],
+    ['b:', /Invalid entry 'b:' in REDIS_CLUSTER_NODES: the port must be a number/],
+    ['b:12ab', /Invalid entry 'b:12ab'/],
+    ['b:0', /Invalid entry 'b:0' in REDIS_CLUSTER_NODES: the port must be between 1 and 65535/],
+    ['b:65536', /Invalid entry 'b:65536'/],
+    [':6379', /Invalid entry ':6379' in REDIS_CLUSTER_NODES: the host is missing/],
+  ]) {
+    assert.throws(() => parseNodes(value, 6379, 'REDIS_CLUSTER_NODES'), message);
+  }
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import redisRegistry from '../lib/core/RedisRegistry.js';
+import RedisClient from '../lib/core/RedisClient.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+// Connects RedisClients to one FakeRedis server per host, the way ioredis reports readiness
+function fakeConnections(t) {
+  const servers = new Map();
+  t.mock.method(RedisClient.prototype, '_createClient', function createClient() {
+    if (!servers.has(this.config.host)) servers.set(this.config.host, new FakeRedis());
+    const client = new FakeRedis(servers.get(this.config.host).server);
+    setImmediate(() => client.emit('ready'));
+    return client;
+  });
+}
+
+test('named connections reach their own Redis target', async (t) => {
+  fakeConnections(t);
+  t.after(async () => {
+    await redisRegistry.disconnect('orders');
+    await redisRegistry.disconnect('billing');
+  });
+
+  const orders = await redisRegistry.connect('orders', { host: 'orders', port: 6379 });
+  const billing = await redisRegistry.connect('billing', { host: 'billing', port: 6379 });
+  await orders.set('k', 'from orders');
+
+  assert.equal(redisRegistry.get('orders'), orders);
+  assert.equal(await orders.get('k'), 'from orders');
+  assert.equal(await billing.get('k'), null);
+  assert.deepEqual(redisRegistry.names(), ['default', 'orders', 'billing']);
+  assert.deepEqual(
+    redisRegistry.health().map(({ name, connected }) => [name, connected]),
+    [['default', false], ['orders', true], ['billing', true]]
+  );
+});
+
+test('disconnect unregisters a named connection but keeps the default one', async (t) => {
+  fakeConnections(t);
+  const connection = await redisRegistry.connect('temporary', { host: 'temporary', port: 6379 });
+
+  await redisRegistry.disconnect('temporary');
+  await redisRegistry.disconnect('default');
+
+  assert.equal(redisRegistry.has('temporary'), false);
+  assert.equal(redisRegistry.has('default'), true);
+  assert.deepEqual(connection.health(), { name: 'temporary', connected: false, status: 'disconnected' });
+  await assert.rejects(connection.get('k'), /Not connected to Redis/);
+});
+
+test('workers read through a dedicated connection, closed on stop()', async (t) => {
+  const redis = new FakeRedis();
+  const duplicates = [];
+  const duplicate = redis.duplicate.bind(redis);
+  redis.duplicate = () => {
+    const client = duplicate();
+    duplicates.push(client);
+    return client;
+  };
+  const processed = [];
+  const worker = new QueueWorker(redis, 'q', async data => {
+    processed.push(data.n);
+  }, quietWorkerOptions);
+  t.after(() => worker.stop());
+  await worker.start();
+
+  assert.equal(duplicates.length, 1);
+  assert.equal(worker.blockingClient, duplicates[0]);
+  await addJob(redis, 'q', { n: 1 });
+  await waitFor(() => processed.length === 1);
+
+  await worker.stop();
+  assert.equal(duplicates[0].status, 'end');
+  assert.equal(redis.status, 'ready');
+});
+
+test('dedicatedBlockingConnection: false reads through the shared connection', async (t) => {
+  const redis = new FakeRedis();
+  redis.duplicate = () => assert.fail('No connection should be duplicated.');
+  const processed = [];
+  const worker = new QueueWorker(redis, 'q', async data => {
+    processed.push(data.n);
+  }, { ...quietWorkerOptions, dedicatedBlockingConnection: false });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  assert.equal(worker.blockingClient, redis);
+  await addJob(redis, 'q', { n: 1 });
+  await waitFor(() => processed.length === 1);
+  await worker.stop();
+  assert.equal(redis.status, 'ready');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import DeadLetterQueue from '../lib/core/DeadLetterQueue.js';
+import { arrayToObject } from '../lib/core/streamUtils.js';
+
+async function failJob(t, redis, options = {}) {
+  const worker = new QueueWorker(redis, 'q', async () => {
+    throw new Error('boom');
+  }, { ...quietWorkerOptions, attempts: 2, ...options });
+  t.after(() => worker.stop());
+  await worker.start();
+  return worker;
+}
+
+test('a job that exhausts its attempts is moved to the dead-letter stream', async (t) => {
+  const redis = new FakeRedis();
+  await failJob(t, redis);
+  const id = await addJob(redis, 'q', { n: 1 });
+  const dlq = new DeadLetterQueue(redis, 'q');
+
+  await waitFor(async () => (await dlq.count()) === 1);
+  const [entry] = await dlq.list();
+  assert.equal(entry.queue, 'q');
+  assert.equal(entry.reason, 'boom');
+  assert.equal(entry.attempts, 2);
+  assert.deepEqual(entry.data, { n: 1 });
+  assert.notEqual(entry.originalId, id); // The last attempt was a re-enqueued message
+  assert.equal((await redis.xpending('q', 'group:q'))[0], 0);
+});
+
+test('with the dead-letter queue disabled, exhausted jobs are only acknowledged', async (t) => {
+  const redis = new FakeRedis();
+  await failJob(t, redis, { attempts: 1, deadLetterQueue: false });
+  await addJob(redis, 'q', {});
+
+  await waitFor(async () => (await redis.xpending('q', 'group:q'))[0] === 0 && (await redis.xlen('q')) === 1);
+  assert.equal(await redis.exists('q:dlq'), 0);
+});
+
+test('redrive republishes a job without the state of its failed run', async () => {
+  const redis = new FakeRedis();
+  const dlq = new DeadLetterQueue(redis, 'q');
+  const dead = await addJob(redis, 'q:dlq', { n: 1 }, {
+    _orderingKey: 'k',
+    _attempt: 3,
+    _attempts: 3,
+    _replyTo: 'qbull:replies:p',
+    _correlationId: 'c',
+    _orderId: '00000000000001-0000000000000000',
+    _dlqReason: 'boom',
+    _dlqAttempts: 3,
+    _dlqQueue: 'q',
+  });
+  await addJob(redis, 'q:dlq', { n: 2 }, { _dlqQueue: 'q' });
+
+  const [newId] = await dlq.redrive(dead);
+
+  const [[id, rawFields]] = await redis.xrange('q', '-', '+');
+  const fields = arrayToObject(rawFields);
+  assert.equal(id, newId);
+  assert.equal(fields._orderingKey, 'k');
+  assert.equal(fields._attempts, '3');
+  for (const dropped of ['_attempt', '_replyTo', '_correlationId', '_orderId', '_dlqReason']) {
+    assert.equal(fields[dropped], undefined, dropped);
+  }
+  assert.equal(await dlq.count(), 1);
+
+  assert.equal(await dlq.redriveAll(), 1);
+  assert.equal(await dlq.count(), 0);
+  assert.equal(await redis.xlen('q'), 2);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import Publisher from '../lib/core/Publisher.js';
+import { MetricsRegistry } from '../lib/core/MetricsRegistry.js';
+import { jobKey } from '../lib/core/keys.js';
+
+async function setup(t) {
+  const redis = new FakeRedis();
+  const metrics = new MetricsRegistry();
+  const publisher = new Publisher(await connectFake(redis), { metrics });
+  t.after(() => publisher.close());
+  return { redis, metrics, publisher };
+}
+
+test('a duplicate publish returns the original ID and is counted as deduplicated, not published', async (t) => {
+  const { redis, metrics, publisher } = await setup(t);
+
+  const id = await publisher.publish('q', { n: 1 }, { deduplicationId: 'order-1' });
+  assert.equal(await publisher.publish('q', { n: 2 }, { deduplicationId: 'order-1' }), id);
+
+  assert.equal(await redis.xlen('q'), 1);
+  assert.equal(await redis.exists(jobKey('q', id)), 1);
+  const text = await metrics.metrics();
+  assert.match(text, /^qbull_messages_published_total\{queue="q"\} 1$/m);
+  assert.match(text, /^qbull_messages_deduplicated_total\{queue="q"\} 1$/m);
+});
+
+test('delayed duplicates are reported the same way', async (t) => {
+  const { redis, metrics, publisher } = await setup(t);
+
+  const id = await publisher.publish('q', { n: 1 }, { deduplicationId: 'order-1', delayMs: 60000 });
+  assert.equal(await publisher.publish('q', { n: 2 }, { deduplicationId: 'order-1', delayMs: 60000 }), id);
+  // The deduplication ID covers immediate publishes too
+  assert.equal(await publisher.publish('q', { n: 3 }, { deduplicationId: 'order-1' }), id);
+
+  assert.equal(await redis.zcard('q:delayed'), 1);
+  assert.equal(await redis.xlen('q'), 0);
+  const text = await metrics.metrics();
+  assert.match(text, /^qbull_messages_published_total\{queue="q"\} 1$/m);
+  assert.match(text, /^qbull_messages_deduplicated_total\{queue="q"\} 2$/m);
+});
+
+test('publishMany flags the deduplicated items', async (t) => {
+  const { redis, publisher } = await setup(t);
+  const original = await publisher.publish('q', { n: 0 }, { deduplicationId: 'a' });
+
+  const results = await publisher.publishMany('q', [
+    { data: { n: 1 }, options: { deduplicationId: 'a' } },
+    { data: { n: 2 }, options: { deduplicationId: 'b' } },
+    { data: { n: 3 } },
+  ]);
+
+  assert.deepEqual(results[0], { id: original, error: null, deduplicated: true });
+  assert.equal(results[1].deduplicated, undefined);
+  assert.notEqual(results[1].id, original);
+  assert.equal(results[2].deduplicated, undefined);
+  assert.equal(await redis.xlen('q'), 3);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import { waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import Publisher from '../lib/core/Publisher.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import DelayedJobs from '../lib/core/DelayedJobs.js';
+import { arrayToObject } from '../lib/core/streamUtils.js';
+
+test('promoteDue adds the due jobs to the stream and keeps the others scheduled', async () => {
+  const redis = new FakeRedis();
+  const delayedJobs = new DelayedJobs(redis);
+  await delayedJobs.schedule('q', { payload: 'due' }, Date.now() - 1, { id: 'due' });
+  await delayedJobs.schedule('q', { payload: 'later' }, Date.now() + 60000, { id: 'later' });
+
+  assert.equal(await delayedJobs.promoteDue('q'), 1);
+
+  const entries = await redis.xrange('q', '-', '+');
+  assert.deepEqual(entries.map(([, fields]) => arrayToObject(fields).payload), ['due']);
+  assert.equal(await redis.zcard('q:delayed'), 1);
+  assert.equal(await delayedJobs.promoteDue('q'), 0);
+});
+
+test('a deduplicated schedule returns the ID of the job scheduled first', async () => {
+  const redis = new FakeRedis();
+  const delayedJobs = new DelayedJobs(redis);
+  const options = { deduplicationId: 'once', deduplicationWindowMs: 60000 };
+
+  assert.equal(await delayedJobs.schedule('q', { payload: 'a' }, Date.now() + 60000, { ...options, id: 'first' }), 'first');
+  assert.equal(await delayedJobs.schedule('q', { payload: 'b' }, Date.now() + 60000, { ...options, id: 'second' }), 'first');
+  assert.equal(await redis.zcard('q:delayed'), 1);
+});
+
+test('delayed publishes reuse one DelayedJobs and reach the worker once due', async (t) => {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis));
+  t.after(() => publisher.close());
+
+  await publisher.publish('q', { n: 0 }, { delayMs: 10 });
+  // Each logger registers an exit listener: only the first scheduled publish may create one
+  const exitListeners = process.listenerCount('exit');
+  for (let n = 1; n < 5; n++) {
+    await publisher.publish('q', { n }, { delayMs: 10 });
+  }
+  assert.equal(process.listenerCount('exit'), exitListeners);
+
+  const processed = [];
+  const worker = new QueueWorker(new FakeRedis(redis.server), 'q', async (data) => {
+    processed.push(data.n);
+  }, { ...quietWorkerOptions, delayedCheckIntervalMs: 20 });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(() => processed.length === 5);
+  assert.deepEqual(processed.sort(), [0, 1, 2, 3, 4]);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import QueueEvents from '../lib/core/QueueEvents.js';
+
+async function startWorker(t, redis, handler, options = {}) {
+  const worker = new QueueWorker(redis, 'q', handler, { ...quietWorkerOptions, ...options });
+  t.after(() => worker.stop());
+  await worker.start();
+  return worker;
+}
+
+test('QueueEvents receives the events of workers started with publishEvents', async (t) => {
+  const redis = new FakeRedis();
+  const events = new QueueEvents(redis, 'q', { blockTimeMs: 100 });
+  t.after(() => events.close());
+  await events.start();
+  const received = [];
+  events.on('active', job => received.push(['active', job.id]));
+  events.on('completed', (job, result, durationMs) => received.push(['completed', job.id, result, typeof durationMs]));
+  await startWorker(t, redis, async data => data.n * 2, { publishEvents: true });
+
+  const id = await addJob(redis, 'q', { n: 21 });
+  await waitFor(() => received.length === 2);
+
+  assert.deepEqual(received, [['active', id], ['completed', id, 42, 'number']]);
+});
+
+test('QueueEvents waits for its connection to be ready before the first read', async (t) => {
+  const redis = new FakeRedis();
+  const events = new QueueEvents(redis, 'q', { blockTimeMs: 100 });
+  t.after(() => events.close());
+  const errors = [];
+  events.on('error', err => errors.push(err));
+  const completed = [];
+  events.on('completed', job => completed.push(job.id));
+  await events.start();
+  await startWorker(t, redis, async () => {}, { publishEvents: true });
+
+  const id = await addJob(redis, 'q', {});
+  // A failed first read would only be retried after 1s
+  await waitFor(() => completed.length === 1, 500);
+
+  assert.deepEqual(completed, [id]);
+  assert.deepEqual(errors, []);
+});
+
+test('workers do not write events by default', async (t) => {
+  const redis = new FakeRedis();
+  let completed = 0;
+  await startWorker(t, redis, async () => {
+    completed++;
+  });
+
+  await addJob(redis, 'q', {});
+  await waitFor(() => completed === 1);
+  await sleep(20);
+
+  assert.equal(await redis.exists('q:events'), 0);
+});
+
+test('a result the events cannot encode does not retry the job', async (t) => {
+  const redis = new FakeRedis();
+  let calls = 0;
+  const worker = await startWorker(t, redis, async () => {
+    calls++;
+    const result = {};
+    result.self = result;
+    return result;
+  }, { publishEvents: true, attempts: 3 });
+  const completed = [];
+  worker.on('completed', job => completed.push(job.id));
+
+  const id = await addJob(redis, 'q', {});
+  await waitFor(() => completed.length === 1);
+  await sleep(50);
+
+  assert.deepEqual(completed, [id]);
+  assert.equal(calls, 1);
+  assert.equal((await redis.xpending('q', 'group:q'))[0], 0);
+});
+
+test('a paused worker does not claim stalled messages', async (t) => {
+  const redis = new FakeRedis();
+  await redis.xgroup('CREATE', 'q', 'g', '$', 'MKSTREAM');
+  const id = await addJob(redis, 'q', {});
+  // Delivered to a consumer that died without acknowledging it
+  await redis.xreadgroup('GROUP', 'g', 'dead', 'COUNT', 1, 'STREAMS', 'q', '>');
+  await sleep(30);
+
+  const processed = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId) => {
+    processed.push(messageId);
+  }, { ...quietWorkerOptions, groupName: 'g', visibilityTimeoutMs: 20, stalledCheckIntervalMs: 20 });
+  t.after(() => worker.stop());
+  worker.pause();
+  await worker.start();
+  await sleep(150);
+
+  assert.deepEqual(processed, []);
+  const [[, owner]] = await redis.xpending('q', 'g', '-', '+', 10);
+  assert.equal(owner, 'dead');
+
+  worker.resume();
+  await waitFor(() => processed.length === 1);
+  assert.deepEqual(processed, [id]);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import FakeRedis from './helpers/FakeRedis.js';
+import { dropConnection } from './helpers/connection.js';
+import { waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import HealthCheck from '../lib/core/HealthCheck.js';
+
+function createWorker(t, options = {}) {
+  const worker = new QueueWorker(new FakeRedis(), 'q', async () => {}, { ...quietWorkerOptions, ...options });
+  worker.on('error', () => {});
+  t.after(() => worker.stop());
+  return worker;
+}
+
+function get(server, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('a running worker is live and ready; a paused one stays so, a stopping one is only live', async (t) => {
+  const worker = createWorker(t);
+  assert.equal(worker.health().live, false);
+  await worker.start();
+
+  const health = worker.health();
+  assert.equal(health.live, true);
+  assert.equal(health.ready, true);
+  assert.deepEqual(health.redis, { status: 'ready', blockingStatus: 'ready' });
+  assert.deepEqual(
+    [health.queueName, health.isPaused, health.isStopping, health.activeJobs, health.bufferedJobs],
+    ['q', false, false, 0, 0]
+  );
+
+  worker.pause();
+  assert.deepEqual([worker.health().live, worker.health().ready, worker.health().isPaused], [true, true, true]);
+
+  const stopping = worker.stop();
+  assert.deepEqual([worker.health().live, worker.health().ready], [true, false]);
+  await stopping;
+});
+
+test('failed reads make the worker not ready until a read succeeds', async (t) => {
+  const worker = createWorker(t, { maxConsecutivePollErrors: 1 });
+  await worker.start();
+
+  const connection = dropConnection(worker.blockingClient);
+  await waitFor(() => worker.health().pollLoop.consecutiveErrors === 1);
+  const health = worker.health();
+  assert.equal(health.live, true);
+  assert.equal(health.ready, false);
+  assert.equal(health.redis.blockingStatus, 'reconnecting');
+  assert.match(health.pollLoop.lastError, /Connection is closed/);
+
+  connection.restore();
+  await waitFor(() => worker.health().ready, 7000);
+  assert.equal(worker.health().pollLoop.lastError, null);
+});
+
+test('a poll loop stuck past its deadline is reported as not live', async (t) => {
+  const worker = createWorker(t, { livenessGraceMs: 50 });
+  await worker.start();
+  let release;
+  worker.blockingClient.xreadgroup = () => new Promise((resolve) => {
+    release = resolve;
+  });
+
+  await waitFor(() => release && !worker.health().live);
+  assert.equal(worker.health().ready, false);
+  const stopping = worker.stop();
+  release(null);
+  await stopping;
+});
+
+test('HealthCheck serves the probes from the workers and the required connections', async (t) => {
+  const worker = createWorker(t);
+  await worker.start();
+  const healthCheck = new HealthCheck({ workers: [worker], connections: ['reporting'] });
+  const server = await healthCheck.startServer({ port: 0, host: '127.0.0.1' });
+  t.after(() => healthCheck.stopServer());
+
+  const report = healthCheck.health();
+  assert.equal(report.live, true);
+  assert.equal(report.ready, false);
+  assert.deepEqual(report.redis, [{ name: 'reporting', connected: false, status: 'unregistered' }]);
+  assert.equal(report.workers[0].queueName, 'q');
+
+  const live = await get(server, '/health/live');
+  assert.equal(live.status, 200);
+  assert.deepEqual(JSON.parse(live.body).workers.length, 1);
+  assert.equal((await get(server, '/health/ready')).status, 503);
+  assert.equal((await get(server, '/health')).status, 404);
+
+  healthCheck.connections = [];
+  assert.equal((await get(server, '/health/ready?verbose=1')).status, 200);
+  healthCheck.removeWorker(worker);
+  assert.deepEqual(healthCheck.health().workers, []);
+});
@@ -0,0 +1,1150 @@
+import EventEmitter from 'events';
+import { ReplyError } from 'ioredis';
+import fengari from 'fengari';
+
+const { lua, lauxlib, lualib, to_luastring } = fengari;
+
+/**
+ * In-memory Redis for the tests: the commands used by the library (strings, hashes, sorted sets
+ * and streams with consumer groups), MULTI and pipelines, blocking stream reads and EVAL through
+ * a Lua VM. Clients created with duplicate() share the same data, like connections to one server.
+ * Replies follow the format of ioredis (e.g. HGETALL returns an object).
+ */
+
+const MAX_SEQ = Number.MAX_SAFE_INTEGER;
+
+function parseId(id) {
+  const [ms, seq] = String(id).split('-');
+  return [Number(ms), seq === undefined ? null : Number(seq)];
+}
+
+function compareIds(a, b) {
+  const [msA, seqA] = parseId(a);
+  const [msB, seqB] = parseId(b);
+  return msA !== msB ? msA - msB : (seqA || 0) - (seqB || 0);
+}
+
+/**
+ * Resolves a bound of XRANGE/XREVRANGE to a full ID and whether it is exclusive.
+ */
+function rangeBound(bound, isStart) {
+  if (bound === '-') return { id: '0-0', exclusive: false };
+  if (bound === '+') return { id: `${Number.MAX_SAFE_INTEGER}-${MAX_SEQ}`, exclusive: false };
+  const exclusive = bound.startsWith('(');
+  const raw = exclusive ? bound.slice(1) : bound;
+  const [ms, seq] = parseId(raw);
+  return { id: `${ms}-${seq === null ? (isStart ? 0 : MAX_SEQ) : seq}`, exclusive };
+}
+
+function error(message) {
+  return new ReplyError(message);
+}
+
+function wrongType() {
+  return error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+function flattenArgs(args) {
+  return args.flatMap(arg => {
+    if (Array.isArray(arg)) return flattenArgs(arg);
+    if (arg && typeof arg === 'object' && !Buffer.isBuffer(arg)) return flattenArgs(Object.entries(arg).flat());
+    return [arg === undefined || arg === null ? '' : String(arg)];
+  });
+}
+
+function formatScore(score) {
+  if (score === Infinity) return 'inf';
+  if (score === -Infinity) return '-inf';
+  return String(score);
+}
+
+function parseScoreBound(bound) {
+  if (bound === '-inf') return { value: -Infinity, exclusive: false };
+  if (bound === '+inf' || bound === 'inf') return { value: Infinity, exclusive: false };
+  const exclusive = bound.startsWith('(');
+  return { value: Number(exclusive ? bound.slice(1) : bound), exclusive };
+}
+
+function parseLexBound(bound) {
+  if (bound === '-') return { value: null, min: true };
+  if (bound === '+') return { value: null, max: true };
+  if (bound.startsWith('(')) return { value: bound.slice(1), exclusive: true };
+  if (bound.startsWith('[')) return { value: bound.slice(1), exclusive: false };
+  throw error('ERR min or max not valid string range item');
+}
+
+/**
+ * Data shared by the clients of one fake server.
+ */
+export class FakeRedisServer {
+  constructor() {
+    this.data = new Map(); // key -> { type, value, expireAt }
+    this.waiters = new Set(); // Blocked reads, retried after each write
+    this._notifyScheduled = false;
+  }
+
+  _get(key, type) {
+    const item = this.data.get(key);
+    if (!item) return null;
+    if (item.expireAt !== null && item.expireAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    if (type && item.type !== type) throw wrongType();
+    return item;
+  }
+
+  _getOrCreate(key, type, create) {
+    let item = this._get(key, type);
+    if (!item) {
+      item = { type, value: create(), expireAt: null };
+      this.data.set(key, item);
+    }
+    return item;
+  }
+
+  _removeIfEmpty(key, item) {
+    const size = item.type === 'stream' ? null : item.value.size;
+    if (size === 0) this.data.delete(key);
+  }
+
+  _notify() {
+    // Deferred, so a blocked read never sees a MULTI or a script half applied
+    if (this._notifyScheduled) return;
+    this._notifyScheduled = true;
+    setImmediate(() => {
+      this._notifyScheduled = false;
+      for (const waiter of [...this.waiters]) {
+        waiter();
+      }
+    });
+  }
+
+  /**
+   * Runs one command synchronously.
+   * @param {string} name - Lowercase command name.
+   * @param {string[]} args
+   * @returns {*} - Reply.
+   */
+  execute(name, args) {
+    const handler = this[`cmd_${name}`];
+    if (!handler) throw error(`ERR unknown command '${name}'`);
+    return handler.call(this, ...args);
+  }
+
+  // Keys
+
+  cmd_del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this._get(key)) {
+        this.data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  cmd_exists(...keys) {
+    return keys.filter(key => this._get(key)).length;
+  }
+
+  cmd_type(key) {
+    const item = this._get(key);
+    return item ? item.type : 'none';
+  }
+
+  cmd_pexpire(key, ms) {
+    const item = this._get(key);
+    if (!item) return 0;
+    item.expireAt = Date.now() + Number(ms);
+    return 1;
+  }
+
+  cmd_expire(key, seconds) {
+    return this.cmd_pexpire(key, Number(seconds) * 1000);
+  }
+
+  cmd_pttl(key) {
+    const item = this._get(key);
+    if (!item) return -2;
+    return item.expireAt === null ? -1 : item.expireAt - Date.now();
+  }
+
+  cmd_time() {
+    const now = Date.now();
+    return [String(Math.floor(now / 1000)), String((now % 1000) * 1000)];
+  }
+
+  cmd_ping() {
+    return 'PONG';
+  }
+
+  // Strings
+
+  cmd_get(key) {
+    const item = this._get(key, 'string');
+    return item ? item.value : null;
+  }
+
+  cmd_set(key, value, ...options) {
+    let expireAt = null;
+    let nx = false;
+    let xx = false;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'PX') expireAt = Date.now() + Number(options[++i]);
+      else if (option === 'EX') expireAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === 'NX') nx = true;
+      else if (option === 'XX') xx = true;
+    }
+    const exists = Boolean(this._get(key));
+    if ((nx && exists) || (xx && !exists)) return null;
+    this.data.set(key, { type: 'string', value: String(value), expireAt });
+    return 'OK';
+  }
+
+  cmd_incrby(key, increment) {
+    const item = this._getOrCreate(key, 'string', () => '0');
+    item.value = String(Number(item.value) + Number(increment));
+    return Number(item.value);
+  }
+
+  cmd_incr(key) {
+    return this.cmd_incrby(key, 1);
+  }
+
+  // Hashes
+
+  cmd_hset(key, ...pairs) {
+    const item = this._getOrCreate(key, 'hash', () => new Map());
+    let added = 0;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!item.value.has(pairs[i])) added++;
+      item.value.set(pairs[i], pairs[i + 1]);
+    }
+    return added;
+  }
+
+  cmd_hmset(key, ...pairs) {
+    this.cmd_hset(key, ...pairs);
+    return 'OK';
+  }
+
+  cmd_hsetnx(key, field, value) {
+    const item = this._getOrCreate(key, 'hash', () => new Map());
+    if (item.value.has(field)) return 0;
+    item.value.set(field, value);
+    return 1;
+  }
+
+  cmd_hget(key, field) {
+    const item = this._get(key, 'hash');
+    return item && item.value.has(field) ? item.value.get(field) : null;
+  }
+
+  cmd_hmget(key, ...fields) {
+    return fields.map(field => this.cmd_hget(key, field));
+  }
+
+  cmd_hgetall(key) {
+    const item = this._get(key, 'hash');
+    return item ? [...item.value].flat() : [];
+  }
+
+  cmd_hdel(key, ...fields) {
+    const item = this._get(key, 'hash');
+    if (!item) return 0;
+    const removed = fields.filter(field => item.value.delete(field)).length;
+    this._removeIfEmpty(key, item);
+    return removed;
+  }
+
+  cmd_hlen(key) {
+    const item = this._get(key, 'hash');
+    return item ? item.value.size : 0;
+  }
+
+  cmd_hincrby(key, field, increment) {
+    const item = this._getOrCreate(key, 'hash', () => new Map());
+    const value = Number(item.value.get(field) || 0) + Number(increment);
+    item.value.set(field, String(value));
+    return value;
+  }
+
+  // Sorted sets
+
+  _sorted(key) {
+    const item = this._get(key, 'zset');
+    if (!item) return [];
+    return [...item.value].sort(([memberA, scoreA], [memberB, scoreB]) => (
+      scoreA !== scoreB ? scoreA - scoreB : (memberA < memberB ? -1 : memberA > memberB ? 1 : 0)
+    ));
+  }
+
+  cmd_zadd(key, ...args) {
+    const flags = new Set();
+    while (args.length > 0 && ['NX', 'XX', 'GT', 'LT', 'CH'].includes(String(args[0]).toUpperCase())) {
+      flags.add(args.shift().toUpperCase());
+    }
+    const item = this._getOrCreate(key, 'zset', () => new Map());
+    let changed = 0;
+    for (let i = 0; i < args.length; i += 2) {
+      const score = parseScoreBound(args[i]).value;
+      const member = args[i + 1];
+      const exists = item.value.has(member);
+      if ((flags.has('NX') && exists) || (flags.has('XX') && !exists)) continue;
+      if (exists && flags.has('GT') && score <= item.value.get(member)) continue;
+      if (exists && flags.has('LT') && score >= item.value.get(member)) continue;
+      if (!exists || (flags.has('CH') && item.value.get(member) !== score)) changed++;
+      item.value.set(member, score);
+    }
+    this._removeIfEmpty(key, item);
+    return changed;
+  }
+
+  cmd_zrem(key, ...members) {
+    const item = this._get(key, 'zset');
+    if (!item) return 0;
+    const removed = members.filter(member => item.value.delete(member)).length;
+    this._removeIfEmpty(key, item);
+    return removed;
+  }
+
+  cmd_zscore(key, member) {
+    const item = this._get(key, 'zset');
+    return item && item.value.has(member) ? formatScore(item.value.get(member)) : null;
+  }
+
+  cmd_zcard(key) {
+    const item = this._get(key, 'zset');
+    return item ? item.value.size : 0;
+  }
+
+  _withScores(entries, withScores) {
+    return withScores ? entries.flatMap(([member, score]) => [member, formatScore(score)]) : entries.map(([member]) => member);
+  }
+
+  _limit(entries, options) {
+    const index = options.findIndex(option => option.toUpperCase() === 'LIMIT');
+    if (index === -1) return entries;
+    const offset = Number(options[index + 1]);
+    const count = Number(options[index + 2]);
+    return entries.slice(offset, count < 0 ? undefined : offset + count);
+  }
+
+  cmd_zrange(key, start, stop, ...options) {
+    const entries = this._sorted(key);
+    const length = entries.length;
+    let from = Number(start);
+    let to = Number(stop);
+    if (from < 0) from = Math.max(0, length + from);
+    if (to < 0) to = length + to;
+    const withScores = options.some(option => option.toUpperCase() === 'WITHSCORES');
+    return this._withScores(entries.slice(from, to + 1), withScores);
+  }
+
+  _byScore(key, min, max) {
+    const low = parseScoreBound(min);
+    const high = parseScoreBound(max);
+    return this._sorted(key).filter(([, score]) => (
+      (low.exclusive ? score > low.value : score >= low.value) && (high.exclusive ? score < high.value : score <= high.value)
+    ));
+  }
+
+  cmd_zrangebyscore(key, min, max, ...options) {
+    const withScores = options.some(option => option.toUpperCase() === 'WITHSCORES');
+    return this._withScores(this._limit(this._byScore(key, min, max), options), withScores);
+  }
+
+  cmd_zremrangebyscore(key, min, max) {
+    const item = this._get(key, 'zset');
+    if (!item) return 0;
+    const entries = this._byScore(key, min, max);
+    entries.forEach(([member]) => item.value.delete(member));
+    this._removeIfEmpty(key, item);
+    return entries.length;
+  }
+
+  cmd_zcount(key, min, max) {
+    return this._byScore(key, min, max).length;
+  }
+
+  cmd_zrangebylex(key, min, max, ...options) {
+    const low = parseLexBound(min);
+    const high = parseLexBound(max);
+    const entries = this._sorted(key).filter(([member]) => {
+      const aboveLow = low.min || (low.max ? false : (low.exclusive ? member > low.value : member >= low.value));
+      const belowHigh = high.max || (high.min ? false : (high.exclusive ? member < high.value : member <= high.value));
+      return aboveLow && belowHigh;
+    });
+    return this._limit(entries, options).map(([member]) => member);
+  }
+
+  // Streams
+
+  _stream(key) {
+    return this._get(key, 'stream');
+  }
+
+  _createStream(key) {
+    return this._getOrCreate(key, 'stream', () => ({ entries: [], lastId: '0-0', groups: new Map(), entriesAdded: 0 }));
+  }
+
+  _group(key, groupName, command) {
+    const item = this._stream(key);
+    const group = item && item.value.groups.get(groupName);
+    if (!group) {
+      throw error(`NOGROUP No such key '${key}' or consumer group '${groupName}' in ${command} with GROUP option`);
+    }
+    return { stream: item.value, group };
+  }
+
+  _findEntry(stream, id) {
+    return stream.entries.find(entry => entry[0] === id) || null;
+  }
+
+  _nextId(stream, requested) {
+    const [lastMs, lastSeq] = parseId(stream.lastId);
+    if (requested === '*') {
+      const now = Date.now();
+      return now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`;
+    }
+    const [ms, seq] = parseId(requested);
+    const id = seq === null ? (ms === lastMs ? `${ms}-${lastSeq + 1}` : `${ms}-0`) : `${ms}-${seq}`;
+    if (compareIds(id, stream.lastId) <= 0) {
+      throw error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+    }
+    return id;
+  }
+
+  /**
+   * Parses [MAXLEN|MINID [=|~] threshold [LIMIT count]] at the start of args.
+   * @returns {{trim: object|null, rest: string[]}}
+   */
+  _parseTrim(args) {
+    const strategy = String(args[0]).toUpperCase();
+    if (strategy !== 'MAXLEN' && strategy !== 'MINID') return { trim: null, rest: args };
+    let index = 1;
+    if (args[index] === '=' || args[index] === '~') index++;
+    const threshold = args[index++];
+    if (String(args[index]).toUpperCase() === 'LIMIT') index += 2;
+    return { trim: { strategy, threshold }, rest: args.slice(index) };
+  }
+
+  _trim(stream, { strategy, threshold }) {
+    const before = stream.entries.length;
+    if (strategy === 'MAXLEN') {
+      const excess = stream.entries.length - Number(threshold);
+      if (excess > 0) stream.entries.splice(0, excess);
+    } else {
+      stream.entries = stream.entries.filter(([id]) => compareIds(id, threshold) >= 0);
+    }
+    return before - stream.entries.length;
+  }
+
+  cmd_xadd(key, ...args) {
+    let noMkStream = false;
+    if (String(args[0]).toUpperCase() === 'NOMKSTREAM') {
+      noMkStream = true;
+      args = args.slice(1);
+    }
+    const { trim, rest } = this._parseTrim(args);
+    const [requested, ...fields] = rest;
+    if (fields.length === 0 || fields.length % 2 !== 0) {
+      throw error("ERR wrong number of arguments for 'xadd' command");
+    }
+    if (noMkStream && !this._stream(key)) return null;
+    const stream = this._createStream(key).value;
+    const id = this._nextId(stream, requested);
+    stream.entries.push([id, fields]);
+    stream.lastId = id;
+    stream.entriesAdded++;
+    if (trim) this._trim(stream, trim);
+    this._notify();
+    return id;
+  }
+
+  cmd_xtrim(key, ...args) {
+    const item = this._stream(key);
+    const { trim } = this._parseTrim(args);
+    return item ? this._trim(item.value, trim) : 0;
+  }
+
+  cmd_xlen(key) {
+    const item = this._stream(key);
+    return item ? item.value.entries.length : 0;
+  }
+
+  cmd_xdel(key, ...ids) {
+    const item = this._stream(key);
+    if (!item) return 0;
+    const before = item.value.entries.length;
+    item.value.entries = item.value.entries.filter(([id]) => !ids.includes(id));
+    return before - item.value.entries.length;
+  }
+
+  _range(key, start, end, options, reverse) {
+    const item = this._stream(key);
+    if (!item) return [];
+    const low = rangeBound(start, true);
+    const high = rangeBound(end, false);
+    let entries = item.value.entries.filter(([id]) => {
+      const fromLow = compareIds(id, low.id);
+      const fromHigh = compareIds(id, high.id);
+      return (low.exclusive ? fromLow > 0 : fromLow >= 0) && (high.exclusive ? fromHigh < 0 : fromHigh <= 0);
+    });
+    if (reverse) entries = entries.reverse();
+    const countIndex = options.findIndex(option => option.toUpperCase() === 'COUNT');
+    if (countIndex !== -1) entries = entries.slice(0, Number(options[countIndex + 1]));
+    return entries.map(([id, fields]) => [id, [...fields]]);
+  }
+
+  cmd_xrange(key, start, end, ...options) {
+    return this._range(key, start, end, options, false);
+  }
+
+  cmd_xrevrange(key, end, start, ...options) {
+    return this._range(key, start, end, options, true);
+  }
+
+  cmd_xgroup(subcommand, key, groupName, ...args) {
+    switch (subcommand.toUpperCase()) {
+      case 'CREATE': {
+        let item = this._stream(key);
+        if (!item) {
+          if (!args.some(arg => String(arg).toUpperCase() === 'MKSTREAM')) {
+            throw error('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.');
+          }
+          item = this._createStream(key);
+        }
+        if (item.value.groups.has(groupName)) throw error('BUSYGROUP Consumer Group name already exists');
+        const lastId = args[0] === '$' ? item.value.lastId : args[0];
+        item.value.groups.set(groupName, { lastId, pel: new Map(), consumers: new Map() });
+        return 'OK';
+      }
+      case 'DESTROY': {
+        const item = this._stream(key);
+        return item && item.value.groups.delete(groupName) ? 1 : 0;
+      }
+      case 'SETID': {
+        const { stream, group } = this._group(key, groupName, 'XGROUP');
+        group.lastId = args[0] === '$' ? stream.lastId : args[0];
+        return 'OK';
+      }
+      case 'CREATECONSUMER': {
+        const { group } = this._group(key, groupName, 'XGROUP');
+        if (group.consumers.has(args[0])) return 0;
+        group.consumers.set(args[0], { seenAt: Date.now() });
+        return 1;
+      }
+      case 'DELCONSUMER': {
+        const { group } = this._group(key, groupName, 'XGROUP');
+        let pending = 0;
+        for (const [id, entry] of group.pel) {
+          if (entry.consumer === args[0]) {
+            group.pel.delete(id);
+            pending++;
+          }
+        }
+        group.consumers.delete(args[0]);
+        return pending;
+      }
+      default:
+        throw error(`ERR unknown subcommand '${subcommand}'`);
+    }
+  }
+
+  _touchConsumer(group, consumer) {
+    group.consumers.set(consumer, { seenAt: Date.now() });
+  }
+
+  /**
+   * Parses [COUNT n] [BLOCK ms] [NOACK] STREAMS key... id...
+   */
+  _parseRead(args) {
+    const options = { count: Infinity, block: null };
+    let index = 0;
+    while (index < args.length) {
+      const option = String(args[index]).toUpperCase();
+      if (option === 'COUNT') options.count = Number(args[index + 1]) || Infinity;
+      else if (option === 'BLOCK') options.block = Number(args[index + 1]);
+      else if (option === 'NOACK') {
+        index++;
+        continue;
+      } else if (option === 'STREAMS') break;
+      index += 2;
+    }
+    const rest = args.slice(index + 1);
+    const half = rest.length / 2;
+    return { ...options, keys: rest.slice(0, half), ids: rest.slice(half) };
+  }
+
+  cmd_xreadgroup(groupKeyword, groupName, consumer, ...args) {
+    const { count, keys, ids } = this._parseRead(args);
+    const results = [];
+    keys.forEach((key, index) => {
+      const { stream, group } = this._group(key, groupName, 'XREADGROUP');
+      this._touchConsumer(group, consumer);
+      if (ids[index] === '>') {
+        const entries = stream.entries.filter(([id]) => compareIds(id, group.lastId) > 0).slice(0, count);
+        if (entries.length === 0) return;
+        for (const [id] of entries) {
+          group.pel.set(id, { consumer, deliveredAt: Date.now(), deliveries: 1 });
+        }
+        group.lastId = entries[entries.length - 1][0];
+        results.push([key, entries.map(([id, fields]) => [id, [...fields]])]);
+      } else {
+        const pending = [...group.pel]
+          .filter(([id, entry]) => entry.consumer === consumer && compareIds(id, ids[index]) > 0)
+          .sort(([a], [b]) => compareIds(a, b))
+          .slice(0, count);
+        results.push([key, pending.map(([id]) => {
+          const entry = this._findEntry(stream, id);
+          return [id, entry ? [...entry[1]] : null];
+        })]);
+      }
+    });
+    return results.length > 0 ? results : null;
+  }
+
+  cmd_xread(...args) {
+    const { count, keys, ids } = this._parseRead(args);
+    const results = [];
+    keys.forEach((key, index) => {
+      const item = this._stream(key);
+      if (!item) return;
+      const entries = item.value.entries.filter(([id]) => compareIds(id, ids[index]) > 0).slice(0, count);
+      if (entries.length > 0) {
+        results.push([key, entries.map(([id, fields]) => [id, [...fields]])]);
+      }
+    });
+    return results.length > 0 ? results : null;
+  }
+
+  cmd_xack(key, groupName, ...ids) {
+    const item = this._stream(key);
+    const group = item && item.value.groups.get(groupName);
+    if (!group) return 0;
+    return ids.filter(id => group.pel.delete(id)).length;
+  }
+
+  cmd_xclaim(key, groupName, consumer, minIdle, ...args) {
+    const { stream, group } = this._group(key, groupName, 'XCLAIM');
+    const ids = [];
+    let idle = null;
+    let justId = false;
+    for (let i = 0; i < args.length; i++) {
+      const option = String(args[i]).toUpperCase();
+      if (option === 'IDLE') idle = Number(args[++i]);
+      else if (option === 'TIME') idle = Date.now() - Number(args[++i]);
+      else if (option === 'RETRYCOUNT') i++;
+      else if (option === 'JUSTID') justId = true;
+      else if (option !== 'FORCE' && option !== 'LASTID') ids.push(args[i]);
+    }
+    this._touchConsumer(group, consumer);
+    const now = Date.now();
+    const claimed = [];
+    for (const id of ids) {
+      const pending = group.pel.get(id);
+      if (!pending || now - pending.deliveredAt < Number(minIdle)) continue;
+      const entry = this._findEntry(stream, id);
+      if (!entry) {
+        group.pel.delete(id);
+        continue;
+      }
+      pending.consumer = consumer;
+      pending.deliveredAt = idle === null ? now : now - idle;
+      if (!justId) pending.deliveries++;
+      claimed.push(justId ? id : [id, [...entry[1]]]);
+    }
+    return claimed;
+  }
+
+  cmd_xautoclaim(key, groupName, consumer, minIdle, start, ...options) {
+    const { stream, group } = this._group(key, groupName, 'XAUTOCLAIM');
+    const countIndex = options.findIndex(option => String(option).toUpperCase() === 'COUNT');
+    const count = countIndex === -1 ? 100 : Number(options[countIndex + 1]);
+    const justId = options.some(option => String(option).toUpperCase() === 'JUSTID');
+    this._touchConsumer(group, consumer);
+    const now = Date.now();
+    const candidates = [...group.pel]
+      .filter(([id]) => compareIds(id, start) >= 0)
+      .sort(([a], [b]) => compareIds(a, b));
+    const claimed = [];
+    const deleted = [];
+    let scanned = 0;
+    for (const [id, pending] of candidates) {
+      if (scanned >= count) break;
+      scanned++;
+      if (now - pending.deliveredAt < Number(minIdle)) continue;
+      const entry = this._findEntry(stream, id);
+      if (!entry) {
+        group.pel.delete(id);
+        deleted.push(id);
+        continue;
+      }
+      pending.consumer = consumer;
+      pending.deliveredAt = now;
+      if (!justId) pending.deliveries++;
+      claimed.push(justId ? id : [id, [...entry[1]]]);
+    }
+    const next = candidates[scanned];
+    return [next ? next[0] : '0-0', claimed, deleted];
+  }
+
+  cmd_xpending(key, groupName, ...args) {
+    const { group } = this._group(key, groupName, 'XPENDING');
+    const pending = [...group.pel].sort(([a], [b]) => compareIds(a, b));
+    if (args.length === 0) {
+      if (pending.length === 0) return [0, null, null, null];
+      const perConsumer = new Map();
+      pending.forEach(([, { consumer }]) => perConsumer.set(consumer, (perConsumer.get(consumer) || 0) + 1));
+      return [
+        pending.length,
+        pending[0][0],
+        pending[pending.length - 1][0],
+        [...perConsumer].map(([consumer, count]) => [consumer, String(count)]),
+      ];
+    }
+    let minIdle = 0;
+    if (String(args[0]).toUpperCase() === 'IDLE') {
+      minIdle = Number(args[1]);
+      args = args.slice(2);
+    }
+    const [start, end, count, consumer] = args;
+    const low = rangeBound(start, true);
+    const high = rangeBound(end, false);
+    const now = Date.now();
+    return pending
+      .filter(([id, entry]) => compareIds(id, low.id) >= 0 && compareIds(id, high.id) <= 0 &&
+        (!consumer || entry.consumer === consumer) && now - entry.deliveredAt >= minIdle)
+      .slice(0, Number(count))
+      .map(([id, entry]) => [id, entry.consumer, now - entry.deliveredAt, entry.deliveries]);
+  }
+
+  cmd_xinfo(subcommand, key, groupName) {
+    const item = this._stream(key);
+    if (!item) throw error('ERR no such key');
+    const stream = item.value;
+    const lag = group => stream.entries.filter(([id]) => compareIds(id, group.lastId) > 0).length;
+    switch (subcommand.toUpperCase()) {
+      case 'GROUPS':
+        return [...stream.groups].map(([name, group]) => [
+          'name', name,
+          'consumers', group.consumers.size,
+          'pending', group.pel.size,
+          'last-delivered-id', group.lastId,
+          'entries-read', stream.entriesAdded - lag(group),
+          'lag', lag(group),
+        ]);
+      case 'STREAM': {
+        const first = stream.entries[0] || null;
+        const last = stream.entries[stream.entries.length - 1] || null;
+        return [
+          'length', stream.entries.length,
+          'radix-tree-keys', 1,
+          'radix-tree-nodes', 1,
+          'last-generated-id', stream.lastId,
+          'max-deleted-entry-id', '0-0',
+          'entries-added', stream.entriesAdded,
+          'recorded-first-entry-id', first ? first[0] : '0-0',
+          'groups', stream.groups.size,
+          'first-entry', first ? [first[0], [...first[1]]] : null,
+          'last-entry', last ? [last[0], [...last[1]]] : null,
+        ];
+      }
+      case 'CONSUMERS': {
+        const { group } = this._group(key, groupName, 'XINFO');
+        const now = Date.now();
+        return [...group.consumers].map(([name, { seenAt }]) => [
+          'name', name,
+          'pending', [...group.pel.values()].filter(({ consumer }) => consumer === name).length,
+          'idle', now - seenAt,
+          'inactive', now - seenAt,
+        ]);
+      }
+      default:
+        throw error(`ERR unknown subcommand '${subcommand}'`);
+    }
+  }
+
+  // Scripts
+
+  cmd_eval(script, numKeys, ...args) {
+    const keys = args.slice(0, Number(numKeys));
+    const argv = args.slice(Number(numKeys));
+    return runScript(this, script, keys, argv);
+  }
+}
+
+// Lua bridge
+
+function pushValue(L, value) {
+  if (value === null || value === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value) && Math.abs(value) < 2 ** 31) {
+      lua.lua_pushinteger(L, value);
+    } else {
+      lua.lua_pushnumber(L, value);
+    }
+  } else if (typeof value === 'boolean') {
+    lua.lua_pushboolean(L, value);
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, index) => {
+      pushValue(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else if (typeof value === 'object') {
+    lua.lua_createtable(L, 0, 0);
+    for (const [field, item] of Object.entries(value)) {
+      pushValue(L, item);
+      lua.lua_setfield(L, -2, to_luastring(field));
+    }
+  } else {
+    lua.lua_pushstring(L, to_luastring(String(value)));
+  }
+}
+
+function luaNumberToString(n) {
+  return Number.isInteger(n) ? String(n) : String(Number(n.toPrecision(14)));
+}
+
+/**
+ * Converts the Lua value at index to a script reply, as Redis does (tables stop at the first nil).
+ */
+function toReply(L, index) {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const absolute = lua.lua_absindex(L, index);
+      lua.lua_getfield(L, absolute, to_luastring('err'));
+      if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
+        const message = lua.lua_tojsstring(L, -1);
+        lua.lua_pop(L, 1);
+        return { err: message };
+      }
+      lua.lua_pop(L, 1);
+      lua.lua_getfield(L, absolute, to_luastring('ok'));
+      if (lua.lua_type(L, -1) === lua.LUA_TSTRING) {
+        const status = lua.lua_tojsstring(L, -1);
+        lua.lua_pop(L, 1);
+        return status;
+      }
+      lua.lua_pop(L, 1);
+      const items = [];
+      for (let i = 1; ; i++) {
+        lua.lua_rawgeti(L, absolute, i);
+        if (lua.lua_type(L, -1) === lua.LUA_TNIL) {
+          lua.lua_pop(L, 1);
+          break;
+        }
+        const item = toReply(L, -1);
+        lua.lua_pop(L, 1);
+        if (item && item.err !== undefined) throw error(item.err);
+        items.push(item);
+      }
+      return items;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Converts the Lua value at index to a JS value for cjson.encode (tables with keys 1..n are arrays).
+ */
+function toJson(L, index) {
+  const type = lua.lua_type(L, index);
+  if (type === lua.LUA_TNUMBER) return lua.lua_tonumber(L, index);
+  if (type === lua.LUA_TSTRING) return lua.lua_tojsstring(L, index);
+  if (type === lua.LUA_TBOOLEAN) return lua.lua_toboolean(L, index);
+  if (type !== lua.LUA_TTABLE) return null;
+  const absolute = lua.lua_absindex(L, index);
+  const entries = [];
+  lua.lua_pushnil(L);
+  while (lua.lua_next(L, absolute) !== 0) {
+    const key = lua.lua_type(L, -2) === lua.LUA_TNUMBER ? lua.lua_tonumber(L, -2) : lua.lua_tojsstring(L, -2);
+    entries.push([key, toJson(L, -1)]);
+    lua.lua_pop(L, 1);
+  }
+  const isArray = entries.length > 0 && entries.every(([key]) => typeof key === 'number');
+  if (isArray) {
+    return entries.sort(([a], [b]) => a - b).map(([, value]) => value);
+  }
+  return Object.fromEntries(entries);
+}
+
+function commandArgs(L) {
+  const args = [];
+  for (let i = 1; i <= lua.lua_gettop(L); i++) {
+    const type = lua.lua_type(L, i);
+    if (type === lua.LUA_TNUMBER) {
+      args.push(luaNumberToString(lua.lua_tonumber(L, i)));
+    } else if (type === lua.LUA_TSTRING) {
+      args.push(lua.lua_tojsstring(L, i));
+    } else {
+      lauxlib.luaL_error(L, to_luastring('Lua redis() command arguments must be strings or integers'));
+    }
+  }
+  return args;
+}
+
+/**
+ * Converts a command reply to its Lua form: nil replies become false and status replies { ok }.
+ */
+function toLuaReply(reply, name) {
+  if (name === 'type' || (typeof reply === 'string' && reply === 'OK' && ['set', 'hmset', 'xgroup'].includes(name))) {
+    return { ok: reply };
+  }
+  return reply;
+}
+
+function runScript(server, script, keys, argv) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  const call = (protectedCall) => (state) => {
+    const [name, ...args] = commandArgs(state);
+    let reply;
+    try {
+      reply = toLuaReply(server.execute(name.toLowerCase(), args), name.toLowerCase());
+    } catch (err) {
+      if (protectedCall) {
+        pushValue(state, { err: err.message });
+        return 1;
+      }
+      return lauxlib.luaL_error(state, to_luastring(err.message));
+    }
+    pushValue(state, reply);
+    return 1;
+  };
+
+  lua.lua_createtable(L, 0, 0);
+  lua.lua_pushjsfunction(L, call(false));
+  lua.lua_setfield(L, -2, to_luastring('call'));
+  lua.lua_pushjsfunction(L, call(true));
+  lua.lua_setfield(L, -2, to_luastring('pcall'));
+  lua.lua_pushjsfunction(L, (state) => {
+    pushValue(state, { err: lua.lua_tojsstring(state, 1) });
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('error_reply'));
+  lua.lua_pushjsfunction(L, (state) => {
+    pushValue(state, { ok: lua.lua_tojsstring(state, 1) });
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('status_reply'));
+  lua.lua_setglobal(L, to_luastring('redis'));
+
+  lua.lua_createtable(L, 0, 0);
+  lua.lua_pushjsfunction(L, (state) => {
+    lua.lua_pushstring(state, to_luastring(JSON.stringify(toJson(state, 1))));
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('encode'));
+  lua.lua_pushjsfunction(L, (state) => {
+    pushValue(state, JSON.parse(lua.lua_tojsstring(state, 1)));
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('decode'));
+  lua.lua_setglobal(L, to_luastring('cjson'));
+
+  // Redis runs Lua 5.1, where unpack is a global
+  lua.lua_getglobal(L, to_luastring('table'));
+  lua.lua_getfield(L, -1, to_luastring('unpack'));
+  lua.lua_setglobal(L, to_luastring('unpack'));
+  lua.lua_pop(L, 1);
+
+  pushValue(L, keys);
+  lua.lua_setglobal(L, to_luastring('KEYS'));
+  pushValue(L, argv);
+  lua.lua_setglobal(L, to_luastring('ARGV'));
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK) {
+    throw error(`ERR Error compiling script: ${lua.lua_tojsstring(L, -1)}`);
+  }
+  if (lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw error(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`);
+  }
+  const reply = toReply(L, -1);
+  if (reply && reply.err !== undefined) throw error(reply.err);
+  return reply;
+}
+
+// Clients
+
+const COMMANDS = [
+  'del', 'exists', 'type', 'pexpire', 'expire', 'pttl', 'time', 'ping',
+  'get', 'set', 'incr', 'incrby',
+  'hset', 'hmset', 'hsetnx', 'hget', 'hmget', 'hgetall', 'hdel', 'hlen', 'hincrby',
+  'zadd', 'zrem', 'zscore', 'zcard', 'zrange', 'zrangebyscore', 'zremrangebyscore', 'zcount', 'zrangebylex',
+  'xadd', 'xtrim', 'xlen', 'xdel', 'xrange', 'xrevrange', 'xgroup', 'xreadgroup', 'xread',
+  'xack', 'xclaim', 'xautoclaim', 'xpending', 'xinfo',
+  'eval',
+];
+
+function transformReply(name, reply) {
+  if (name === 'hgetall') {
+    const object = {};
+    for (let i = 0; i < reply.length; i += 2) object[reply[i]] = reply[i + 1];
+    return object;
+  }
+  return reply;
+}
+
+/**
+ * Queues commands for MULTI/EXEC or a pipeline. Each command runs when exec() is called;
+ * a MULTI runs all of them without yielding, like a transaction.
+ */
+class FakeBatch {
+  constructor(client) {
+    this._client = client;
+    this._queued = [];
+  }
+
+  async exec() {
+    this._client._checkOpen();
+    return this._queued.map(([name, args]) => {
+      try {
+        return [null, transformReply(name, this._client.server.execute(name, args))];
+      } catch (err) {
+        return [err, null];
+      }
+    });
+  }
+}
+
+/**
+ * Client of a FakeRedisServer with the API of ioredis.
+ */
+class FakeRedis extends EventEmitter {
+  /**
+   * @param {FakeRedisServer} [server] - Server to connect to. Default is a new, empty one.
+   */
+  constructor(server = new FakeRedisServer()) {
+    super();
+    this.server = server;
+    this.status = 'ready';
+    this._blocked = new Set();
+  }
+
+  /**
+   * Opens another connection to the server. Like ioredis with the offline queue disabled, it
+   * connects asynchronously and rejects commands until it emits 'ready'.
+   */
+  duplicate() {
+    const client = new FakeRedis(this.server);
+    client.status = 'connecting';
+    setImmediate(() => {
+      if (client.status !== 'connecting') return;
+      client.status = 'ready';
+      client.emit('connect');
+      client.emit('ready');
+    });
+    return client;
+  }
+
+  multi() {
+    return new FakeBatch(this);
+  }
+
+  pipeline() {
+    return new FakeBatch(this);
+  }
+
+  async connect() {
+    this.status = 'ready';
+  }
+
+  async quit() {
+    this.disconnect();
+    return 'OK';
+  }
+
+  disconnect() {
+    this.status = 'end';
+    for (const cancel of [...this._blocked]) {
+      cancel(new Error('Connection is closed.'));
+    }
+    this.emit('end');
+  }
+
+  _checkOpen() {
+    if (this.status === 'connecting') {
+      throw new Error("Stream isn't writeable and enableOfflineQueue options is false");
+    }
+    if (this.status !== 'ready') {
+      throw new Error('Connection is closed.');
+    }
+  }
+
+  /**
+   * Runs a command, waiting for new entries when a stream read with BLOCK returns nothing.
+   */
+  async _call(name, args) {
+    await Promise.resolve();
+    this._checkOpen();
+    const reply = transformReply(name, this.server.execute(name, args));
+    const blockIndex = args.findIndex(arg => String(arg).toUpperCase() === 'BLOCK');
+    if (reply !== null || blockIndex === -1 || !['xread', 'xreadgroup'].includes(name)) {
+      return reply;
+    }
+    // XREAD ... $ waits for entries added after the call
+    const streamsIndex = args.findIndex(arg => String(arg).toUpperCase() === 'STREAMS');
+    const half = (args.length - streamsIndex - 1) / 2;
+    const retryArgs = args.map((arg, index) => {
+      if (name !== 'xread' || arg !== '$' || index <= streamsIndex + half) return arg;
+      const item = this.server._stream(args[index - half]);
+      return item ? item.value.lastId : '0-0';
+    });
+    return this._block(name, retryArgs, Number(args[blockIndex + 1]));
+  }
+
+  _block(name, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      const finish = (err, reply) => {
+        clearTimeout(timeoutId);
+        this.server.waiters.delete(waiter);
+        this._blocked.delete(finish);
+        if (err) reject(err);
+        else resolve(reply);
+      };
+      const waiter = () => {
+        let reply;
+        try {
+          reply = transformReply(name, this.server.execute(name, args));
+        } catch (err) {
+          finish(err);
+          return;
+        }
+        if (reply !== null) finish(null, reply);
+      };
+      this.server.waiters.add(waiter);
+      this._blocked.add(finish);
+      if (timeoutMs > 0) {
+        timeoutId = setTimeout(() => finish(null, null), timeoutMs);
+      }
+    });
+  }
+}
+
+for (const name of COMMANDS) {
+  FakeRedis.prototype[name] = function command(...args) {
+    return this._call(name, flattenArgs(args));
+  };
+  FakeBatch.prototype[name] = function queue(...args) {
+    this._queued.push([name, flattenArgs(args)]);
+    return this;
+  };
+}
+
+export default FakeRedis;
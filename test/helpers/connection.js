@@ -0,0 +1,37 @@
+import { RedisSingleton } from '../../lib/core/RedisSingleton.js';
+import RedisClient from '../../lib/core/RedisClient.js';
+import FakeRedis from './FakeRedis.js';
+
+/**
+ * Returns a connected RedisSingleton (as used by Publisher) whose client is a FakeRedis.
+ * @param {FakeRedis} [redis] - Client to wrap. Default is a new one with an empty server.
+ * @returns {Promise<RedisSingleton>}
+ */
+export async function connectFake(redis = new FakeRedis()) {
+  const connection = new RedisSingleton({ name: 'test', standalone: true });
+  const client = new RedisClient({ host: 'fake', port: 6379 });
+  client._createClient = () => {
+    // ioredis emits 'ready' once the connection is usable
+    setImmediate(() => redis.emit('ready'));
+    return redis;
+  };
+  await client.connect();
+  connection.redisClientInstance = client;
+  return connection;
+}
+
+/**
+ * Simulates the loss of the connection of a FakeRedis client: its commands fail until restore().
+ * @param {FakeRedis} redis
+ * @returns {{restore: function}} - restore() reconnects it and emits 'ready', like ioredis.
+ */
+export function dropConnection(redis) {
+  redis.status = 'reconnecting';
+  redis.emit('close');
+  return {
+    restore() {
+      redis.status = 'ready';
+      redis.emit('ready');
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import { encodePayload } from '../../lib/core/codec.js';
+import { objectToArray } from '../../lib/core/streamUtils.js';
+
+/**
+ * Adds a message to a stream the way Publisher encodes it.
+ * @param {object} redis - FakeRedis client.
+ * @param {string} stream
+ * @param {object} data - Payload of the message.
+ * @param {object} [fields={}] - Reserved fields (e.g. { _orderingKey: 'k' }).
+ * @returns {Promise<string>} - Message ID.
+ */
+export function addJob(redis, stream, data, fields = {}) {
+  return redis.xadd(stream, '*', ...objectToArray({ ...encodePayload(data, 'json'), ...fields }));
+}
+
+/**
+ * Resolves once check() returns a truthy value, polling every few ms.
+ * @param {function} check - May be async.
+ * @param {number} [timeoutMs=3000]
+ * @returns {Promise<*>} - Value returned by check().
+ */
+export async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs} ms: ${check}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Options that keep the background loops of a QueueWorker out of a test unless it enables them.
+ */
+export const quietWorkerOptions = {
+  blockTimeMs: 100,
+  trackJobs: false,
+  stalledCheckIntervalMs: 0,
+  delayedCheckIntervalMs: 0,
+};
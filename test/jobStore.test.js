@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import JobStore from '../lib/core/JobStore.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import { jobKey } from '../lib/core/keys.js';
+
+test('progress updates keep the expiration of the record', async () => {
+  const redis = new FakeRedis();
+  const store = new JobStore(redis, { pendingTtlMs: 60000 });
+  await store.markCreated('q', 'job-1');
+  await store.markActive('q', 'job-1', { attempt: 1, attempts: 1, consumer: 'c', messageId: '1-0' });
+
+  assert.equal(await store.updateProgress('q', 'job-1', { done: 50 }), true);
+
+  const job = await store.getJob('q', 'job-1');
+  assert.equal(job.state, 'active');
+  assert.deepEqual(job.progress, { done: 50 });
+  const ttl = await redis.pttl(jobKey('q', 'job-1'));
+  assert.ok(ttl > 0 && ttl <= 60000);
+});
+
+test('progress updates do not recreate a record that expired or was removed', async () => {
+  const redis = new FakeRedis();
+  const store = new JobStore(redis);
+
+  assert.equal(await store.updateProgress('q', 'gone', 10), false);
+
+  assert.equal(await redis.exists(jobKey('q', 'gone')), 0);
+  assert.equal(await store.getJob('q', 'gone'), null);
+});
+
+test('progress reported after a record was removed on completion leaves no orphan record', async (t) => {
+  const redis = new FakeRedis();
+  let report;
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, context) => {
+    report = () => context.updateProgress(100);
+  }, { ...quietWorkerOptions, trackJobs: true, completedTtlMs: 0 });
+  let completedId;
+  worker.on('completed', job => {
+    completedId = job.id;
+  });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', {});
+  await waitFor(() => completedId !== undefined);
+  await report();
+
+  assert.equal(await redis.exists(jobKey('q', completedId)), 0);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keySlot, hasHashTag } from '../lib/core/keys.js';
+
+test('keySlot matches the hash slots of Redis Cluster', () => {
+  assert.equal(keySlot('123456789'), 12739);
+  assert.equal(keySlot('foo'), 12182);
+  assert.equal(keySlot(''), 0);
+});
+
+test('keySlot hashes only the hash tag of a key', () => {
+  assert.equal(keySlot('{user1000}.following'), 3443);
+  assert.equal(keySlot('{user1000}.followers'), 3443);
+  assert.equal(keySlot('user1000'), 3443);
+  // An empty tag does not count: the whole key is hashed
+  assert.equal(hasHashTag('{}.following'), false);
+  assert.notEqual(keySlot('{}.following'), keySlot(''));
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import { MetricsRegistry, CONTENT_TYPE } from '../lib/core/MetricsRegistry.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+test('counters, gauges and histograms are rendered in the Prometheus text format', async () => {
+  const registry = new MetricsRegistry({ prefix: 'app_' });
+  const counter = registry.counter('requests_total', 'Handled\nrequests.', ['route']);
+  counter.inc({ route: '/a"b' });
+  counter.inc({ route: '/a"b' }, 2);
+  registry.gauge('temperature', 'Current temperature.');
+  registry.addCollector(() => registry.gauge('temperature', 'Current temperature.').set({}, -Infinity));
+  const histogram = registry.histogram('duration_seconds', 'Durations.', [], [1, 0.1]);
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 7);
+
+  assert.equal(await registry.metrics(), [
+    '# HELP app_requests_total Handled\\nrequests.',
+    '# TYPE app_requests_total counter',
+    'app_requests_total{route="/a\\"b"} 3',
+    '# HELP app_temperature Current temperature.',
+    '# TYPE app_temperature gauge',
+    'app_temperature -Inf',
+    '# HELP app_duration_seconds Durations.',
+    '# TYPE app_duration_seconds histogram',
+    'app_duration_seconds_bucket{le="0.1"} 1',
+    'app_duration_seconds_bucket{le="1"} 2',
+    'app_duration_seconds_bucket{le="+Inf"} 3',
+    'app_duration_seconds_sum 7.55',
+    'app_duration_seconds_count 3',
+    '',
+  ].join('\n'));
+});
+
+test('misuse of a metric is rejected', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter('events_total', 'Events.', ['kind']);
+
+  assert.equal(registry.counter('events_total', 'Events.', ['kind']), counter);
+  assert.throws(() => registry.gauge('events_total', 'Events.'), /already registered with type 'counter'/);
+  assert.throws(() => counter.inc({ kind: 'a' }, -1), /cannot be decreased/);
+  assert.throws(() => counter.inc({}), /requires the label 'kind'/);
+});
+
+test('gauges are reset on each collection and summed across collectors', async () => {
+  const registry = new MetricsRegistry();
+  const gauge = registry.gauge('running', 'Running jobs.', ['queue']);
+  let running = 2;
+  registry.addCollector(() => gauge.inc({ queue: 'q' }, running));
+  registry.addCollector(async () => gauge.inc({ queue: 'q' }, 1));
+  registry.addCollector(() => {
+    throw new Error('unavailable');
+  });
+
+  assert.match(await registry.metrics(), /^qbull_running\{queue="q"\} 3$/m);
+  running = 0;
+  assert.match(await registry.metrics(), /^qbull_running\{queue="q"\} 1$/m);
+});
+
+test('workers count their jobs and report pending messages and lag while they run', async (t) => {
+  const redis = new FakeRedis();
+  const registry = new MetricsRegistry();
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    if (data.fail) throw new Error('boom');
+  }, { ...quietWorkerOptions, groupName: 'g', attempts: 2, metrics: registry });
+  t.after(() => worker.stop());
+  let failed = 0;
+  worker.on('failed', (job, error, attempt, willRetry) => {
+    if (!willRetry) failed++;
+  });
+  await worker.start();
+
+  await addJob(redis, 'q', { fail: false });
+  await addJob(redis, 'q', { fail: true });
+  await waitFor(() => failed === 1);
+  await worker.pause();
+  await addJob(redis, 'q', { fail: false });
+
+  const text = await registry.metrics();
+  assert.match(text, /^qbull_jobs_completed_total\{queue="q",group="g"\} 1$/m);
+  assert.match(text, /^qbull_jobs_retried_total\{queue="q",group="g"\} 1$/m);
+  assert.match(text, /^qbull_jobs_failed_total\{queue="q",group="g"\} 1$/m);
+  assert.match(text, /^qbull_job_duration_seconds_count\{queue="q",group="g"\} 1$/m);
+  assert.match(text, /^qbull_job_latency_seconds_count\{queue="q",group="g"\} 1$/m);
+  assert.match(text, /^qbull_active_jobs\{queue="q",group="g"\} 0$/m);
+  assert.match(text, /^qbull_pending_jobs\{queue="q",group="g"\} 0$/m);
+  assert.match(text, /^qbull_group_lag\{queue="q",group="g"\} 1$/m);
+
+  await worker.stop();
+  assert.doesNotMatch(await registry.metrics(), /^qbull_active_jobs\{/m);
+});
+
+test('the built-in server exposes the metrics on its path only', async (t) => {
+  const registry = new MetricsRegistry();
+  registry.counter('hits_total', 'Hits.').inc();
+  const server = await registry.startServer({ port: 0, host: '127.0.0.1' });
+  t.after(() => registry.stopServer());
+  const get = path => new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path }, (res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+
+  const response = await get('/metrics?x=1');
+  assert.equal(response.status, 200);
+  assert.equal(response.type, CONTENT_TYPE);
+  assert.match(response.body, /^qbull_hits_total 1$/m);
+  assert.equal((await get('/other')).status, 404);
+  await assert.rejects(registry.startServer({ port: 0 }), /already running/);
+});
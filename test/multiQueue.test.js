@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+test('a worker of several queues requires groupName', () => {
+  const handler = async () => {};
+  assert.throws(
+    () => new QueueWorker(new FakeRedis(), [{ name: 'a', handler }, { name: 'b', handler }], {}),
+    /groupName is required/
+  );
+});
+
+test('the queues share the worker concurrency within their caps, read together with one XREADGROUP', async (t) => {
+  const redis = new FakeRedis();
+  const readStreams = [];
+  const duplicate = redis.duplicate.bind(redis);
+  redis.duplicate = () => {
+    const client = duplicate();
+    const xreadgroup = client.xreadgroup.bind(client);
+    client.xreadgroup = (...args) => {
+      const streams = args.slice(args.indexOf('STREAMS') + 1);
+      readStreams.push(streams.slice(0, streams.length / 2));
+      return xreadgroup(...args);
+    };
+    return client;
+  };
+
+  const running = { a: 0, b: 0, total: 0 };
+  const maxRunning = { a: 0, b: 0, total: 0 };
+  const done = { a: 0, b: 0 };
+  const handler = name => async () => {
+    running[name]++;
+    running.total++;
+    maxRunning[name] = Math.max(maxRunning[name], running[name]);
+    maxRunning.total = Math.max(maxRunning.total, running.total);
+    await sleep(20);
+    running[name]--;
+    running.total--;
+    done[name]++;
+  };
+  const worker = new QueueWorker(redis, [
+    { name: 'a', handler: handler('a'), concurrency: 1 },
+    { name: 'b', handler: handler('b') },
+  ], { ...quietWorkerOptions, groupName: 'g', concurrency: 3 });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  for (let n = 0; n < 6; n++) {
+    await addJob(redis, 'a', { n });
+    await addJob(redis, 'b', { n });
+  }
+  await waitFor(() => done.a === 6 && done.b === 6, 10000);
+
+  assert.equal(maxRunning.a, 1);
+  assert.equal(maxRunning.total, 3);
+  // Queues at their cap are left out of the read until they have room again
+  assert.deepEqual(readStreams[0], ['a', 'b']);
+  assert.ok(readStreams.every(streams => streams.length > 0 && streams.every(stream => ['a', 'b'].includes(stream))));
+  assert.equal((await redis.xpending('a', 'g'))[0], 0);
+  assert.equal((await redis.xpending('b', 'g'))[0], 0);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+const orderedOptions = (consumerName, options = {}) => ({
+  ...quietWorkerOptions,
+  groupName: 'g',
+  consumerName,
+  processOrderedByKey: true,
+  ...options,
+});
+
+test('polling pauses while maxBufferedJobs jobs wait for their key', async (t) => {
+  const redis = new FakeRedis();
+  let maxBuffered = 0;
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    maxBuffered = Math.max(maxBuffered, worker.bufferedJobs);
+    seen.push(data.n);
+    await sleep(10);
+  }, orderedOptions('a', { concurrency: 2, maxBufferedJobs: 3 }));
+  t.after(() => worker.stop());
+  await redis.xgroup('CREATE', 'q', 'g', '$', 'MKSTREAM');
+  for (let n = 0; n < 12; n++) {
+    await addJob(redis, 'q', { n }, { _orderingKey: 'hot' });
+  }
+  await worker.start();
+
+  await waitFor(() => seen.length === 2);
+  // One running job and a full buffer: the rest is left in the stream for other consumers
+  const [pending] = await redis.xpending('q', 'g');
+  assert.ok(pending <= 4, `${pending} messages read`);
+  await waitFor(() => seen.length === 12);
+
+  assert.ok(maxBuffered <= 3);
+  assert.deepEqual(seen, [...Array(12).keys()]);
+});
+
+test('a hot key does not keep the other keys waiting', async (t) => {
+  const redis = new FakeRedis();
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { orderingKey }) => {
+    seen.push(`${orderingKey}${data.n}`);
+    // The other messages are buffered while the first one runs
+    if (seen.length === 1) await waitFor(() => worker.bufferedJobs === 4);
+  }, orderedOptions('a', { concurrency: 1 }));
+  t.after(() => worker.stop());
+  await redis.xgroup('CREATE', 'q', 'g', '$', 'MKSTREAM');
+  for (let n = 0; n < 4; n++) {
+    await addJob(redis, 'q', { n }, { _orderingKey: 'hot' });
+  }
+  await addJob(redis, 'q', { n: 0 }, { _orderingKey: 'cold' });
+  await worker.start();
+
+  await waitFor(() => seen.length === 5);
+  assert.deepEqual(seen, ['hot0', 'hot1', 'cold0', 'hot2', 'hot3']);
+});
+
+test('jobs still buffered on stop() are handed back to the group and claimable right away', async (t) => {
+  const redis = new FakeRedis();
+  let release;
+  const first = new Promise(resolve => {
+    release = resolve;
+  });
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    seen.push(data.n);
+    if (data.n === 0) await first;
+  }, orderedOptions('a'));
+  await worker.start();
+  for (let n = 0; n < 3; n++) {
+    await addJob(redis, 'q', { n }, { _orderingKey: 'k' });
+  }
+  await waitFor(() => seen.length === 1 && worker.bufferedJobs === 2);
+
+  const stopping = worker.stop();
+  release();
+  await stopping;
+  const pending = await redis.xpending('q', 'g', '-', '+', 10);
+  assert.equal(pending.length, 2);
+  assert.ok(pending.every(([, consumer, idleMs]) => consumer === 'a' && idleMs > 60000));
+
+  const next = [];
+  const other = new QueueWorker(redis, 'q', async (data) => {
+    next.push(data.n);
+  }, orderedOptions('b', { visibilityTimeoutMs: 60000, stalledCheckIntervalMs: 20 }));
+  t.after(() => other.stop());
+  await other.start();
+  await waitFor(() => next.length === 2);
+  assert.deepEqual(next, [1, 2]);
+});
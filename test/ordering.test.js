@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+const orderedOptions = (consumerName, options = {}) => ({
+  ...quietWorkerOptions,
+  groupName: 'g',
+  consumerName,
+  processOrderedByKey: true,
+  orderingScope: 'group',
+  orderingCheckIntervalMs: 20,
+  ...options,
+});
+
+test('group ordering runs the messages of a key one at a time, in order, across consumers', async (t) => {
+  const redis = new FakeRedis();
+  const seen = [];
+  let running = 0;
+  let maxRunning = 0;
+  const handler = consumer => async (data) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    seen.push({ consumer, n: data.n });
+    await sleep(15);
+    running--;
+  };
+  const workers = [
+    new QueueWorker(redis, 'q', handler('a'), orderedOptions('a', { concurrency: 2 })),
+    new QueueWorker(redis, 'q', handler('b'), orderedOptions('b', { concurrency: 2 })),
+  ];
+  t.after(() => Promise.all(workers.map(worker => worker.stop())));
+  await Promise.all(workers.map(worker => worker.start()));
+
+  for (let n = 0; n < 6; n++) {
+    await addJob(redis, 'q', { n }, { _orderingKey: 'k' });
+  }
+  await waitFor(() => seen.length === 6);
+
+  assert.deepEqual(seen.map(({ n }) => n), [0, 1, 2, 3, 4, 5]);
+  assert.equal(maxRunning, 1);
+  await waitFor(async () => (await redis.zcard('q:order:g')) === 0);
+  assert.equal(await redis.hlen('q:order-index:g'), 0);
+});
+
+test('the position of an entry deleted while pending is released', async (t) => {
+  const redis = new FakeRedis();
+  await redis.xgroup('CREATE', 'q', 'g', '$', 'MKSTREAM');
+  const firstId = await addJob(redis, 'q', { n: 0 }, { _orderingKey: 'k' });
+  await addJob(redis, 'q', { n: 1 }, { _orderingKey: 'k' });
+
+  // A consumer reads both messages and dies before processing them
+  const stalled = new QueueWorker(redis, 'q', () => new Promise(() => {}), orderedOptions('c'));
+  await stalled.start();
+  await waitFor(async () => (await redis.hlen('q:order-index:g')) === 2);
+  stalled.isStopping = true;
+  stalled._closeBlockingClient();
+  await redis.xdel('q', firstId);
+
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    seen.push(data.n);
+  }, orderedOptions('c', { concurrency: 2 }));
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(() => seen.length === 1);
+  assert.deepEqual(seen, [1]);
+  await waitFor(async () => (await redis.zcard('q:order:g')) === 0);
+  assert.deepEqual(await redis.hgetall('q:order-index:g'), {});
+});
+
+test('a timed out job keeps its key until the handler returns', async (t) => {
+  const redis = new FakeRedis();
+  const log = [];
+  const worker = new QueueWorker(redis, 'q', async (data) => {
+    log.push(`start ${data.n}`);
+    await sleep(data.n === 0 ? 200 : 5);
+    log.push(`end ${data.n}`);
+  }, orderedOptions('c', { concurrency: 2, jobTimeoutMs: 50, attempts: 1, deadLetterQueue: false }));
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', { n: 0 }, { _orderingKey: 'k' });
+  await addJob(redis, 'q', { n: 1 }, { _orderingKey: 'k' });
+  await waitFor(() => log.length === 4);
+
+  assert.deepEqual(log, ['start 0', 'end 0', 'start 1', 'end 1']);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake, dropConnection } from './helpers/connection.js';
+import { waitFor } from './helpers/jobs.js';
+import Publisher from '../lib/core/Publisher.js';
+import Outbox from '../lib/core/Outbox.js';
+import { decodePayload } from '../lib/core/codec.js';
+import { arrayToObject } from '../lib/core/streamUtils.js';
+
+async function setup(t, outbox) {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis), { outbox: { retryIntervalMs: 20, ...outbox } });
+  t.after(() => publisher.close());
+  const events = [];
+  for (const event of ['spooled', 'flushed', 'dropped']) {
+    publisher.on(event, entry => events.push([event, decodePayload(entry.jobPayload).data.n]));
+  }
+  return { redis, publisher, events };
+}
+
+async function publishedNumbers(redis) {
+  const entries = await new FakeRedis(redis.server).xrange('q', '-', '+');
+  return entries.map(([, fields]) => decodePayload(arrayToObject(fields)).data.n);
+}
+
+test('messages published while Redis is unreachable are flushed in order once it is ready', async (t) => {
+  const { redis, publisher, events } = await setup(t);
+  await publisher.publish('q', { n: 0 });
+
+  const connection = dropConnection(redis);
+  assert.equal(await publisher.publish('q', { n: 1 }), null);
+  assert.equal(await publisher.publish('q', { n: 2 }), null);
+  connection.restore();
+  await waitFor(() => events.filter(([event]) => event === 'flushed').length === 2);
+
+  assert.deepEqual(await publishedNumbers(redis), [0, 1, 2]);
+  assert.deepEqual(events, [['spooled', 1], ['spooled', 2], ['flushed', 1], ['flushed', 2]]);
+});
+
+test('the drop-oldest policy evicts the oldest spooled message', async (t) => {
+  const { redis, publisher, events } = await setup(t, { maxSize: 2, overflow: 'drop-oldest' });
+
+  const connection = dropConnection(redis);
+  for (let n = 0; n < 3; n++) {
+    assert.equal(await publisher.publish('q', { n }), null);
+  }
+  connection.restore();
+  await waitFor(() => events.filter(([event]) => event === 'flushed').length === 2);
+
+  assert.deepEqual(await publishedNumbers(redis), [1, 2]);
+  assert.deepEqual(events.filter(([event]) => event === 'dropped'), [['dropped', 0]]);
+});
+
+test('publish() throws when the outbox discards the message (drop-newest) or rejects it', async (t) => {
+  for (const overflow of ['drop-newest', 'reject']) {
+    const { redis, publisher } = await setup(t, { maxSize: 1, overflow });
+    dropConnection(redis);
+
+    assert.equal(await publisher.publish('q', { n: 0 }), null);
+    await assert.rejects(publisher.publish('q', { n: 1 }), /outbox is full/);
+    assert.equal(publisher.outboxSize, 1);
+  }
+});
+
+test('errors other than connection failures are thrown, not spooled', async (t) => {
+  const { redis, publisher, events } = await setup(t);
+  await redis.set('q', 'not a stream');
+
+  await assert.rejects(publisher.publish('q', { n: 0 }), { name: 'ReplyError' });
+  assert.deepEqual(events, []);
+  assert.equal(publisher.outboxSize, 0);
+});
+
+test('isConnectionError recognizes the connection errors of ioredis only', () => {
+  assert.equal(Publisher.isConnectionError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), true);
+  assert.equal(Publisher.isConnectionError(new Error('Connection is closed.')), true);
+  assert.equal(Publisher.isConnectionError(Object.assign(new Error('Reached the max retries'), { name: 'MaxRetriesPerRequestError' })), true);
+  assert.equal(Publisher.isConnectionError(new TypeError('Cannot read properties of undefined')), false);
+  assert.equal(Publisher.isConnectionError(null), false);
+});
+
+// Writes the log of a previous process: messages 0 to count - 1, of which the first was sent
+function writeSpoolFile(t, count) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qbull-outbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'outbox.log');
+  const lines = [];
+  for (let n = 0; n < count; n++) {
+    lines.push(JSON.stringify({ op: 'add', entry: { id: `id-${n}`, spooledAt: n, n } }));
+  }
+  lines.push(JSON.stringify({ op: 'remove', id: 'id-0' }), '{"op":"add","entry":');
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+}
+
+test('a spool file holding more than maxSize messages is cut down by the overflow policy', (t) => {
+  for (const [overflow, kept] of [['drop-oldest', [4, 5, 6]], ['drop-newest', [1, 2, 3]], ['reject', [1, 2, 3]]]) {
+    const filePath = writeSpoolFile(t, 7);
+
+    const outbox = new Outbox({ filePath, maxSize: 3, overflow });
+    assert.deepEqual(outbox._entries.map(({ n }) => n), kept, overflow);
+
+    // The file is rewritten with the kept messages only
+    const reloaded = new Outbox({ filePath, maxSize: 10 });
+    assert.deepEqual(reloaded._entries.map(({ n }) => n), kept, overflow);
+  }
+});
+
+test('a spool file within maxSize is loaded whole', (t) => {
+  const filePath = writeSpoolFile(t, 4);
+
+  const outbox = new Outbox({ filePath, maxSize: 3, overflow: 'reject' });
+  assert.equal(outbox.size, 3);
+  assert.deepEqual(outbox.peek(), { id: 'id-1', spooledAt: 1, n: 1 });
+  assert.throws(() => outbox.add({ n: 4 }), /outbox is full/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import Publisher from '../lib/core/Publisher.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import { priorityStreamKey } from '../lib/core/keys.js';
+
+async function fillLanes(redis, count) {
+  for (const priority of ['low', 'normal', 'high']) {
+    const stream = priorityStreamKey('q', priority);
+    await redis.xgroup('CREATE', stream, 'g', '$', 'MKSTREAM');
+    for (let n = 0; n < count; n++) {
+      await addJob(redis, stream, { n });
+    }
+  }
+}
+
+test('each lane gets a share of the reads proportional to its weight, high priority first', async (t) => {
+  const redis = new FakeRedis();
+  await fillLanes(redis, 10);
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { priority }) => {
+    seen.push(priority);
+  }, { ...quietWorkerOptions, groupName: 'g', concurrency: 10, priorities: true });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(() => seen.length === 30);
+  const count = (jobs, priority) => jobs.filter(job => job === priority).length;
+  const first = seen.slice(0, 10);
+  assert.deepEqual([count(first, 'high'), count(first, 'normal'), count(first, 'low')], [6, 3, 1]);
+  assert.equal(first[0], 'high');
+  assert.ok(seen.lastIndexOf('high') < seen.lastIndexOf('normal'));
+  assert.ok(seen.lastIndexOf('normal') < seen.lastIndexOf('low'));
+});
+
+test('custom weights replace the defaults of the lanes they name', async (t) => {
+  const redis = new FakeRedis();
+  await fillLanes(redis, 4);
+  const seen = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { priority }) => {
+    seen.push(priority);
+  }, { ...quietWorkerOptions, groupName: 'g', concurrency: 4, priorities: { high: 1, normal: 1, low: 2 } });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(() => seen.length === 12);
+  assert.deepEqual(seen.slice(0, 4).sort(), ['high', 'low', 'low', 'normal']);
+});
+
+test('invalid priorities are rejected', async () => {
+  const redis = new FakeRedis();
+  const handler = async () => {};
+  assert.throws(() => new QueueWorker(redis, 'q', handler, { priorities: { urgent: 1 } }), /Unknown priority 'urgent'/);
+  assert.throws(() => new QueueWorker(redis, 'q', handler, { priorities: { low: 0 } }), /weight of priority 'low'/);
+
+  const publisher = new Publisher(await connectFake(redis));
+  try {
+    await assert.rejects(publisher.publish('q', { n: 1 }, { priority: 'urgent' }), /priority option must be one of/);
+  } finally {
+    await publisher.close();
+  }
+});
+
+test('the first publish to each lane warns that only workers with priorities read it', async (t) => {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis));
+  t.after(() => publisher.close());
+  const warn = t.mock.method(publisher.logger, 'warn', () => {});
+
+  await publisher.publish('q', { n: 1 }, { priority: 'high' });
+  await publisher.publish('q', { n: 2 }, { priority: 'high' });
+  await publisher.publish('q', { n: 3 }, { priority: 'low' });
+  await publisher.publish('q', { n: 4 });
+
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0].match(/'(\w+)' priority lane/)[1]), ['high', 'low']);
+  assert.equal(await redis.xlen(priorityStreamKey('q', 'high')), 2);
+  assert.equal(await redis.xlen(priorityStreamKey('q', 'low')), 1);
+  assert.equal(await redis.xlen('q'), 1);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import Publisher from '../lib/core/Publisher.js';
+import { decodePayload } from '../lib/core/codec.js';
+import { priorityStreamKey } from '../lib/core/keys.js';
+import { arrayToObject } from '../lib/core/streamUtils.js';
+
+async function setup(t) {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis));
+  t.after(() => publisher.close());
+  return { redis, publisher };
+}
+
+async function streamNumbers(redis, stream) {
+  const entries = await redis.xrange(stream, '-', '+');
+  return entries.map(([, fields]) => decodePayload(arrayToObject(fields)).data.n);
+}
+
+test('publishMany adds a mixed batch to the stream in the order of the items', async (t) => {
+  const { redis, publisher } = await setup(t);
+
+  const results = await publisher.publishMany('q', [
+    { data: { n: 0 } },
+    { data: { n: 1 }, options: { deduplicationId: 'one' } },
+    { data: { n: 2 } },
+    { data: { n: 3 } },
+    { data: { n: 4 }, options: { deduplicationId: 'four' } },
+    { data: { n: 5 }, options: { delayMs: 60000 } },
+    { data: { n: 6 } },
+  ]);
+
+  assert.deepEqual(await streamNumbers(redis, 'q'), [0, 1, 2, 3, 4, 6]);
+  const streamIds = (await redis.xrange('q', '-', '+')).map(([id]) => id);
+  assert.deepEqual(results.filter((result, index) => index !== 5).map(({ id }) => id), streamIds);
+  assert.ok(results.every(({ error }) => error === null));
+  assert.equal(await redis.zcard('q:delayed'), 1);
+});
+
+test('items for other priority lanes do not reorder the pipelines', async (t) => {
+  const { redis, publisher } = await setup(t);
+  const sent = [];
+  const publishManyToStream = publisher.redisClient.publishManyToStream.bind(publisher.redisClient);
+  publisher.redisClient.publishManyToStream = (stream, ...args) => {
+    sent.push(stream);
+    return publishManyToStream(stream, ...args);
+  };
+  const high = priorityStreamKey('q', 'high');
+
+  await publisher.publishMany('q', [
+    { data: { n: 0 } },
+    { data: { n: 1 } },
+    { data: { n: 2 }, options: { priority: 'high' } },
+    { data: { n: 3 } },
+  ]);
+
+  assert.deepEqual(sent, ['q', high, 'q']);
+  assert.deepEqual(await streamNumbers(redis, 'q'), [0, 1, 3]);
+  assert.deepEqual(await streamNumbers(redis, high), [2]);
+});
+
+test('an invalid item fails alone', async (t) => {
+  const { redis, publisher } = await setup(t);
+
+  const results = await publisher.publishMany('q', [
+    { data: { n: 0 } },
+    { data: { n: 1 }, options: { delayMs: -1 } },
+    { data: { n: 2 } },
+  ]);
+
+  assert.match(results[1].error.message, /delayMs/);
+  assert.equal(results[0].error, null);
+  assert.equal(results[2].error, null);
+  assert.deepEqual(await streamNumbers(redis, 'q'), [0, 2]);
+});
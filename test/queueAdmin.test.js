@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, sleep } from './helpers/jobs.js';
+import QueueAdmin from '../lib/core/QueueAdmin.js';
+
+// A stream of three messages and a group 'g' where consumer 'c1' holds the first one
+async function setup() {
+  const redis = new FakeRedis();
+  const ids = [];
+  for (let n = 0; n < 3; n++) {
+    ids.push(await addJob(redis, 'q', { n }, { _attempt: 1 }));
+  }
+  await redis.xgroup('CREATE', 'q', 'g', '0');
+  await redis.xreadgroup('GROUP', 'g', 'c1', 'COUNT', 1, 'STREAMS', 'q', '>');
+  return { redis, admin: new QueueAdmin(redis), ids };
+}
+
+test('getCounts reports the length, pending messages, lag and consumers of each group', async () => {
+  const { admin, ids } = await setup();
+
+  const counts = await admin.getCounts('q');
+
+  assert.equal(counts.exists, true);
+  assert.equal(counts.length, 3);
+  assert.equal(counts.groups.length, 1);
+  const [group] = counts.groups;
+  assert.equal(group.name, 'g');
+  assert.equal(group.pending, 1);
+  assert.equal(group.lag, 2);
+  assert.equal(group.oldestPendingId, ids[0]);
+  assert.ok(group.oldestPendingAgeMs >= 0);
+  assert.deepEqual(group.consumers.map(({ name, pending }) => [name, pending]), [['c1', 1]]);
+  const { oldestPendingAgeMs, ...summary } = await admin.getPendingSummary('q', 'g');
+  assert.deepEqual(summary, { count: 1, oldestPendingId: ids[0], perConsumer: { c1: 1 } });
+  assert.ok(oldestPendingAgeMs >= group.oldestPendingAgeMs);
+});
+
+test('a queue that does not exist has empty counts', async () => {
+  const admin = new QueueAdmin(new FakeRedis());
+
+  assert.deepEqual(await admin.getCounts('missing'), { queue: 'missing', exists: false, length: 0, groups: [] });
+  assert.equal(await admin.getStreamInfo('missing'), null);
+  assert.deepEqual(await admin.getGroups('missing'), []);
+  assert.deepEqual(await admin.getConsumers('missing', 'g'), []);
+});
+
+test('peek decodes the payload and the reserved fields, newest first when reversed', async () => {
+  const { redis, admin, ids } = await setup();
+  await redis.xadd('q', '*', '_v', '1', '_codec', 'json', '_data', '{not json');
+
+  const [first, second] = await admin.peek('q', { count: 2 });
+  assert.equal(first.id, ids[0]);
+  assert.deepEqual(first.data, { n: 0 });
+  assert.deepEqual(first.metadata, { _attempt: '1' });
+  assert.deepEqual(second.data, { n: 1 });
+
+  const [newest, previous] = await admin.peek('q', { count: 2, reverse: true });
+  assert.equal(newest.data, null);
+  assert.equal(newest.fields._data, '{not json');
+  assert.equal(previous.id, ids[2]);
+});
+
+test('replayFrom delivers again every message created at or after the timestamp', async () => {
+  const { redis, admin, ids } = await setup();
+  await redis.xreadgroup('GROUP', 'g', 'c1', 'STREAMS', 'q', '>');
+  const from = Number(ids[1].split('-')[0]);
+
+  await admin.replayFrom('q', 'g', new Date(from));
+
+  const [[, entries]] = await redis.xreadgroup('GROUP', 'g', 'c2', 'STREAMS', 'q', '>');
+  assert.deepEqual(entries.map(([id]) => id), ids.filter(id => Number(id.split('-')[0]) >= from));
+  await assert.rejects(admin.replayFrom('q', 'g', -1), /valid Date or timestamp/);
+
+  await admin.replayFromBeginning('q', 'g');
+  const [[, all]] = await redis.xreadgroup('GROUP', 'g', 'c2', 'STREAMS', 'q', '>');
+  assert.equal(all.length, 3);
+});
+
+test('consumers holding pending messages are only removed when forced', async () => {
+  const { redis, admin } = await setup();
+  await redis.xgroup('CREATECONSUMER', 'q', 'g', 'idle');
+  await sleep(20);
+
+  assert.deepEqual(await admin.removeIdleConsumers('q', 'g', 10), ['idle']);
+  assert.equal(await admin.removeConsumer('q', 'g', 'c1'), false);
+  assert.equal(await admin.removeConsumer('q', 'g', 'c1', { force: true }), true);
+
+  assert.deepEqual(await admin.getConsumers('q', 'g'), []);
+  assert.equal((await admin.getPendingSummary('q', 'g')).count, 0);
+});
+
+test('deleteMessages and deleteGroup remove messages and groups', async () => {
+  const { admin, ids } = await setup();
+
+  assert.equal(await admin.deleteMessages('q', [ids[1], ids[2]]), 2);
+  assert.equal(await admin.deleteMessages('q', []), 0);
+  assert.equal((await admin.getStreamInfo('q')).length, 1);
+
+  assert.equal(await admin.deleteGroup('q', 'g'), true);
+  assert.equal(await admin.deleteGroup('q', 'g'), false);
+  assert.deepEqual(await admin.getGroups('q'), []);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import RateLimiter from '../lib/core/RateLimiter.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+// Makes the Redis clock read a fixed time, far from the clock of this process
+function freezeRedisClock(redis, nowMs) {
+  const clock = { nowMs };
+  redis.server.cmd_time = () => [String(Math.floor(clock.nowMs / 1000)), String((clock.nowMs % 1000) * 1000)];
+  return clock;
+}
+
+test('the window follows the clock of Redis, not the one of the consumer', async () => {
+  const redis = new FakeRedis();
+  const clock = freezeRedisClock(redis, Date.UTC(2030, 0, 1));
+  const limiter = new RateLimiter(redis, 'q', { max: 2, durationMs: 1000 });
+
+  assert.equal(await limiter.consume({}), 0);
+  clock.nowMs += 400;
+  assert.equal(await limiter.consume({}), 0);
+  assert.equal(await limiter.consume({}), 600);
+
+  clock.nowMs += 599;
+  assert.equal(await limiter.consume({}), 1);
+  clock.nowMs += 1;
+  assert.equal(await limiter.consume({}), 0);
+  assert.equal(await limiter.consume({}), 400);
+});
+
+test('groupKey gives each value of the field its own budget', async () => {
+  const redis = new FakeRedis();
+  freezeRedisClock(redis, Date.UTC(2030, 0, 1));
+  const limiter = new RateLimiter(redis, 'q', { max: 1, durationMs: 1000, groupKey: 'tenant.id' });
+
+  assert.equal(limiter.getGroup({ tenant: { id: 7 } }), '7');
+  assert.equal(limiter.getGroup({ tenant: null }), null);
+  assert.equal(await limiter.consume({ tenant: { id: 'a' } }), 0);
+  assert.equal(await limiter.consume({ tenant: { id: 'b' } }), 0);
+  assert.equal(await limiter.consume({ tenant: { id: 'a' } }), 1000);
+  // Jobs without a value share one budget
+  assert.equal(await limiter.consume({}), 0);
+  assert.equal(await limiter.consume({ other: true }), 1000);
+});
+
+test('invalid limits are rejected', () => {
+  const redis = new FakeRedis();
+  assert.throws(() => new RateLimiter(redis, 'q', { max: 0, durationMs: 1000 }), /limiter.max/);
+  assert.throws(() => new RateLimiter(redis, 'q', { max: 1, durationMs: 1.5 }), /limiter.durationMs/);
+  assert.throws(() => new RateLimiter(redis, 'q', { max: 1, durationMs: 1000, groupKey: ' ' }), /limiter.groupKey/);
+});
+
+test('throttled jobs are delayed without consuming an attempt', async (t) => {
+  const redis = new FakeRedis();
+  const started = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { attempt }) => {
+    started.push([data.n, attempt, Date.now()]);
+  }, { ...quietWorkerOptions, attempts: 1, delayedCheckIntervalMs: 20, limiter: { max: 1, durationMs: 200 } });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', { n: 1 });
+  await addJob(redis, 'q', { n: 2 });
+  await waitFor(() => started.length === 2);
+
+  assert.deepEqual(started.map(([n, attempt]) => [n, attempt]), [[1, 1], [2, 1]]);
+  assert.ok(started[1][2] - started[0][2] >= 150);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import RepeatableJobs from '../lib/core/RepeatableJobs.js';
+
+test('upsert rejects an unknown time zone instead of failing on every scheduling tick', async () => {
+  const redis = new FakeRedis();
+  const repeatable = new RepeatableJobs(redis, 'q');
+
+  await assert.rejects(repeatable.upsert('report', { cron: '0 * * * *', tz: 'Not/AZone' }), /tz must be a valid IANA time zone/);
+  await assert.rejects(repeatable.upsert('report', { cron: '0 * * * *', tz: 1 }), /tz must be a valid IANA time zone/);
+  assert.deepEqual(await repeatable.list(), []);
+});
+
+test('a cron definition with a time zone schedules its next occurrence once', async () => {
+  const redis = new FakeRedis();
+  const repeatable = new RepeatableJobs(redis, 'q');
+
+  assert.equal(await repeatable.upsert('report', { cron: '0 * * * *', tz: 'Europe/Paris', data: { n: 1 } }), true);
+  assert.equal(await repeatable.upsert('report', { cron: '0 * * * *', tz: 'Europe/Paris', data: { n: 1 } }), false);
+  assert.equal(await repeatable.scheduleDue(), 1);
+  assert.equal(await repeatable.scheduleDue(), 0);
+
+  const [definition] = await repeatable.list();
+  assert.equal(definition.tz, 'Europe/Paris');
+  assert.equal(definition.nextRunAt.getUTCMinutes(), 0);
+  assert.ok(definition.nextRunAt.getTime() > Date.now());
+  assert.equal(await redis.zcard('q:delayed'), 1);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import { quietWorkerOptions } from './helpers/jobs.js';
+import Publisher from '../lib/core/Publisher.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+async function setup(t, handler, options = {}) {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis));
+  const worker = new QueueWorker(redis, 'q', handler, { ...quietWorkerOptions, ...options });
+  t.after(async () => {
+    await publisher.close();
+    await worker.stop();
+  });
+  await worker.start();
+  return { redis, publisher };
+}
+
+test('request() resolves with the result of the job', async (t) => {
+  const { publisher } = await setup(t, async data => ({ sum: data.a + data.b }));
+
+  assert.deepEqual(await publisher.request('q', { a: 1, b: 2 }, { timeoutMs: 2000 }), { sum: 3 });
+});
+
+test('request() rejects with the error of a job that failed permanently', async (t) => {
+  const { publisher } = await setup(t, async () => {
+    throw new RangeError('out of stock');
+  }, { deadLetterQueue: false });
+
+  await assert.rejects(publisher.request('q', {}, { timeoutMs: 2000 }), { name: 'RangeError', message: 'out of stock' });
+});
+
+test('a result that cannot be encoded is replied as a failure without running the job again', async (t) => {
+  let calls = 0;
+  const { redis, publisher } = await setup(t, async () => {
+    calls++;
+    const result = {};
+    result.self = result;
+    return result;
+  }, { attempts: 3 });
+
+  await assert.rejects(publisher.request('q', {}, { timeoutMs: 2000 }), { name: 'TypeError' });
+  assert.equal(calls, 1);
+  assert.deepEqual(await redis.xpending('q', 'group:q'), [0, null, null, null]);
+});
+
+test('the reply listener waits for its connection before reading', async (t) => {
+  const { publisher } = await setup(t, async () => 'pong');
+  const errors = t.mock.method(publisher.logger, 'error');
+  const startedAt = Date.now();
+
+  assert.equal(await publisher.request('q', {}, { timeoutMs: 2000 }), 'pong');
+  assert.ok(Date.now() - startedAt < 500);
+  assert.equal(errors.mock.callCount(), 0);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor } from './helpers/jobs.js';
+import RetentionSweeper from '../lib/core/RetentionSweeper.js';
+
+// Five messages: group 'done' acknowledged all of them, group 'slow' holds the second one
+// pending and has not read the last two yet
+async function setup() {
+  const redis = new FakeRedis();
+  const ids = [];
+  for (let n = 0; n < 5; n++) {
+    ids.push(await addJob(redis, 'q', { n }));
+  }
+  await redis.xgroup('CREATE', 'q', 'done', '0');
+  await redis.xreadgroup('GROUP', 'done', 'c', 'STREAMS', 'q', '>');
+  await redis.xack('q', 'done', ...ids);
+  await redis.xgroup('CREATE', 'q', 'slow', '0');
+  await redis.xreadgroup('GROUP', 'slow', 'c', 'COUNT', 3, 'STREAMS', 'q', '>');
+  await redis.xack('q', 'slow', ids[0], ids[2]);
+  return { redis, ids };
+}
+
+test('sweep trims only the messages every group has acknowledged', async () => {
+  const { redis, ids } = await setup();
+  const sweeper = new RetentionSweeper(redis, ['q'], { approximate: false });
+
+  assert.equal(await sweeper.sweep('q'), 1);
+
+  const remaining = await redis.xrange('q', '-', '+');
+  assert.deepEqual(remaining.map(([id]) => id), ids.slice(1));
+});
+
+test('a group that has not read the stream yet keeps every message', async () => {
+  const { redis } = await setup();
+  await redis.xgroup('CREATE', 'q', 'new', '0');
+  const sweeper = new RetentionSweeper(redis, ['q'], { approximate: false });
+
+  assert.equal(await sweeper.sweep('q'), 0);
+  assert.equal(await redis.xlen('q'), 5);
+});
+
+test('streams without groups and messages younger than minAgeMs are kept', async () => {
+  const redis = new FakeRedis();
+  await addJob(redis, 'orphan', {});
+  const { redis: withGroups } = await setup();
+
+  assert.equal(await new RetentionSweeper(redis, ['orphan'], { approximate: false }).sweep('orphan'), 0);
+  assert.equal(await new RetentionSweeper(withGroups, ['q'], { approximate: false, minAgeMs: 60000 }).sweep('q'), 0);
+  assert.equal(await withGroups.xlen('q'), 5);
+});
+
+test('the periodic sweep keeps going when one stream fails', async (t) => {
+  const { redis } = await setup();
+  const sweeper = new RetentionSweeper(redis, ['missing', 'q'], { approximate: false, intervalMs: 10 });
+  const sweeps = t.mock.method(sweeper, 'sweepAll');
+  t.after(() => sweeper.stop());
+
+  sweeper.start();
+  await waitFor(() => sweeps.mock.callCount() >= 2);
+
+  assert.equal(await sweeps.mock.calls[0].result, 1);
+  assert.equal(await redis.xlen('q'), 4);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker, { computeBackoffDelay } from '../lib/core/QueueWorker.js';
+
+test('fixed backoff waits the same delay after every attempt', () => {
+  for (const attempt of [1, 2, 5]) {
+    assert.equal(computeBackoffDelay({ type: 'fixed', delayMs: 500 }, attempt), 500);
+  }
+});
+
+test('exponential backoff doubles the delay after each attempt', () => {
+  const backoff = { type: 'exponential', delayMs: 100 };
+  assert.deepEqual([1, 2, 3, 4].map(attempt => computeBackoffDelay(backoff, attempt)), [100, 200, 400, 800]);
+});
+
+test('maxDelayMs caps the delay', () => {
+  assert.equal(computeBackoffDelay({ type: 'exponential', delayMs: 100, maxDelayMs: 300 }, 10), 300);
+});
+
+test('jitter removes up to its fraction of the delay', (t) => {
+  const backoff = { type: 'fixed', delayMs: 1000, jitter: 0.5 };
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(computeBackoffDelay(backoff, 1), 1000);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(computeBackoffDelay(backoff, 1), 500);
+  // A jitter above 1 never makes the delay negative
+  assert.equal(computeBackoffDelay({ ...backoff, jitter: 3 }, 1), 0);
+});
+
+test('the delay defaults to no wait', () => {
+  assert.equal(computeBackoffDelay({}, 3), 0);
+});
+
+test('a failed job is retried with its next attempt until it succeeds', async (t) => {
+  const redis = new FakeRedis();
+  const attempts = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, context) => {
+    attempts.push(context.attempt);
+    if (context.attempt < 3) throw new Error('temporary');
+    return 'ok';
+  }, { ...quietWorkerOptions, attempts: 3, backoff: { type: 'fixed', delayMs: 0 } });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', {});
+  await waitFor(() => attempts.length === 3);
+  await waitFor(async () => (await redis.xpending('q', 'group:q'))[0] === 0);
+
+  assert.deepEqual(attempts, [1, 2, 3]);
+});
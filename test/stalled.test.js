@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import { arrayToObject } from '../lib/core/streamUtils.js';
+
+const stalledOptions = {
+  ...quietWorkerOptions,
+  groupName: 'g',
+  visibilityTimeoutMs: 20,
+  stalledCheckIntervalMs: 20,
+};
+
+// Delivers a message to consumers that die without acknowledging it, once per consumer
+async function stall(redis, consumers) {
+  await redis.xgroup('CREATE', 'q', 'g', '$', 'MKSTREAM');
+  const id = await addJob(redis, 'q', { n: 1 });
+  await redis.xreadgroup('GROUP', 'g', consumers[0], 'COUNT', 1, 'STREAMS', 'q', '>');
+  for (const consumer of consumers.slice(1)) {
+    await redis.xclaim('q', 'g', consumer, 0, id);
+  }
+  await sleep(30);
+  return id;
+}
+
+test('a message left pending by a dead consumer is claimed and processed', async (t) => {
+  const redis = new FakeRedis();
+  const id = await stall(redis, ['dead']);
+  const processed = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId) => {
+    processed.push(messageId);
+  }, stalledOptions);
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(() => processed.length === 1);
+  assert.deepEqual(processed, [id]);
+  await waitFor(async () => (await redis.xpending('q', 'g'))[0] === 0);
+});
+
+test('a message that stalled more than maxStalledCount times is dead-lettered', async (t) => {
+  const redis = new FakeRedis();
+  const id = await stall(redis, ['dead', 'dead-again']);
+  let calls = 0;
+  const worker = new QueueWorker(redis, 'q', async () => {
+    calls++;
+  }, { ...stalledOptions, maxStalledCount: 1 });
+  const failed = [];
+  worker.on('failed', (job, error, attempt, willRetry) => failed.push([job.messageId, error.name, willRetry]));
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await waitFor(async () => (await redis.xlen('q:dlq')) === 1);
+  const [[, fields]] = await redis.xrange('q:dlq', '-', '+');
+  assert.equal(arrayToObject(fields)._dlqOriginalId, id);
+  assert.match(arrayToObject(fields)._dlqReason, /stalled 2 times/);
+  assert.deepEqual(failed, [[id, 'JobStalledError', false]]);
+  assert.equal(calls, 0);
+  assert.equal((await redis.xpending('q', 'g'))[0], 0);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { addJob, waitFor, sleep, quietWorkerOptions } from './helpers/jobs.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+
+test('an attempt that exceeds jobTimeoutMs aborts its signal and is retried', async (t) => {
+  const redis = new FakeRedis();
+  const reasons = [];
+  const completed = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { attempt, signal }) => {
+    if (attempt === 1) {
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      reasons.push(signal.reason);
+      return 'too late';
+    }
+    return 'done';
+  }, { ...quietWorkerOptions, jobTimeoutMs: 30, attempts: 2 });
+  const failed = [];
+  worker.on('failed', (job, error, attempt, willRetry) => failed.push([error.name, attempt, willRetry]));
+  worker.on('completed', (job, result) => completed.push([job.attempt, result]));
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', {});
+  await waitFor(() => completed.length === 1);
+
+  assert.deepEqual(failed, [['JobTimeoutError', 1, true]]);
+  assert.equal(reasons.length, 1);
+  assert.equal(reasons[0].name, 'JobTimeoutError');
+  assert.match(reasons[0].message, /timed out after 30ms/);
+  assert.deepEqual(completed, [[2, 'done']]);
+});
+
+test('the _timeoutMs field of a message overrides the worker default', async (t) => {
+  const redis = new FakeRedis();
+  const aborted = [];
+  const worker = new QueueWorker(redis, 'q', async (data, messageId, { signal }) => {
+    await sleep(60);
+    aborted.push([data.n, signal.aborted]);
+  }, { ...quietWorkerOptions, attempts: 1, deadLetterQueue: false, concurrency: 2 });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', { n: 1 }, { _timeoutMs: 20 });
+  await addJob(redis, 'q', { n: 2 });
+  await waitFor(() => aborted.length === 2);
+
+  assert.deepEqual(aborted.sort(), [[1, true], [2, false]]);
+});
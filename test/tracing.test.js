@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FakeRedis from './helpers/FakeRedis.js';
+import { connectFake } from './helpers/connection.js';
+import { addJob, waitFor, quietWorkerOptions } from './helpers/jobs.js';
+import Publisher from '../lib/core/Publisher.js';
+import QueueWorker from '../lib/core/QueueWorker.js';
+import { extractHeaders, injectHeaders, isValidHeaders, HEADERS_FIELD } from '../lib/core/tracing.js';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+test('headers given to publish reach the handler, on every attempt', async (t) => {
+  const redis = new FakeRedis();
+  const publisher = new Publisher(await connectFake(redis));
+  t.after(() => publisher.close());
+  const received = [];
+  const worker = new QueueWorker(redis, 'q', async (data, jobId, { attempt, headers }) => {
+    received.push([attempt, headers]);
+    if (attempt === 1) throw new Error('retry');
+  }, { ...quietWorkerOptions, attempts: 2 });
+  t.after(() => worker.stop());
+  await worker.start();
+
+  const headers = { traceparent: TRACEPARENT, tracestate: 'vendor=1', 'x-tenant': 'acme' };
+  await publisher.publish('q', { n: 1 }, { headers });
+  await waitFor(() => received.length === 2);
+
+  assert.deepEqual(received, [[1, headers], [2, headers]]);
+});
+
+test('messages without headers give the handler an empty object', async (t) => {
+  const redis = new FakeRedis();
+  const received = [];
+  const worker = new QueueWorker(redis, 'q', async (data, jobId, { headers }) => {
+    received.push(headers);
+  }, quietWorkerOptions);
+  t.after(() => worker.stop());
+  await worker.start();
+
+  await addJob(redis, 'q', { n: 1 });
+  await addJob(redis, 'q', { n: 2 }, { [HEADERS_FIELD]: 'not json' });
+  await waitFor(() => received.length === 2);
+
+  assert.deepEqual(received, [{}, {}]);
+});
+
+test('headers must be an object of strings', async (t) => {
+  const publisher = new Publisher(await connectFake(new FakeRedis()));
+  t.after(() => publisher.close());
+
+  assert.equal(isValidHeaders({ a: 'b' }), true);
+  assert.equal(isValidHeaders({ a: 1 }), false);
+  assert.equal(isValidHeaders(['a']), false);
+  assert.equal(isValidHeaders(null), false);
+  await assert.rejects(publisher.publish('q', {}, { headers: { retries: 3 } }), /headers option must be an object with string values/);
+});
+
+test('without the OpenTelemetry API the headers are carried as given', () => {
+  assert.deepEqual(injectHeaders(), {});
+  assert.deepEqual(injectHeaders({ traceparent: TRACEPARENT }), { traceparent: TRACEPARENT });
+  assert.deepEqual(extractHeaders({ [HEADERS_FIELD]: JSON.stringify({ traceparent: TRACEPARENT }) }), { traceparent: TRACEPARENT });
+  assert.deepEqual(extractHeaders({ [HEADERS_FIELD]: JSON.stringify({ retries: 3 }) }), {});
+  assert.deepEqual(extractHeaders({}), {});
+});